@@ -18,7 +18,8 @@
 // Global store initialization
 document.addEventListener('alpine:init', () => {
   Alpine.store('editor', {
-    instances: [],
+    instances: [], // Every instance, once a view needs them (see pagination.js)
+    allInstancesLoaded: false,
     classes: [],
     columns: [],
     schema: {},
@@ -26,6 +27,7 @@ document.addEventListener('alpine:init', () => {
     configRevision: null,
     configLoaded: false,
     dataLoaded: false,
+    diagnostics: [],
     selectedClass: null,
     selectedClasses: [],
     selectedRows: [],
@@ -45,8 +47,18 @@ document.addEventListener('alpine:init', () => {
     selectedViews: [],
     pinnedViews: [],
     views: [],
+    workspaces: [], // Storage roots from config.yaml (see workspaces.js)
+    workspace: null,
+    savedQueries: [], // Named queries from config.yaml (see savedQueries.js)
+    activeSavedQuery: null,
     showAddModal: false,
     showBulkAddModal: false,
+    showUndoHistory: false,
+    showProblems: false, // Storage validation report (see problems.js)
+    deleteRequest: null, // { instances } awaiting confirmation (see modals.js)
+    instancePage: null, // Server-fetched table page (see pagination.js)
+    serverColumnSummaries: null, // Server-computed table footer (see pagination.js)
+    savedQueryCounts: {}, // Server-counted saved queries (see savedQueries.js)
     columnWidths: {},
     // Phase 3 additions
     selectedComponent: null,
@@ -63,6 +75,9 @@ document.addEventListener('alpine:init', () => {
   });
 });
 
+// View modes that work on every instance rather than a server page
+const VIEWS_NEEDING_ALL_INSTANCES = new Set(['graph', 'board', 'queue']);
+
 let lucideRenderPending = false;
 const LEGACY_VIEW_ICON_MAP = {
   '📊': 'layout-grid',
@@ -246,6 +261,24 @@ function computePendingQueueCount(instances) {
   return pending.length;
 }
 
+/**
+ * Pending queue items, counted over every instance when they are loaded and
+ * otherwise over the queue classes' instances fetched on their own
+ */
+async function loadPendingQueueCount(store) {
+  if (store.allInstancesLoaded) return computePendingQueueCount(store.instances);
+
+  const queueClasses = (store.classes || []).filter((name) => String(name).trim().toLowerCase() === 'queue');
+  if (!queueClasses.length) return 0;
+  try {
+    const params = new URLSearchParams({ class: queueClasses.join(',') });
+    const res = await fetch(window.GDEdit.apiUrl(`/api/instances?${params}`));
+    return res.ok ? computePendingQueueCount(await res.json()) : store.pendingQueueCount;
+  } catch {
+    return store.pendingQueueCount;
+  }
+}
+
 // Queue badge: notification sound (cached audio element)
 let notifySoundAudio = null;
 let audioUnlocked = false;
@@ -300,11 +333,12 @@ window.addEventListener('gdedit:reload', async () => {
     const store = Alpine.store('editor');
     const previousCount = store.pendingQueueCount;
     
+    await window.GDEdit.loadWorkspaces();
     await appEl._x_dataStack[0].loadConfig();
     await appEl._x_dataStack[0].loadData();
     
     // Update pending queue count and play sound if increased
-    const newCount = computePendingQueueCount(store.instances);
+    const newCount = await loadPendingQueueCount(store);
     store._previousPendingQueueCount = previousCount;
     store.pendingQueueCount = newCount;
     updateDocumentTitleWithCount(newCount);
@@ -315,10 +349,83 @@ window.addEventListener('gdedit:reload', async () => {
   }
 });
 
+// Live updates pushed by the server (see src/lib/change-feed.js): patch the
+// loaded instances in place so selection, scroll position and open cell
+// editors survive changes made elsewhere
+window.addEventListener('gdedit:instances-changed', async (event) => {
+  const store = Alpine.store('editor');
+  if (!store.dataLoaded) return;
+
+  const detail = event.detail || {};
+  const previousCount = store.pendingQueueCount;
+  applyInstanceChanges(store, detail);
+
+  try {
+    if (detail.schemaChanged) {
+      const [schemaRes, classesRes] = await Promise.all([fetch(window.GDEdit.apiUrl('/api/schema')), fetch(window.GDEdit.apiUrl('/api/classes'))]);
+      store.schema = await schemaRes.json();
+      store.classes = await classesRes.json();
+    }
+    if (detail.diagnosticsChanged) {
+      const res = await fetch(window.GDEdit.apiUrl('/api/diagnostics'));
+      if (res.ok) store.diagnostics = await res.json();
+    }
+  } catch (e) {
+    console.error('Failed to refresh schema after live update:', e);
+  }
+
+  const newCount = await loadPendingQueueCount(store);
+  store._previousPendingQueueCount = previousCount;
+  store.pendingQueueCount = newCount;
+  updateDocumentTitleWithCount(newCount);
+  if (newCount > previousCount) {
+    playNotifySound();
+  }
+});
+
+/**
+ * Apply a { added, changed, removed } delta to the loaded instances
+ * Changed instances keep their object identity; only their fields are replaced.
+ * Before every instance is loaded only the table page's rows are patched.
+ */
+function applyInstanceChanges(store, { added = [], changed = [], removed = [] }) {
+  const keyOf = (instance) => `${instance._class}/${instance._id}`;
+  const loaded = new Map(window.GDEdit.loadedInstances(store).map((instance) => [keyOf(instance), instance]));
+
+  for (const next of [...changed, ...added]) {
+    const current = loaded.get(keyOf(next));
+    if (!current) {
+      if (!store.allInstancesLoaded) continue;
+      store.instances.push(next);
+      loaded.set(keyOf(next), next);
+    } else if (current._rev !== next._rev || current._source !== next._source) {
+      for (const field of Object.keys(current)) {
+        if (!(field in next)) delete current[field];
+      }
+      Object.assign(current, next);
+    }
+  }
+
+  const removedKeys = new Set(removed.map(keyOf));
+  if (removedKeys.size) {
+    for (let i = store.instances.length - 1; i >= 0; i -= 1) {
+      if (removedKeys.has(keyOf(store.instances[i]))) store.instances.splice(i, 1);
+    }
+    const remaining = new Set(store.instances.map((instance) => instance._id));
+    store.selectedRows = (store.selectedRows || []).filter((id) => remaining.has(id));
+    if (store.selectedEntityId && !remaining.has(store.selectedEntityId)) store.selectedEntityId = null;
+  }
+
+  // Filters and sort may now place rows differently; refetch the page
+  store.instancePage = null;
+  store.serverColumnSummaries = null;
+  store.savedQueryCounts = {};
+}
+
 // Queue updated handler (when response is submitted via UI)
-window.addEventListener('gdedit:queue-updated', () => {
+window.addEventListener('gdedit:queue-updated', async () => {
   const store = Alpine.store('editor');
-  const newCount = computePendingQueueCount(store.instances);
+  const newCount = await loadPendingQueueCount(store);
   store.pendingQueueCount = newCount;
   updateDocumentTitleWithCount(newCount);
 });
@@ -430,11 +537,25 @@ function app() {
         store.inspectorSelectedEntityId = store.selectedEntityId || store.inspectorSelectedRows[0] || null;
       });
 
+      // Page the table on the server whenever its query, sort or page changes
+      Alpine.effect(() => window.GDEdit.syncInstancePage(Alpine.store('editor')));
+      Alpine.effect(() => window.GDEdit.syncColumnSummaries(Alpine.store('editor')));
+      // The table pages on the server; these views work on every instance
+      Alpine.effect(() => {
+        const store = Alpine.store('editor');
+        if (store.dataLoaded && VIEWS_NEEDING_ALL_INSTANCES.has(store.viewMode)) {
+          void window.GDEdit.ensureAllInstances();
+        }
+      });
+      Alpine.effect(() => window.GDEdit.syncActiveSavedQuery(Alpine.store('editor')));
+
+      await window.GDEdit.loadWorkspaces();
       await this.loadConfig();
       await this.loadData();
+      window.GDEdit.applySavedQueryFromHash();
       
       // Initialize pending queue count (no sound on initial load)
-      store.pendingQueueCount = computePendingQueueCount(store.instances);
+      store.pendingQueueCount = await loadPendingQueueCount(store);
       store._previousPendingQueueCount = store.pendingQueueCount;
       updateDocumentTitleWithCount(store.pendingQueueCount);
       
@@ -467,6 +588,7 @@ function app() {
       if (modeFromHash && store.viewMode !== modeFromHash) {
         store.viewMode = modeFromHash;
       }
+      window.GDEdit.applySavedQueryFromHash();
 
       if (selectedFromHash !== null && selectedFromHash !== store.selectedEntityId) {
         store.selectedEntityId = selectedFromHash;
@@ -563,6 +685,7 @@ function app() {
         this.currentView = null;
         store.views = this.views;
         store.currentView = this.currentView;
+        store.savedQueries = Array.isArray(config.savedQueries) ? config.savedQueries : [];
         store.selectedViews = viewSelected;
         store.pinnedViews = viewPinned;
         store.selectedClasses = classSelected;
@@ -606,6 +729,7 @@ function app() {
         this.currentView = null;
         store.views = this.views;
         store.currentView = this.currentView;
+        store.savedQueries = [];
         store.selectedViews = [];
         store.pinnedViews = [];
         store.selectedClasses = [];
@@ -694,23 +818,34 @@ function app() {
 
     async loadData() {
       try {
-        Alpine.store('editor').dataLoaded = false;
-        const [classesRes, instancesRes, schemaRes] = await Promise.all([
-          fetch('/api/classes'),
-          fetch('/api/instances'),
-          fetch('/api/schema')
+        const store = Alpine.store('editor');
+        const reloadAll = store.allInstancesLoaded;
+        store.dataLoaded = false;
+        const [classesRes, schemaRes, diagnosticsRes] = await Promise.all([
+          fetch(window.GDEdit.apiUrl('/api/classes')),
+          fetch(window.GDEdit.apiUrl('/api/schema')),
+          fetch(window.GDEdit.apiUrl('/api/diagnostics'))
         ]);
         
         const classes = await classesRes.json();
-        const instances = await instancesRes.json();
         const schema = await schemaRes.json();
-        
-        const store = Alpine.store('editor');
+        const diagnostics = diagnosticsRes.ok ? await diagnosticsRes.json() : [];
+
+        // The table fetches its page itself; every instance is fetched again
+        // only when it was loaded before or the current view needs it
+        window.GDEdit.resetAllInstances(store);
+        if (reloadAll || VIEWS_NEEDING_ALL_INSTANCES.has(store.viewMode)) {
+          await window.GDEdit.ensureAllInstances();
+        }
+
         // Apply fresh dataset atomically to avoid transient empty-state flicker
         // in graph/table views during reloads.
         store.classes = classes;
         store.schema = schema;
-        store.instances = instances;
+        store.instancePage = null;
+        store.serverColumnSummaries = null;
+        store.savedQueryCounts = {};
+        store.diagnostics = Array.isArray(diagnostics) ? diagnostics : [];
         store.dataLoaded = true;
         
         const activeClasses = Array.isArray(store.selectedClasses) && store.selectedClasses.length > 0
@@ -741,7 +876,7 @@ function app() {
       try {
         const perClassColumns = await Promise.all(
           normalized.map(async (className) => {
-            const res = await fetch(`/api/classes/${className}/columns`);
+            const res = await fetch(window.GDEdit.apiUrl(`/api/classes/${className}/columns`));
             if (!res.ok) return [];
             return await res.json();
           })
@@ -770,13 +905,13 @@ function app() {
     async reload() {
       this.loading = true;
       window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: 'Reloading data...' }));
-      await fetch('/api/reload', { method: 'POST' });
+      await fetch(window.GDEdit.apiUrl('/api/reload'), { method: 'POST' });
       await this.loadConfig();
       await this.loadData();
       
       // Update pending queue count (no sound on manual reload)
       const store = Alpine.store('editor');
-      store.pendingQueueCount = computePendingQueueCount(store.instances);
+      store.pendingQueueCount = await loadPendingQueueCount(store);
       store._previousPendingQueueCount = store.pendingQueueCount;
       updateDocumentTitleWithCount(store.pendingQueueCount);
       
@@ -105,31 +105,18 @@ function bulkAddModal() {
       if (!this.selectedClass || this.generatedIds.length === 0) return;
       
       this.isCreating = true;
-      const errors = [];
 
       try {
-        for (const id of this.generatedIds) {
-          const res = await fetch('/api/instances', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ className: this.selectedClass, id })
-          });
-          
-          if (!res.ok) {
-            const err = await res.json();
-            errors.push({ id, error: err.error || 'Failed to create' });
-          }
-        }
+        await window.GDEdit.runBatch(this.generatedIds.map((id) => ({
+          op: 'create',
+          className: this.selectedClass,
+          id
+        })));
 
-        if (errors.length === 0) {
-          this.close();
-          await fetch('/api/reload', { method: 'POST' });
-          window.dispatchEvent(new CustomEvent('gdedit:reload'));
-        } else {
-          alert(`Created ${this.generatedIds.length - errors.length} rows. Errors:\n${errors.map(e => `${e.id}: ${e.error}`).join('\n')}`);
-        }
+        this.close();
+        window.dispatchEvent(new CustomEvent('gdedit:reload'));
       } catch (e) {
-        alert('Failed to create rows: ' + e.message);
+        alert('Failed to create rows (nothing was created):\n' + e.message);
       } finally {
         this.isCreating = false;
       }
@@ -258,11 +258,19 @@ function chatSidebar() {
 
       this.ws.onmessage = (event) => {
         const data = JSON.parse(event.data);
+        if ((data.type === 'storage-changed' || data.type === 'instances-changed') &&
+            !window.GDEdit.isActiveWorkspaceMessage(data)) {
+          return;
+        }
         if (data.type === 'storage-changed') {
           window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: 'Files changed, reloading...' }));
           window.dispatchEvent(new CustomEvent('gdedit:reload'));
           return;
         }
+        if (data.type === 'instances-changed') {
+          window.dispatchEvent(new CustomEvent('gdedit:instances-changed', { detail: data }));
+          return;
+        }
         this.handleMessage(data);
       };
 
@@ -348,7 +356,7 @@ function chatSidebar() {
       const editorStore = Alpine.store('editor');
       const chatStore = Alpine.store('chat');
       const viewMode = editorStore?.viewMode || 'table';
-      const instances = editorStore?.instances || [];
+      const instances = editorStore ? window.GDEdit.loadedInstances(editorStore) : [];
       let selection = [];
 
       if (chatStore?.isFullscreen === true) {
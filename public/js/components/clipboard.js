@@ -145,7 +145,7 @@ function clipboard() {
 
     async copyTable() {
       const store = Alpine.store('editor');
-      const instances = this.getFilteredInstances();
+      const instances = await this.getFilteredInstances();
       const columns = store.columns.filter(c => c.visible);
       
       const data = instances.map(inst => {
@@ -167,7 +167,7 @@ function clipboard() {
       if (store.selectedRows.length === 0) return;
 
       const columns = store.columns.filter(c => c.visible);
-      const instances = store.instances.filter(i => store.selectedRows.includes(i._id));
+      const instances = window.GDEdit.selectedRowInstances(store.selectedRows);
       
       const data = instances.map(inst => {
         const row = { _id: inst._id, _class: inst._class };
@@ -191,8 +191,7 @@ function clipboard() {
     },
 
     async copyColumn(columnId) {
-      const store = Alpine.store('editor');
-      const instances = this.getFilteredInstances();
+      const instances = await this.getFilteredInstances();
       
       const values = instances.map(inst => {
         if (columnId === '_id') return inst._id;
@@ -205,9 +204,9 @@ function clipboard() {
       this.showToast(`Copied ${values.length} values from column`);
     },
 
-    getFilteredInstances() {
+    async getFilteredInstances() {
       const store = Alpine.store('editor');
-      let instances = store.instances;
+      let instances = await window.GDEdit.ensureAllInstances();
       if (store.selectedClass) {
         instances = instances.filter(i => i._class === store.selectedClass);
       }
@@ -262,58 +261,44 @@ function clipboard() {
 
     async pasteAsRows(parsed, className) {
       const columns = Alpine.store('editor').columns;
-      let created = 0;
-      
-      for (const row of parsed.data) {
-        const id = row._id || row.id || `${className.toLowerCase()}-${Date.now()}-${created}`;
-        
-        const res = await fetch('/api/instances', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ className, id })
-        });
-        
-        if (res.ok) {
-          // Update properties
-          for (const [key, value] of Object.entries(row)) {
-            if (key === '_id' || key === '_class' || key === 'id') continue;
-            
-            const col = columns.find(c => c.id === key);
-            if (col) {
-              await fetch(`/api/instances/${id}`, {
-                method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ columnId: key, value })
-              });
-            }
-          }
-          created++;
+      const operations = parsed.data.map((row, index) => {
+        const id = row._id || row.id || `${className.toLowerCase()}-${Date.now()}-${index}`;
+        const components = {};
+
+        for (const [key, value] of Object.entries(row)) {
+          if (key === '_id' || key === '_class' || key === 'id') continue;
+          const col = columns.find(c => c.id === key);
+          if (!col) continue;
+
+          const [localName, property] = key.split('.');
+          if (!components[localName]) components[localName] = {};
+          components[localName][property] = value;
         }
-      }
-      
-      await fetch('/api/reload', { method: 'POST' });
-      window.dispatchEvent(new CustomEvent('gdedit:reload'));
-      this.showToast(`Created ${created} rows`);
+
+        return { op: 'create', className, id, components };
+      });
+
+      await this.runPasteBatch(operations);
     },
 
     async pasteRows(rows, className) {
-      let created = 0;
-      
-      for (const row of rows) {
-        const id = row[0] || `${className.toLowerCase()}-${Date.now()}-${created}`;
-        
-        const res = await fetch('/api/instances', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ className, id })
-        });
-        
-        if (res.ok) created++;
+      const operations = rows.map((row, index) => ({
+        op: 'create',
+        className,
+        id: row[0] || `${className.toLowerCase()}-${Date.now()}-${index}`
+      }));
+
+      await this.runPasteBatch(operations);
+    },
+
+    async runPasteBatch(operations) {
+      try {
+        const { results } = await window.GDEdit.runBatch(operations);
+        window.dispatchEvent(new CustomEvent('gdedit:reload'));
+        this.showToast(`Created ${results.length} rows`);
+      } catch (error) {
+        this.showToast(`❌ Paste failed, nothing was created: ${error.message}`);
       }
-      
-      await fetch('/api/reload', { method: 'POST' });
-      window.dispatchEvent(new CustomEvent('gdedit:reload'));
-      this.showToast(`Created ${created} rows`);
     },
 
     showToast(message) {
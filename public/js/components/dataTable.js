@@ -6,6 +6,7 @@
 function dataTable() {
   return {
     columnWidths: {},
+    columnSummaries: {}, // Footer summaries by column ID (see computeColumnSummaries)
     resizing: null,
     startX: 0,
     startWidth: 0,
@@ -57,6 +58,13 @@ function dataTable() {
       document.addEventListener('mousemove', (e) => this.handleMouseMove(e));
       document.addEventListener('mouseup', () => this.handleMouseUp());
       document.addEventListener('keydown', (e) => this.handleTableKeydown(e));
+      window.addEventListener('gdedit:reveal-cell', (e) => this.revealCell(e.detail));
+
+      // Summaries follow the filtered set and the visible columns, so they
+      // are computed once per change rather than once per footer cell
+      Alpine.effect(() => {
+        this.columnSummaries = this.computeColumnSummaries();
+      });
     },
 
     initSelectionSyncWatchers() {
@@ -297,6 +305,8 @@ function dataTable() {
       if (Array.isArray(store.selectedClasses) && store.selectedClasses.length > 0) {
         instances = instances.filter(i => store.selectedClasses.includes(i._class));
       }
+
+      instances = window.GDEdit?.applyViewBaseFilter?.(instances, store) || instances;
       
       if (store.searchQuery) {
         instances = window.GDEdit?.applyGlobalFilter?.(instances, store.searchQuery, store.searchMode) || this.basicFilter(instances, store.searchQuery);
@@ -307,41 +317,11 @@ function dataTable() {
 
     orderedInstances() {
       const store = Alpine.store('editor');
-      let filtered = this.filteredInstances();
-
-      if (store.sortColumn) {
-        filtered = [...filtered].sort((a, b) => {
-          let aVal;
-          let bVal;
-
-          if (store.sortColumn === '_id') {
-            aVal = a._id;
-            bVal = b._id;
-          } else if (store.sortColumn === '_class') {
-            aVal = a._class;
-            bVal = b._class;
-          } else {
-            const [ln, prop] = store.sortColumn.split('.');
-            aVal = a.components?.[ln]?.[prop] ?? '';
-            bVal = b.components?.[ln]?.[prop] ?? '';
-          }
-
-          const aNum = Number(aVal);
-          const bNum = Number(bVal);
-          if (!isNaN(aNum) && !isNaN(bNum)) {
-            return store.sortDirection === 'asc' ? aNum - bNum : bNum - aNum;
-          }
-
-          const aStr = String(aVal).toLowerCase();
-          const bStr = String(bVal).toLowerCase();
-          if (store.sortDirection === 'asc') {
-            return aStr.localeCompare(bStr);
-          }
-          return bStr.localeCompare(aStr);
-        });
-      }
+      const filtered = this.filteredInstances();
+      const query = window.GDEdit?.query;
 
-      return filtered;
+      if (!store.sortColumn || !query) return filtered;
+      return query.sortInstances(filtered, [{ field: store.sortColumn, direction: store.sortDirection }]);
     },
 
     ensureSelectionOnVisiblePage(selectedId) {
@@ -367,6 +347,35 @@ function dataTable() {
       }
     },
 
+    /**
+     * Page to an instance and select one of its cells (see GDEdit.revealCell,
+     * which loads every instance first: finding the row's page needs them)
+     * A search that hides the row is cleared; the cell falls back to `_id`
+     * when its column is hidden.
+     */
+    revealCell({ id, field } = {}) {
+      const store = Alpine.store('editor');
+      if (store.searchQuery && !this.filteredInstances().some((instance) => instance._id === id)) {
+        store.searchQuery = '';
+      }
+
+      const columnFor = () => {
+        if (String(field || '').startsWith('relations.')) return '_relations';
+        return this.getNavigableColumns().includes(field) ? field : '_id';
+      };
+
+      this.$nextTick(() => {
+        this.ensureSelectionOnVisiblePage(id);
+        this.setSelectedCell(id, columnFor(), { updateSelection: true });
+        // Columns for a newly selected class load asynchronously
+        setTimeout(() => {
+          if (this.selectedCell.rowId !== id) return;
+          this.selectedCell = { rowId: id, colId: columnFor() };
+          this.scrollSelectedCellIntoView();
+        }, 300);
+      });
+    },
+
     basicFilter(instances, query) {
       const q = query.toLowerCase();
       return instances.filter(i => {
@@ -379,6 +388,11 @@ function dataTable() {
 
     paginatedInstances() {
       const store = Alpine.store('editor');
+      const serverPage = window.GDEdit?.currentInstancePage?.(store);
+      if (serverPage) return serverPage.items;
+      // Keep the previous page on screen until the next one arrives
+      if (!store.allInstancesLoaded) return store.instancePage?.items || [];
+
       const filtered = this.orderedInstances();
       
       const start = (store.currentPage - 1) * store.pageSize;
@@ -386,6 +400,71 @@ function dataTable() {
       return filtered.slice(start, end);
     },
 
+    /**
+     * Footer summaries of the visible columns over the filtered set (every page)
+     * Computed by the server (GET /api/aggregate) until every instance is loaded.
+     * @returns {object} { count, distinct, sum, avg, min, max, numeric } by column ID
+     */
+    computeColumnSummaries() {
+      const summarize = window.GDEdit?.aggregate?.summarizeValues;
+      if (!summarize) return {};
+
+      const store = Alpine.store('editor');
+      const columns = [{ id: '_id' }, { id: '_class' }, ...this.visibleColumns()];
+      const summaries = {};
+
+      if (!store.allInstancesLoaded) {
+        for (const col of columns) {
+          const summary = window.GDEdit.serverColumnSummary(store, col);
+          if (summary) summaries[col.id] = summary;
+        }
+        return summaries;
+      }
+
+      const instances = this.filteredInstances();
+      for (const col of columns) {
+        const values = instances.flatMap((instance) => {
+          const value = window.GDEdit.query.getFieldValue(instance, col.id);
+          return Array.isArray(value) ? value : [value];
+        });
+        // Untyped columns count as numeric when every value is a number
+        const numeric = window.GDEdit.aggregate.isNumericType(col.type) ||
+          (values.some((value) => typeof value === 'number') &&
+            values.every((value) => typeof value === 'number' || value === null || value === undefined || value === ''));
+        summaries[col.id] = { ...summarize(values, { numeric }), numeric };
+      }
+      return summaries;
+    },
+
+    columnSummary(colId) {
+      return this.columnSummaries[colId] || null;
+    },
+
+    columnSummaryText(colId) {
+      const summary = this.columnSummary(colId);
+      if (!summary) return '';
+      if (colId === '_id') return `${summary.count} ${summary.count === 1 ? 'row' : 'rows'}`;
+      if (colId === '_class') return `${summary.distinct} ${summary.distinct === 1 ? 'class' : 'classes'}`;
+      if (summary.numeric && summary.avg !== null) {
+        return `min ${this.formatSummaryNumber(summary.min)} · max ${this.formatSummaryNumber(summary.max)} · avg ${this.formatSummaryNumber(summary.avg)}`;
+      }
+      return `${summary.count} · ${summary.distinct} distinct`;
+    },
+
+    columnSummaryTitle(col) {
+      const summary = this.columnSummary(col.id);
+      if (!summary) return '';
+      const lines = [`count: ${summary.count}`, `distinct: ${summary.distinct}`];
+      if (summary.numeric && summary.avg !== null) {
+        lines.push(`min: ${summary.min}`, `max: ${summary.max}`, `avg: ${this.formatSummaryNumber(summary.avg)}`, `sum: ${summary.sum}`);
+      }
+      return lines.join('\n');
+    },
+
+    formatSummaryNumber(value) {
+      return Number.isInteger(value) ? String(value) : Number(value).toFixed(2).replace(/\.?0+$/, '');
+    },
+
     isSelected(id) {
       return Alpine.store('editor').selectedRows.includes(id);
     },
@@ -453,7 +532,7 @@ function dataTable() {
       ctx.font = '14px system-ui, sans-serif';
       
       let maxWidth = ctx.measureText(colId).width + 40;
-      const filtered = this.filteredInstances();
+      const filtered = Alpine.store('editor').allInstancesLoaded ? this.filteredInstances() : this.paginatedInstances();
       
       for (const inst of filtered.slice(0, 100)) {
         let val = '';
@@ -489,6 +568,7 @@ function cellWidget(instance, col) {
     instance,
     col,
     validationErrors: [],
+    conflict: null,
     stringEditMode: false,
     stringDraft: '',
     stringCommitting: false,
@@ -533,6 +613,13 @@ function cellWidget(instance, col) {
       return this.valueSet[0];
     },
 
+    // Whether validating this column looks at other instances (ref targets, unique values)
+    checksOtherInstances() {
+      if (String(this.col.type || '').startsWith('ref')) return true;
+      const definition = Alpine.store('editor').schema?.components?.[this.col.component]?.properties?.[this.col.property];
+      return Boolean(definition?.unique || definition?.allowedTypes);
+    },
+
     async setValueFromInput(rawValue, parser = null) {
       const text = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
       if (this.isMixed && (text === '' || text === '--' || text === '—' || text === '— mixed —' || text === '-- mixed --')) return;
@@ -544,32 +631,84 @@ function cellWidget(instance, col) {
     async setValue(value) {
       if (!this.targetInstances.length) return;
 
+      if (this.checksOtherInstances()) await window.GDEdit.ensureAllInstances();
       // Validate before saving
       this.validationErrors = window.GDEdit?.validateType?.(value, this.col.type, this.col.required) || [];
+      for (const target of this.targetInstances) {
+        const problems = window.GDEdit?.checkConstraints?.(target, this.col.id, value) || [];
+        for (const problem of problems) {
+          if (!this.validationErrors.some(e => e.message === problem.message)) this.validationErrors.push(problem);
+        }
+      }
       
       if (this.validationErrors.some(e => e.type === 'error')) {
         return; // Don't save invalid data
       }
 
       const results = await Promise.all(this.targetInstances.map(async (target) => {
-        const res = await fetch(`/api/instances/${target._id}`, {
+        const headers = { 'Content-Type': 'application/json' };
+        if (target._rev) headers['If-Match'] = `"${target._rev}"`;
+        const res = await fetch(window.GDEdit.instanceUrl(target._class, target._id), {
           method: 'PATCH',
-          headers: { 'Content-Type': 'application/json' },
+          headers,
           body: JSON.stringify({ columnId: this.col.id, value })
         });
-        return { target, ok: res.ok };
+        const saved = await res.json().catch(() => null);
+        return { target, ok: res.ok, status: res.status, saved };
       }));
 
-      const allSucceeded = results.every((result) => result.ok);
-      if (!allSucceeded) return;
+      const conflicts = results.filter((result) => result.status === 412);
+      if (conflicts.length) {
+        this.showConflict(conflicts, value);
+      }
+
+      const rejected = results.filter((result) => result.status === 422);
+      if (rejected.length) {
+        const messages = new Set(rejected.flatMap(({ saved }) => (saved?.fields || []).map(f => f.message)));
+        this.validationErrors = [...messages].map(message => ({ message, type: 'error' }));
+      }
 
       const [localName, property] = this.col.id.split('.');
-      for (const { target } of results) {
+      for (const { target, ok, saved } of results) {
+        if (!ok) continue;
         if (!target.components) target.components = {};
         if (!target.components[localName]) target.components[localName] = {};
         target.components[localName][property] = value;
+        if (saved?._rev) target._rev = saved._rev;
       }
-      this.validationErrors = [];
+
+      if (results.every((result) => result.ok)) {
+        this.validationErrors = [];
+        this.conflict = null;
+      }
+    },
+
+    /**
+     * Adopt the server copy after a 412 and flag the cell with both values
+     */
+    showConflict(conflicts, attemptedValue) {
+      const [localName, property] = this.col.id.split('.');
+      const theirs = [];
+
+      for (const { target, saved } of conflicts) {
+        const current = saved?.current;
+        if (!current) continue;
+        target.components = current.components || {};
+        target.relations = current.relations || {};
+        target._rev = current._rev;
+        theirs.push(current.components?.[localName]?.[property]);
+      }
+
+      const format = (v) => (v === undefined || v === null ? '(empty)' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+      const serverValue = theirs.length === 1 ? format(theirs[0]) : `${theirs.length} changed records`;
+      this.conflict = { mine: attemptedValue, theirs: theirs.length === 1 ? theirs[0] : undefined };
+      this.validationErrors = [{
+        type: 'conflict',
+        message: `Changed elsewhere: server now has ${serverValue}; your value ${format(attemptedValue)} was not saved`
+      }];
+      window.dispatchEvent(new CustomEvent('gdedit:toast', {
+        detail: `⚠️ ${this.col.id} was changed elsewhere; reloaded server value`
+      }));
     },
 
     formatDate(value) {
@@ -586,6 +725,7 @@ function cellWidget(instance, col) {
     },
 
     get validationClass() {
+      if (this.conflict) return 'ring-2 ring-orange-500';
       if (this.hasError) return 'ring-2 ring-red-500';
       if (this.validationErrors.length > 0) return 'ring-2 ring-yellow-500';
       return '';
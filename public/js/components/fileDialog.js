@@ -189,7 +189,7 @@ function fileDialog() {
           await this.importCSV(content, store.selectedClass, ext === 'tsv' ? '\t' : ',');
         }
         
-        await fetch('/api/reload', { method: 'POST' });
+        await fetch(window.GDEdit.apiUrl('/api/reload'), { method: 'POST' });
         window.dispatchEvent(new CustomEvent('gdedit:reload'));
         this.closeOpenDialog();
         this.showToast('Import completed');
@@ -208,7 +208,7 @@ function fileDialog() {
         const idIdx = headers.findIndex(h => h === '_id' || h === 'id');
         const id = idIdx >= 0 ? row[idIdx] : `${className.toLowerCase()}-import-${i}`;
         
-        const res = await fetch('/api/instances', {
+        const res = await fetch(window.GDEdit.apiUrl('/api/instances'), {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ className, id })
@@ -221,7 +221,7 @@ function fileDialog() {
             
             const col = columns.find(c => c.id === header);
             if (col && row[j]) {
-              await fetch(`/api/instances/${id}`, {
+              await fetch(window.GDEdit.instanceUrl(className, id), {
                 method: 'PATCH',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ columnId: header, value: row[j] })
@@ -241,7 +241,7 @@ function fileDialog() {
         const item = items[i];
         const id = item._id || item.id || `${className.toLowerCase()}-import-${i}`;
         
-        const res = await fetch('/api/instances', {
+        const res = await fetch(window.GDEdit.apiUrl('/api/instances'), {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ className, id })
@@ -251,7 +251,7 @@ function fileDialog() {
           for (const [localName, props] of Object.entries(item.components)) {
             for (const [prop, value] of Object.entries(props)) {
               const columnId = `${localName}.${prop}`;
-              await fetch(`/api/instances/${id}`, {
+              await fetch(window.GDEdit.instanceUrl(className, id), {
                 method: 'PATCH',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ columnId, value })
@@ -273,9 +273,9 @@ function fileDialog() {
       this.showSaveDialog = false;
     },
 
-    exportData() {
+    async exportData() {
       const store = Alpine.store('editor');
-      let instances = store.instances;
+      let instances = await window.GDEdit.ensureAllInstances();
       
       if (this.exportVisibleOnly && store.selectedClass) {
         instances = instances.filter(i => i._class === store.selectedClass);
@@ -1,6 +1,6 @@
 /**
  * Modal Components
- * Add row, bulk add modals
+ * Add row, bulk add and delete modals
  */
 
 /**
@@ -183,7 +183,7 @@ function addModal() {
       }
       const components = this.buildComponentsPayload();
       
-      const res = await fetch('/api/instances', {
+      const res = await fetch(window.GDEdit.apiUrl('/api/instances'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ className, id, components })
@@ -193,7 +193,7 @@ function addModal() {
         this.showAddModal = false;
         this.newId = '';
         this.componentEditors = [];
-        await fetch('/api/reload', { method: 'POST' });
+        await fetch(window.GDEdit.apiUrl('/api/reload'), { method: 'POST' });
         window.dispatchEvent(new CustomEvent('gdedit:reload'));
         window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: 'Row created' }));
       } else {
@@ -283,27 +283,144 @@ function bulkAddModal() {
       if (!this.selectedClass || this.generatedIds.length === 0) return;
       
       this.isCreating = true;
-      let created = 0;
 
       try {
-        for (const id of this.generatedIds) {
-          const res = await fetch('/api/instances', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ className: this.selectedClass, id })
-          });
-          if (res.ok) created++;
-        }
+        const { results } = await window.GDEdit.runBatch(this.generatedIds.map((id) => ({
+          op: 'create',
+          className: this.selectedClass,
+          id
+        })));
 
         this.close();
-        await fetch('/api/reload', { method: 'POST' });
         window.dispatchEvent(new CustomEvent('gdedit:reload'));
-        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `Created ${created} rows` }));
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `Created ${results.length} rows` }));
       } catch (e) {
-        alert('Failed to create rows: ' + e.message);
+        alert('Failed to create rows (nothing was created):\n' + e.message);
       } finally {
         this.isCreating = false;
       }
     }
   };
 }
+
+/**
+ * Delete confirmation modal
+ * Lists the instances that reference the ones being deleted and lets the user
+ * override the schema's onDelete policies for this delete
+ */
+function deleteModal() {
+  return {
+    get request() {
+      return Alpine.store('editor').deleteRequest;
+    },
+    set request(val) {
+      Alpine.store('editor').deleteRequest = val;
+    },
+    targets: [],
+    references: [],
+    policy: '',
+    policyOptions: [
+      { value: '', label: 'Schema default per relation' },
+      { value: 'nullify', label: 'Remove the references' },
+      { value: 'cascade', label: 'Delete referencing instances too' },
+      { value: 'block', label: 'Cancel if anything references them' }
+    ],
+    isLoading: false,
+    isDeleting: false,
+    error: '',
+
+    init() {
+      this.$watch('request', (val) => {
+        if (val) this.load(val.instances);
+      });
+    },
+
+    async load(instances) {
+      this.targets = instances;
+      this.references = [];
+      this.policy = '';
+      this.error = '';
+      this.isLoading = true;
+      try {
+        const deleted = new Set(instances.map((instance) => `${instance._class}/${instance._id}`));
+        const lists = await Promise.all(instances.map(async (instance) => {
+          const res = await fetch(`${window.GDEdit.instanceUrl(instance._class, instance._id)}/references`);
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          const { references } = await res.json();
+          return references.map((reference) => ({ ...reference, target: instance._id }));
+        }));
+        // References from instances deleted together do not matter
+        this.references = lists.flat().filter((reference) => !deleted.has(`${reference._class}/${reference._id}`));
+      } catch (e) {
+        console.error('Failed to load references:', e);
+        this.error = `Could not load references: ${e.message}`;
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    get title() {
+      return this.targets.length === 1
+        ? `Delete ${this.targets[0]._id}?`
+        : `Delete ${this.targets.length} instances?`;
+    },
+
+    effectivePolicy(reference) {
+      if (reference.kind === 'link') return 'keep link';
+      return this.policy || reference.policy;
+    },
+
+    close() {
+      if (this.isDeleting) return;
+      this.request = null;
+    },
+
+    async confirmDelete() {
+      if (!this.targets.length || this.isDeleting) return;
+      this.isDeleting = true;
+      this.error = '';
+      try {
+        const { results } = await window.GDEdit.runBatch(this.targets.map((instance) => ({
+          op: 'delete',
+          className: instance._class,
+          id: instance._id,
+          ...(this.policy ? { policy: this.policy } : {})
+        })));
+
+        const cascaded = results.reduce((total, result) => total + (result.cascaded?.length || 0), 0);
+        const nullified = results.reduce((total, result) => total + (result.nullified?.length || 0), 0);
+        const parts = [this.targets.length === 1 ? 'Record removed' : `${this.targets.length} records removed`];
+        if (cascaded) parts.push(`${cascaded} referencing deleted`);
+        if (nullified) parts.push(`${nullified} reference${nullified === 1 ? '' : 's'} removed`);
+
+        const store = Alpine.store('editor');
+        store.selectedRows = [];
+        store.selectedEntityId = null;
+        this.isDeleting = false;
+        this.close();
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: parts.join('; ') }));
+        window.dispatchEvent(new CustomEvent('gdedit:reload'));
+      } catch (e) {
+        this.error = e.message;
+      } finally {
+        this.isDeleting = false;
+      }
+    }
+  };
+}
+
+window.GDEdit = window.GDEdit || {};
+
+/**
+ * Open the delete confirmation for the given instances
+ * Deletes address each instance by class and ID, so an ID that another
+ * class shares is never touched.
+ * @param {Array<object>} instances - Loaded instances ({ _class, _id })
+ */
+window.GDEdit.requestDelete = function(instances) {
+  const targets = (instances || []).filter((instance) => instance?._class && instance?._id);
+  if (!targets.length) return;
+  Alpine.store('editor').deleteRequest = {
+    instances: targets.map((instance) => ({ _class: instance._class, _id: instance._id }))
+  };
+};
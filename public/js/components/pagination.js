@@ -24,15 +24,21 @@ function pagination() {
 
     totalUnfiltered() {
       const store = Alpine.store('editor');
+      const serverPage = window.GDEdit?.currentInstancePage?.(store);
+      if (serverPage) return serverPage.unfilteredTotal;
       return (store.instances || []).length;
     },
 
     totalItems() {
       const store = Alpine.store('editor');
+      const serverPage = window.GDEdit?.currentInstancePage?.(store);
+      if (serverPage) return serverPage.total;
+
       let instances = store.instances || [];
       if (Array.isArray(store.selectedClasses) && store.selectedClasses.length > 0) {
         instances = instances.filter(i => store.selectedClasses.includes(i._class));
       }
+      instances = window.GDEdit?.applyViewBaseFilter?.(instances, store) || instances;
       if (store.searchQuery) {
         instances = window.GDEdit?.applyGlobalFilter?.(instances, store.searchQuery, store.searchMode) || instances;
       }
@@ -76,3 +82,213 @@ function pagination() {
     }
   };
 }
+
+/**
+ * Server-side paging of the table
+ * The visible page is fetched from GET /api/instances with the class filter,
+ * search query, sort and page, and the footer summaries from
+ * GET /api/aggregate, so the table never needs every instance. The full set
+ * is fetched on first use by the views and tools that do (see
+ * ensureAllInstances); precedence mode, which the server does not evaluate,
+ * is one of them and filters locally with the same query engine.
+ */
+let instancePageTimer = null;
+let columnSummaryTimer = null;
+let allInstancesRequest = null;
+let allInstancesGeneration = 0;
+
+// Class filter and query of the table (null when the server cannot evaluate them)
+function instanceFilterParams(store) {
+  if (!store.dataLoaded) return null;
+  if (store.searchQuery && store.searchMode === 'precedence') return null;
+
+  const baseQueries = window.GDEdit.getViewBaseQueries?.(store) || [];
+  if (baseQueries.some((saved) => saved.mode === 'precedence')) return null;
+
+  const params = new URLSearchParams();
+  if (Array.isArray(store.selectedClasses) && store.selectedClasses.length > 0) {
+    params.set('class', store.selectedClasses.join(','));
+  }
+  // View base filters (any of them) AND the search box
+  const clauses = [];
+  if (baseQueries.length) clauses.push(baseQueries.map((saved) => `(${saved.query})`).join(' OR '));
+  // Quoted when it does not parse, so the combined query still reads it as text
+  const search = window.GDEdit.query.toStrictQuery(String(store.searchQuery || ''));
+  if (search) clauses.push(search);
+  const query = clauses.length > 1 ? clauses.map((clause) => `(${clause})`).join(' AND ') : clauses[0];
+  if (query) params.set('q', query);
+
+  return params;
+}
+
+function instancePageParams(store) {
+  const params = instanceFilterParams(store);
+  if (!params) return null;
+
+  const pageSize = Math.max(1, Number(store.pageSize) || 20);
+  const page = Math.max(1, Number(store.currentPage) || 1);
+  params.set('offset', String((page - 1) * pageSize));
+  params.set('limit', String(pageSize));
+  if (store.sortColumn) {
+    params.set('sort', `${store.sortDirection === 'desc' ? '-' : ''}${store.sortColumn}`);
+  }
+
+  return params;
+}
+
+// Aggregate request for the footer summaries of the visible columns
+function columnSummaryParams(store) {
+  const params = instanceFilterParams(store);
+  if (!params) return null;
+
+  const fields = ['_id', '_class', ...store.columns.filter((col) => col.visible).map((col) => col.id)];
+  params.set('metrics', fields.flatMap((field) =>
+    ['count', 'distinct', 'sum', 'avg', 'min', 'max'].map((fn) => `${fn}:${field}`)).join(','));
+  return params;
+}
+
+window.GDEdit = window.GDEdit || {};
+
+/**
+ * Fetch the table page for the current store state (debounced)
+ */
+window.GDEdit.syncInstancePage = function(store) {
+  const key = instancePageParams(store)?.toString() ?? null;
+  clearTimeout(instancePageTimer);
+  if (key === null) {
+    // Only local filtering can show this table
+    if (store.dataLoaded && !store.allInstancesLoaded) void window.GDEdit.ensureAllInstances();
+    return;
+  }
+  if (store.instancePage?.key === key) return;
+
+  instancePageTimer = setTimeout(async () => {
+    try {
+      const res = await fetch(window.GDEdit.apiUrl(`/api/instances?${key}`));
+      const page = await res.json();
+      if (instancePageParams(store)?.toString() !== key) return;
+      if (!res.ok) {
+        // Show an empty page rather than the previous query's rows
+        store.instancePage = { key, total: 0, unfilteredTotal: store.instancePage?.unfilteredTotal ?? 0, items: [] };
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: page.error || `Failed to load instances (${res.status})` }));
+        return;
+      }
+
+      // Prefer the loaded objects so edits on the page stay in sync
+      const loaded = new Map(store.instances.map((instance) => [`${instance._class}/${instance._id}`, instance]));
+      store.instancePage = {
+        key,
+        total: page.total,
+        unfilteredTotal: page.unfilteredTotal,
+        items: page.items.map((instance) => loaded.get(`${instance._class}/${instance._id}`) || instance)
+      };
+    } catch (e) {
+      console.error('Failed to load instance page:', e);
+    }
+  }, 150);
+};
+
+/**
+ * The fetched page, if it matches the current store state
+ * @returns {object|null} { key, total, unfilteredTotal, items }
+ */
+window.GDEdit.currentInstancePage = function(store) {
+  const page = store.instancePage;
+  if (!page) return null;
+  return instancePageParams(store)?.toString() === page.key ? page : null;
+};
+
+/**
+ * Fetch the footer summaries for the current filter and columns (debounced)
+ * Not needed once every instance is loaded: the table then summarizes locally.
+ */
+window.GDEdit.syncColumnSummaries = function(store) {
+  const key = store.allInstancesLoaded ? null : columnSummaryParams(store)?.toString() ?? null;
+  clearTimeout(columnSummaryTimer);
+  if (key === null || store.serverColumnSummaries?.key === key) return;
+
+  columnSummaryTimer = setTimeout(async () => {
+    try {
+      const res = await fetch(window.GDEdit.apiUrl(`/api/aggregate?${key}`));
+      if (!res.ok) return;
+      const { groups } = await res.json();
+      if (columnSummaryParams(store)?.toString() !== key) return;
+      store.serverColumnSummaries = { key, values: groups[0]?.values || {} };
+    } catch (e) {
+      console.error('Failed to load column summaries:', e);
+    }
+  }, 150);
+};
+
+/**
+ * Footer summary of a column from the fetched aggregate, if current
+ * @returns {object|null} Same shape as the table's local summaries
+ */
+window.GDEdit.serverColumnSummary = function(store, col) {
+  const summaries = store.serverColumnSummaries;
+  if (!summaries || columnSummaryParams(store)?.toString() !== summaries.key) return null;
+
+  const metric = (fn) => summaries.values[`${fn}:${col.id}`] ?? null;
+  const summary = { count: metric('count') || 0, distinct: metric('distinct') || 0, sum: metric('sum'), avg: metric('avg'), min: metric('min'), max: metric('max') };
+  // The server orders numbers before text, so a numeric min means the column holds numbers
+  return { ...summary, numeric: window.GDEdit.aggregate.isNumericType(col.type) || typeof summary.min === 'number' };
+};
+
+/**
+ * Fetch every instance into store.instances, once
+ * Cleared by resetAllInstances (data reloads), after which the next call
+ * fetches again; a response from before the reset is dropped.
+ * @returns {Promise<Array>} store.instances
+ */
+window.GDEdit.ensureAllInstances = function() {
+  const store = Alpine.store('editor');
+  if (store.allInstancesLoaded) return Promise.resolve(store.instances);
+  if (allInstancesRequest) return allInstancesRequest;
+
+  const generation = allInstancesGeneration;
+  allInstancesRequest = (async () => {
+    try {
+      const res = await fetch(window.GDEdit.apiUrl('/api/instances'));
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const instances = await res.json();
+      if (generation !== allInstancesGeneration) return store.instances;
+
+      // Rows of the table page keep their identity, so open cell editors stay
+      // attached and edits show in every view
+      const keyOf = (instance) => `${instance._class}/${instance._id}`;
+      const onPage = new Map((store.instancePage?.items || []).map((instance) => [keyOf(instance), instance]));
+      store.instances = instances.map((instance) => {
+        const row = onPage.get(keyOf(instance));
+        return row ? Object.assign(row, instance) : instance;
+      });
+      store.allInstancesLoaded = true;
+      return store.instances;
+    } catch (e) {
+      console.error('Failed to load instances:', e);
+      return store.instances;
+    } finally {
+      if (generation === allInstancesGeneration) allInstancesRequest = null;
+    }
+  })();
+  return allInstancesRequest;
+};
+
+/**
+ * Mark the full instance set stale (see ensureAllInstances)
+ * store.instances keeps the previous set until the next fetch replaces it,
+ * so views showing it do not flash empty during a reload.
+ */
+window.GDEdit.resetAllInstances = function(store) {
+  allInstancesGeneration += 1;
+  allInstancesRequest = null;
+  store.allInstancesLoaded = false;
+};
+
+/**
+ * Instances the client holds: every instance once loaded, otherwise the
+ * rows of the current table page
+ */
+window.GDEdit.loadedInstances = function(store) {
+  if (store.allInstancesLoaded) return store.instances;
+  return store.instancePage?.items || [];
+};
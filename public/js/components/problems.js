@@ -0,0 +1,111 @@
+/**
+ * Problems Component
+ * Whole-storage validation report from GET /api/validate, grouped by
+ * severity; clicking a problem opens the offending cell in the table
+ */
+
+const PROBLEM_SEVERITIES = ['error', 'warning'];
+
+/**
+ * Problems panel
+ */
+function problemsPanel() {
+  return {
+    get showProblems() {
+      return Alpine.store('editor').showProblems || false;
+    },
+    set showProblems(val) {
+      Alpine.store('editor').showProblems = val;
+    },
+    report: null,
+    severity: 'error',
+    filterText: '',
+    isLoading: false,
+    loadError: '',
+
+    init() {
+      this.$watch('showProblems', (val) => {
+        if (val) this.loadReport();
+      });
+      // Keep an open report current while the storage changes
+      window.addEventListener('gdedit:reload', () => {
+        if (this.showProblems) this.loadReport();
+      });
+    },
+
+    async loadReport() {
+      this.isLoading = true;
+      this.loadError = '';
+      try {
+        const res = await fetch(window.GDEdit.apiUrl('/api/validate'));
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        this.report = await res.json();
+        if (!this.count(this.severity)) {
+          this.severity = PROBLEM_SEVERITIES.find((severity) => this.count(severity)) || 'error';
+        }
+      } catch (e) {
+        console.error('Failed to validate storage:', e);
+        this.loadError = e.message;
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    severities() {
+      return PROBLEM_SEVERITIES;
+    },
+
+    count(severity) {
+      return this.report?.summary?.[severity] || 0;
+    },
+
+    visibleProblems() {
+      const problems = this.report?.problems?.[this.severity] || [];
+      const text = this.filterText.trim().toLowerCase();
+      if (!text) return problems;
+      return problems.filter((problem) =>
+        [problem.code, problem.message, problem._id, problem._class, problem.file]
+          .some((value) => String(value || '').toLowerCase().includes(text))
+      );
+    },
+
+    problemLocation(problem) {
+      if (problem._id) return `${problem._id}:${problem._class}`;
+      return window.GDEdit.formatDiagnosticLocation({ file: problem.file, line: problem.line });
+    },
+
+    open(problem) {
+      if (!problem._id) {
+        window.open(window.GDEdit.sourceUrl(problem.file), '_blank', 'noopener');
+        return;
+      }
+      this.showProblems = false;
+      window.GDEdit.revealCell(problem._class, problem._id, problem.field);
+    }
+  };
+}
+
+window.GDEdit = window.GDEdit || {};
+
+/**
+ * Show an instance's cell in the table: switches to the table and to the
+ * instance's class, then the data table pages to the row and selects the cell
+ * @param {string} className - Instance class
+ * @param {string} id - Instance ID
+ * @param {string|null} field - `local.property`, `relations.<NAME>`, `_id` or `_class`
+ */
+window.GDEdit.revealCell = async function(className, id, field = null) {
+  const store = Alpine.store('editor');
+  await window.GDEdit.ensureAllInstances();
+  if (!store.instances.some((instance) => instance._id === id && instance._class === className)) {
+    window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `${id} is no longer loaded` }));
+    return;
+  }
+
+  store.viewMode = 'table';
+  if (!store.selectedClasses.includes(className) || store.selectedClasses.length > 1) {
+    store.selectedClass = className;
+    store.selectedClasses = [className];
+  }
+  window.dispatchEvent(new CustomEvent('gdedit:reveal-cell', { detail: { className, id, field } }));
+};
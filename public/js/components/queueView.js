@@ -454,7 +454,7 @@ function queueView() {
       if (!itemId) return false;
 
       try {
-        const res = await fetch(`/api/instances/${encodeURIComponent(itemId)}`, {
+        const res = await fetch(window.GDEdit.instanceUrl(item._class, itemId), {
           method: 'PATCH',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -469,7 +469,7 @@ function queueView() {
 
         const updated = await res.json().catch(() => null);
         const store = Alpine.store('editor');
-        const idx = (store.instances || []).findIndex((instance) => instance?._id === itemId);
+        const idx = (store.instances || []).findIndex((instance) => instance?._id === itemId && instance?._class === item._class);
         if (idx >= 0) {
           if (updated && typeof updated === 'object') {
             store.instances.splice(idx, 1, updated);
@@ -178,7 +178,7 @@ function resizableColumns() {
 
     autoFitColumn(columnId) {
       const store = Alpine.store('editor');
-      const width = calculateAutoWidth(columnId, store.instances);
+      const width = calculateAutoWidth(columnId, window.GDEdit.loadedInstances(store));
       this.columnWidths[columnId] = width;
       saveWidths(this.columnWidths);
     },
@@ -186,13 +186,15 @@ function resizableColumns() {
     autoFitAllColumns() {
       const store = Alpine.store('editor');
       
+      const instances = window.GDEdit.loadedInstances(store);
+      
       // Fixed columns
-      this.columnWidths['_id'] = calculateAutoWidth('_id', store.instances);
-      this.columnWidths['_class'] = calculateAutoWidth('_class', store.instances);
+      this.columnWidths['_id'] = calculateAutoWidth('_id', instances);
+      this.columnWidths['_class'] = calculateAutoWidth('_class', instances);
       
       // Dynamic columns
       for (const col of store.columns) {
-        this.columnWidths[col.id] = calculateAutoWidth(col.id, store.instances);
+        this.columnWidths[col.id] = calculateAutoWidth(col.id, instances);
       }
       
       saveWidths(this.columnWidths);
@@ -0,0 +1,193 @@
+/**
+ * Saved Queries Component
+ * Named queries stored in config.yaml: nav sidebar list with live counts,
+ * shareable through the URL hash (#/table?query=<name>)
+ */
+
+/**
+ * Saved Queries nav sidebar section
+ */
+function savedQueriesPanel() {
+  return {
+    newName: '',
+    error: '',
+    isSaving: false,
+
+    savedQueries() {
+      return Alpine.store('editor').savedQueries || [];
+    },
+
+    count(saved) {
+      return window.GDEdit.savedQueryCount(saved);
+    },
+
+    isActive(saved) {
+      return Alpine.store('editor').activeSavedQuery === saved.name;
+    },
+
+    canSaveCurrent() {
+      return Boolean(String(Alpine.store('editor').searchQuery || '').trim()) && Boolean(this.newName.trim());
+    },
+
+    apply(saved) {
+      window.GDEdit.applySavedQuery(saved.name);
+    },
+
+    async saveCurrent() {
+      const store = Alpine.store('editor');
+      const name = this.newName.trim();
+      const query = String(store.searchQuery || '').trim();
+      if (!name || !query) return;
+
+      const existing = this.savedQueries();
+      if (existing.some((saved) => saved.name === name) && !confirm(`Replace saved query "${name}"?`)) return;
+
+      const entry = { name, query, mode: store.searchMode === 'precedence' ? 'precedence' : 'search' };
+      const next = existing.some((saved) => saved.name === name)
+        ? existing.map((saved) => (saved.name === name ? entry : saved))
+        : [...existing, entry];
+
+      if (await this.persist(next)) {
+        this.newName = '';
+        store.activeSavedQuery = name;
+        setSavedQueryHashParam(name);
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `Saved query "${name}"` }));
+      }
+    },
+
+    async remove(saved) {
+      const usedBy = (Alpine.store('editor').views || []).filter((view) => view.savedQuery === saved.name);
+      const note = usedBy.length ? `\nViews using it as base filter will show every instance: ${usedBy.map((view) => view.name).join(', ')}` : '';
+      if (!confirm(`Delete saved query "${saved.name}"?${note}`)) return;
+
+      if (await this.persist(this.savedQueries().filter((item) => item.name !== saved.name))) {
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `Deleted saved query "${saved.name}"` }));
+      }
+    },
+
+    async persist(savedQueries) {
+      this.error = '';
+      this.isSaving = true;
+      try {
+        const cfg = await window.GDEditNav.saveSavedQueriesWithRevision(savedQueries, 1);
+        Alpine.store('editor').savedQueries = Array.isArray(cfg.savedQueries) ? cfg.savedQueries : savedQueries;
+        return true;
+      } catch (e) {
+        console.error('Failed to save queries:', e);
+        this.error = e.message || 'Failed to save queries';
+        return false;
+      } finally {
+        this.isSaving = false;
+      }
+    }
+  };
+}
+
+// Set or clear the saved query name in the hash without adding history
+function setSavedQueryHashParam(name) {
+  const state = parseHashState(window.location.hash);
+  const mode = state.mode || Alpine.store('editor').viewMode || 'table';
+  const params = new URLSearchParams(state.params);
+  if (name) {
+    params.set('query', name);
+  } else {
+    params.delete('query');
+  }
+
+  const query = params.toString();
+  const nextHash = query ? `#/${mode}?${query}` : `#/${mode}`;
+  if (window.location.hash !== nextHash) window.history.replaceState(null, '', nextHash);
+}
+
+window.GDEdit = window.GDEdit || {};
+
+window.GDEdit.findSavedQuery = function(store, name) {
+  return (store.savedQueries || []).find((saved) => saved.name === name) || null;
+};
+
+// Queries whose count is being fetched, by the count cache they go to
+const savedQueryCountRequests = new WeakMap();
+
+/**
+ * Number of instances a saved query matches
+ * Counted locally once every instance is loaded. Until then the server
+ * counts it (GET /api/instances?limit=0), once per data change; precedence
+ * queries, which the server does not evaluate, stay unknown.
+ * @returns {number|null} null while unknown
+ */
+window.GDEdit.savedQueryCount = function(saved) {
+  const store = Alpine.store('editor');
+  if (store.allInstancesLoaded) {
+    if (!saved?.query) return store.instances.length;
+    return window.GDEdit.applyGlobalFilter(store.instances, saved.query, saved.mode).length;
+  }
+  if (!saved?.query || saved.mode === 'precedence') return null;
+
+  const counts = store.savedQueryCounts;
+  if (counts[saved.query] === undefined) void fetchSavedQueryCount(counts, saved.query);
+  return counts[saved.query] ?? null;
+};
+
+async function fetchSavedQueryCount(counts, query) {
+  if (!savedQueryCountRequests.has(counts)) savedQueryCountRequests.set(counts, new Set());
+  const pending = savedQueryCountRequests.get(counts);
+  if (pending.has(query)) return;
+  pending.add(query);
+
+  try {
+    const params = new URLSearchParams({ q: query, limit: '0' });
+    const res = await fetch(window.GDEdit.apiUrl(`/api/instances?${params}`));
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    counts[query] = (await res.json()).total;
+  } catch (e) {
+    console.error('Failed to count saved query:', e);
+    // Asked again on the next render
+    pending.delete(query);
+  }
+}
+
+/**
+ * Load a saved query into the search box
+ * @param {string} name - Saved query name
+ * @param {object} options - { updateHash } record the name in the URL hash
+ * @returns {boolean} Whether the saved query exists
+ */
+window.GDEdit.applySavedQuery = function(name, { updateHash = true } = {}) {
+  const store = Alpine.store('editor');
+  const saved = window.GDEdit.findSavedQuery(store, name);
+  if (!saved) return false;
+
+  store.searchMode = saved.mode === 'precedence' ? 'precedence' : 'search';
+  store.searchQuery = saved.query;
+  store.currentPage = 1;
+  store.activeSavedQuery = saved.name;
+  if (updateHash) setSavedQueryHashParam(saved.name);
+  return true;
+};
+
+/**
+ * Apply the saved query named in the URL hash, if any
+ */
+window.GDEdit.applySavedQueryFromHash = function() {
+  const store = Alpine.store('editor');
+  const name = String(parseHashState(window.location.hash).params.get('query') || '').trim();
+  if (!name || name === store.activeSavedQuery) return;
+
+  if (!window.GDEdit.applySavedQuery(name, { updateHash: false })) {
+    window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `Saved query "${name}" not found` }));
+  }
+};
+
+/**
+ * Forget the active saved query once the search box no longer holds it
+ */
+window.GDEdit.syncActiveSavedQuery = function(store) {
+  const name = store.activeSavedQuery;
+  if (!name) return;
+
+  const saved = window.GDEdit.findSavedQuery(store, name);
+  if (saved && saved.query === String(store.searchQuery || '').trim() && saved.mode === store.searchMode) return;
+
+  store.activeSavedQuery = null;
+  setSavedQueryHashParam(null);
+};
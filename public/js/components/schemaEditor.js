@@ -32,6 +32,14 @@ const CARDINALITY_OPTIONS = [
   { value: 'mtm', label: 'Many-to-Many (N:N)' }
 ];
 
+// What deleting a target does to the relation's links (src/lib/references.js)
+const ON_DELETE_OPTIONS = [
+  { value: '', label: 'Default (nullify)' },
+  { value: 'nullify', label: 'Nullify: remove the link' },
+  { value: 'cascade', label: 'Cascade: delete the source too' },
+  { value: 'block', label: 'Block: refuse the delete' }
+];
+
 /**
  * Schema Editor Alpine Component
  */
@@ -43,17 +51,23 @@ function schemaEditor() {
     showAddPropertyModal: false,
     showAddRelationModal: false,
     showPreviewModal: false,
+    showConstraintModal: false,
     
     // Edit state
     pendingChanges: [],
+    preview: null,
+    previewLoading: false,
+    dropInvalid: false,
     newProperty: { name: '', type: 'string', required: false },
-    newRelation: { name: '', domain: '', range: '', cardinality: 'mtm' },
+    newRelation: { name: '', domain: '', range: '', cardinality: 'mtm', onDelete: '' },
+    constraintForm: {},
     
     // Schema data
     schema: null,
     classes: [],
     components: [],
     relations: [],
+    sources: { components: {}, classes: {}, relations: {} },
     
     init() {
       this.loadSchema();
@@ -76,7 +90,8 @@ function schemaEditor() {
         properties: Object.entries(def.properties || {}).map(([propName, propDef]) => ({
           name: propName,
           type: propDef.type || 'string',
-          required: propDef.required || false
+          required: propDef.required || false,
+          constraints: pickConstraints(propDef)
         }))
       }));
       
@@ -86,6 +101,7 @@ function schemaEditor() {
         domain: def.domain,
         range: def.range,
         cardinality: def.cardinality,
+        onDelete: def.onDelete || '',
         qualifiers: def.qualifiers || {}
       }));
       
@@ -93,6 +109,36 @@ function schemaEditor() {
       if (this.classes.length > 0 && !this.selectedClass) {
         this.selectedClass = this.classes[0].name;
       }
+      
+      this.loadSources();
+    },
+    
+    // Files each definition was read from (schema changes are written back there)
+    async loadSources() {
+      try {
+        const res = await fetch(window.GDEdit.apiUrl('/api/schema/sources'));
+        if (res.ok) this.sources = await res.json();
+      } catch (e) {
+        console.error('Failed to load schema sources:', e);
+      }
+    },
+    
+    // File whose definition is in effect
+    originOf(section, name) {
+      const files = this.sources?.[section]?.[name] || [];
+      return files[files.length - 1] || '';
+    },
+    
+    originTitle(section, name) {
+      const conflict = this.conflictFor(section, name);
+      if (conflict) return conflict.message;
+      const files = [...new Set(this.sources?.[section]?.[name] || [])];
+      return files.length ? `Defined in ${files.join(', ')}` : 'Not saved yet';
+    },
+    
+    conflictFor(section, name) {
+      return (Alpine.store('editor').diagnostics || [])
+        .find(d => d.kind === 'schema-conflict' && d.section === section && d.name === name) || null;
     },
     
     selectClass(className) {
@@ -190,6 +236,65 @@ function schemaEditor() {
       }));
     },
     
+    // Rename property (stored values move to the new name)
+    renameProperty(componentName, propertyName) {
+      const newName = (prompt(`Rename property "${propertyName}" in ${componentName} to:`, propertyName) || '').trim();
+      if (!newName || newName === propertyName) return;
+
+      const comp = this.components.find(c => c.name === componentName);
+      if (comp?.properties.some(p => p.name === newName)) {
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `❌ ${componentName} already has "${newName}"` }));
+        return;
+      }
+
+      this.pendingChanges.push({
+        type: 'renameProperty',
+        component: componentName,
+        property: propertyName,
+        newName
+      });
+      const prop = comp?.properties.find(p => p.name === propertyName);
+      if (prop) prop.name = newName;
+    },
+    
+    // Rename component class (local names in classes are kept)
+    renameComponent(componentName) {
+      const newName = (prompt(`Rename component "${componentName}" to:`, componentName) || '').trim();
+      if (!newName || newName === componentName) return;
+      if (this.components.some(c => c.name === newName)) {
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `❌ Component "${newName}" already exists` }));
+        return;
+      }
+
+      this.pendingChanges.push({ type: 'renameComponent', component: componentName, newName });
+      const comp = this.components.find(c => c.name === componentName);
+      if (comp) comp.name = newName;
+      for (const cls of this.classes) {
+        for (const [localName, componentClass] of Object.entries(cls.components)) {
+          if (componentClass === componentName) cls.components[localName] = newName;
+        }
+      }
+    },
+    
+    // Rename class (instances are rewritten with the new _class)
+    renameClass(className) {
+      const newName = (prompt(`Rename class "${className}" to:`, className) || '').trim();
+      if (!newName || newName === className) return;
+      if (this.classes.some(c => c.name === newName)) {
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `❌ Class "${newName}" already exists` }));
+        return;
+      }
+
+      this.pendingChanges.push({ type: 'renameClass', className, newName });
+      const cls = this.classes.find(c => c.name === className);
+      if (cls) cls.name = newName;
+      for (const rel of this.relations) {
+        if (rel.domain === className) rel.domain = newName;
+        if (rel.range === className) rel.range = newName;
+      }
+      if (this.selectedClass === className) this.selectedClass = newName;
+    },
+    
     // Toggle property required
     toggleRequired(componentName, propertyName) {
       const comp = this.components.find(c => c.name === componentName);
@@ -224,13 +329,83 @@ function schemaEditor() {
       }
     },
     
+    // Edit min/max, length, pattern, enum, unique and ref target constraints
+    openConstraints(componentName, propertyName) {
+      const prop = this.getComponentDef(componentName)?.properties.find(p => p.name === propertyName);
+      if (!prop) return;
+      
+      const c = prop.constraints || {};
+      this.constraintForm = {
+        component: componentName,
+        property: propertyName,
+        type: prop.type,
+        min: c.min ?? '',
+        max: c.max ?? '',
+        minLength: c.minLength ?? '',
+        maxLength: c.maxLength ?? '',
+        pattern: c.pattern ?? '',
+        enum: (c.enum || []).join(', '),
+        unique: Boolean(c.unique),
+        allowedTypes: (c.allowedTypes || []).join(', ')
+      };
+      this.showConstraintModal = true;
+    },
+    
+    saveConstraints() {
+      const form = this.constraintForm;
+      const prop = this.getComponentDef(form.component)?.properties.find(p => p.name === form.property);
+      if (!prop) return;
+      
+      // Same normalization the server applies (src/lib/constraints.js)
+      const next = {};
+      try {
+        for (const key of CONSTRAINT_KEYS) {
+          const value = window.GDEdit.constraints.normalizeConstraint(key, form[key], form.type);
+          if (value !== null) next[key] = value;
+        }
+      } catch (e) {
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `❌ ${e.message}` }));
+        return;
+      }
+      
+      const changes = {};
+      for (const key of CONSTRAINT_KEYS) {
+        const before = prop.constraints?.[key] ?? null;
+        const after = next[key] ?? null;
+        if (JSON.stringify(before) !== JSON.stringify(after)) changes[key] = after;
+      }
+      this.showConstraintModal = false;
+      if (!Object.keys(changes).length) return;
+      
+      this.pendingChanges.push({
+        type: 'updateProperty',
+        component: form.component,
+        property: form.property,
+        changes
+      });
+      prop.constraints = next;
+    },
+    
+    constraintSummary(prop) {
+      const c = prop.constraints || {};
+      const parts = [];
+      if (c.min !== undefined || c.max !== undefined) parts.push(`${c.min ?? ''}..${c.max ?? ''}`);
+      if (c.minLength !== undefined || c.maxLength !== undefined) parts.push(`len ${c.minLength ?? 0}..${c.maxLength ?? ''}`);
+      if (c.pattern) parts.push(`/${c.pattern}/`);
+      if (c.enum) parts.push(`{${c.enum.join(', ')}}`);
+      if (c.unique) parts.push('unique');
+      if (c.allowedTypes) parts.push(`→ ${c.allowedTypes.join(' | ')}`);
+      return parts.join(' · ');
+    },
+    
     // Add relation
     openAddRelation() {
       this.newRelation = { 
         name: '', 
         domain: this.selectedClass || '', 
         range: '', 
-        cardinality: 'mtm' 
+        cardinality: 'mtm',
+        onDelete: ''
       };
       this.showAddRelationModal = true;
     },
@@ -238,16 +413,17 @@ function schemaEditor() {
     async addRelation() {
       if (!this.newRelation.name || !this.newRelation.domain || !this.newRelation.range) return;
       
+      const { onDelete, ...relation } = this.newRelation;
       const change = {
         type: 'addRelation',
-        relation: { ...this.newRelation }
+        relation: onDelete ? { ...relation, onDelete } : relation
       };
       
       this.pendingChanges.push(change);
       this.relations.push({ ...this.newRelation, qualifiers: {} });
       
       this.showAddRelationModal = false;
-      this.newRelation = { name: '', domain: '', range: '', cardinality: 'mtm' };
+      this.newRelation = { name: '', domain: '', range: '', cardinality: 'mtm', onDelete: '' };
       
       window.dispatchEvent(new CustomEvent('gdedit:toast', {
         detail: `Added relation: ${change.relation.name}`
@@ -255,6 +431,19 @@ function schemaEditor() {
     },
     
     // Remove relation
+    // Queue an onDelete policy change; a later change to the same relation replaces it
+    setRelationOnDelete(rel, onDelete) {
+      if ((rel.onDelete || '') === onDelete) return;
+      rel.onDelete = onDelete;
+      this.pendingChanges = this.pendingChanges.filter(change =>
+        !(change.type === 'updateRelation' && change.relation === rel.name && 'onDelete' in change.changes));
+      this.pendingChanges.push({
+        type: 'updateRelation',
+        relation: rel.name,
+        changes: { onDelete: onDelete || null }
+      });
+    },
+    
     async removeRelation(relationName) {
       if (!confirm(`Remove relation "${relationName}"?`)) return;
       
@@ -270,9 +459,46 @@ function schemaEditor() {
       }));
     },
     
-    // Preview changes
-    previewChanges() {
+    // Preview changes: a dry run reports how many instances each change rewrites
+    async previewChanges() {
       this.showPreviewModal = true;
+      this.preview = null;
+      this.previewLoading = true;
+      
+      try {
+        const res = await fetch(window.GDEdit.apiUrl('/api/schema'), {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ changes: this.pendingChanges, dryRun: true })
+        });
+        const data = await res.json().catch(() => ({}));
+        this.preview = res.ok ? data : { error: data.error || `HTTP ${res.status}`, errors: data.errors || [] };
+      } catch (e) {
+        this.preview = { error: e.message, errors: [] };
+      } finally {
+        this.previewLoading = false;
+      }
+    },
+    
+    // Dry-run result for one pending change
+    previewFor(index) {
+      return this.preview?.operations?.find(op => op.index === index) || null;
+    },
+    
+    previewError(index) {
+      return this.preview?.errors?.find(err => err.index === index)?.error || '';
+    },
+    
+    get previewFailures() {
+      return (this.preview?.operations || []).reduce((sum, op) => sum + op.failures.length, 0);
+    },
+    
+    // Apply-time payload: dropInvalid removes values a type change cannot convert
+    changesToApply() {
+      if (!this.dropInvalid) return this.pendingChanges;
+      return this.pendingChanges.map(change => (
+        change.type === 'updateProperty' && change.changes?.type ? { ...change, dropInvalid: true } : change
+      ));
     },
     
     // Apply changes
@@ -285,21 +511,25 @@ function schemaEditor() {
       }
       
       try {
-        const res = await fetch('/api/schema', {
+        const res = await fetch(window.GDEdit.apiUrl('/api/schema'), {
           method: 'PATCH',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ changes: this.pendingChanges })
+          body: JSON.stringify({ changes: this.changesToApply() })
         });
         
         if (!res.ok) {
-          throw new Error('Failed to apply schema changes');
+          const err = await res.json().catch(() => ({}));
+          throw new Error(err.error || 'Failed to apply schema changes');
         }
         
         this.pendingChanges = [];
+        this.preview = null;
+        this.dropInvalid = false;
         this.showPreviewModal = false;
         
-        // Reload schema
+        // Reload schema and the instances migrated with it
         await this.reloadSchema();
+        window.dispatchEvent(new CustomEvent('gdedit:reload'));
         
         window.dispatchEvent(new CustomEvent('gdedit:toast', {
           detail: 'Schema changes applied'
@@ -314,7 +544,7 @@ function schemaEditor() {
     
     async reloadSchema() {
       try {
-        const res = await fetch('/api/schema');
+        const res = await fetch(window.GDEdit.apiUrl('/api/schema'));
         const schema = await res.json();
         Alpine.store('editor').schema = schema;
         this.loadSchema();
@@ -326,6 +556,8 @@ function schemaEditor() {
     // Discard changes
     discardChanges() {
       this.pendingChanges = [];
+      this.preview = null;
+      this.dropInvalid = false;
       this.loadSchema(); // Reset to original
       this.showPreviewModal = false;
       
@@ -341,10 +573,22 @@ function schemaEditor() {
           return `+ Add property "${change.property.name}" (${change.property.type}) to ${change.component}`;
         case 'removeProperty':
           return `- Remove property "${change.property}" from ${change.component}`;
-        case 'updateProperty':
-          return `~ Update property "${change.property}" in ${change.component}`;
+        case 'renameProperty':
+          return `~ Rename property "${change.property}" to "${change.newName}" in ${change.component}`;
+        case 'updateProperty': {
+          const updates = Object.entries(change.changes || {}).map(([key, value]) => `${key}: ${value}`).join(', ');
+          return `~ Update property "${change.property}" in ${change.component} (${updates})`;
+        }
+        case 'renameComponent':
+          return `~ Rename component ${change.component} to ${change.newName}`;
+        case 'renameClass':
+          return `~ Rename class ${change.className} to ${change.newName}`;
         case 'addRelation':
           return `+ Add relation "${change.relation.name}" (${change.relation.domain} → ${change.relation.range})`;
+        case 'updateRelation': {
+          const updates = Object.entries(change.changes || {}).map(([key, value]) => `${key}: ${value ?? 'default'}`).join(', ');
+          return `~ Update relation "${change.relation}" (${updates})`;
+        }
         case 'removeRelation':
           return `- Remove relation "${change.relation}"`;
         default:
@@ -362,10 +606,26 @@ function schemaEditor() {
     
     get cardinalityOptions() {
       return CARDINALITY_OPTIONS;
+    },
+    
+    get onDeleteOptions() {
+      return ON_DELETE_OPTIONS;
     }
   };
 }
 
+/**
+ * Constraint keys on a property definition (mirrors src/lib/constraints.js,
+ * which may still be loading when the schema first renders)
+ */
+const CONSTRAINT_KEYS = ['min', 'max', 'minLength', 'maxLength', 'pattern', 'enum', 'unique', 'allowedTypes'];
+
+function pickConstraints(definition) {
+  return Object.fromEntries(CONSTRAINT_KEYS
+    .filter(key => definition?.[key] !== undefined && definition[key] !== null)
+    .map(key => [key, definition[key]]));
+}
+
 /**
  * Format cardinality for display
  */
@@ -379,5 +639,6 @@ window.GDEditSchema = {
   schemaEditor,
   formatCardinality,
   PROPERTY_TYPES,
-  CARDINALITY_OPTIONS
+  CARDINALITY_OPTIONS,
+  ON_DELETE_OPTIONS
 };
@@ -13,6 +13,7 @@ document.addEventListener('alpine:init', () => {
 function appNavSidebar() {
   return {
     sections: [
+      { name: 'Saved Queries', icon: 'bookmark' },
       { name: 'Settings', icon: 'settings' }
     ],
     openSection: 'Main',
@@ -179,7 +180,22 @@ function appNavSidebar() {
 
 function inspectorSidebar() {
   return {
-    isRemoving: false,
+    isRenaming: false,
+    history: {
+      key: null,
+      loading: false,
+      available: false,
+      commits: [],
+      expanded: null,
+      changes: [],
+      isReverting: false
+    },
+    placement: {
+      key: null,
+      file: '',
+      layoutFile: null,
+      isMoving: false
+    },
 
     get selectedEntityId() {
       const store = Alpine.store('editor');
@@ -199,10 +215,8 @@ function inspectorSidebar() {
     },
 
     get selectedInstances() {
-      const instances = Alpine.store('editor').instances || [];
       if (!this.selectedIds.length) return [];
-      const byId = new Map(instances.map((instance) => [instance._id, instance]));
-      return this.selectedIds.map((id) => byId.get(id)).filter(Boolean);
+      return window.GDEdit.selectedRowInstances(this.selectedIds);
     },
 
     get selectedInstance() {
@@ -308,35 +322,193 @@ function inspectorSidebar() {
         .join(', ');
     },
 
-    async removeSelected() {
-      const store = Alpine.store('editor');
-      const selectedIds = Array.isArray(store.selectedRows) && store.selectedRows.length > 0
-        ? [...store.selectedRows]
-        : (store.selectedEntityId ? [store.selectedEntityId] : []);
+    historyUrl(instance, action = '') {
+      const base = `/api/history/${encodeURIComponent(instance._class)}/${encodeURIComponent(instance._id)}`;
+      return window.GDEdit.apiUrl(action ? `${base}/${action}` : base);
+    },
 
-      if (!selectedIds.length || this.isRemoving) return;
+    // Reload history whenever the single selected record or its revision changes
+    syncHistory() {
+      const instance = this.selectedInstances.length === 1 ? this.selectedInstance : null;
+      const key = instance ? `${instance._class}/${instance._id}@${instance._rev || ''}` : null;
+      if (key === this.history.key) return;
+
+      this.history.key = key;
+      this.history.commits = [];
+      this.history.expanded = null;
+      this.history.changes = [];
+      if (instance) this.loadHistory(instance, key);
+    },
 
-      this.isRemoving = true;
+    async loadHistory(instance, key) {
+      this.history.loading = true;
       try {
-        await Promise.all(selectedIds.map(async (id) => {
-          const res = await fetch(`/api/instances/${encodeURIComponent(id)}`, { method: 'DELETE' });
-          if (!res.ok && res.status !== 404) {
-            const details = await res.json().catch(() => ({}));
-            throw new Error(details.error || `Failed to remove ${id}`);
-          }
-        }));
+        const res = await fetch(this.historyUrl(instance));
+        const data = await res.json();
+        if (this.history.key !== key) return;
+        this.history.available = !!data.available;
+        this.history.commits = Array.isArray(data.commits) ? data.commits : [];
+      } catch (error) {
+        console.error('Failed to load history:', error);
+      } finally {
+        if (this.history.key === key) this.history.loading = false;
+      }
+    },
+
+    async toggleCommitDiff(commit) {
+      const instance = this.selectedInstance;
+      if (!instance) return;
+      if (this.history.expanded === commit.hash) {
+        this.history.expanded = null;
+        return;
+      }
+
+      this.history.expanded = commit.hash;
+      this.history.changes = [];
+      try {
+        const params = new URLSearchParams({ from: `${commit.hash}~1`, to: commit.hash });
+        const res = await fetch(`${this.historyUrl(instance, 'diff')}?${params}`);
+        const data = await res.json();
+        if (this.history.expanded === commit.hash) this.history.changes = data.changes || [];
+      } catch (error) {
+        console.error('Failed to load diff:', error);
+      }
+    },
+
+    formatHistoryValue(value) {
+      if (value === null || value === undefined) return '∅';
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    },
+
+    formatHistoryDate(value) {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+    },
+
+    async revertTo(commit) {
+      const instance = this.selectedInstance;
+      if (!instance || this.history.isReverting) return;
+      if (!confirm(`Restore ${instance._class}/${instance._id} to ${commit.shortHash}?`)) return;
 
-        store.selectedRows = [];
-        store.selectedEntityId = null;
+      this.history.isReverting = true;
+      try {
+        const res = await fetch(this.historyUrl(instance, 'revert'), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(instance._rev ? { 'If-Match': `"${instance._rev}"` } : {})
+          },
+          body: JSON.stringify({ revision: commit.hash })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || 'Restore failed');
+
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `Restored ${instance._id} to ${commit.shortHash}` }));
+        window.dispatchEvent(new CustomEvent('gdedit:reload'));
+      } catch (error) {
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `❌ ${error.message}` }));
+      } finally {
+        this.history.isReverting = false;
+      }
+    },
+
+    moveUrl(instance) {
+      return window.GDEdit.apiUrl(`/api/instances/${encodeURIComponent(instance._class)}/${encodeURIComponent(instance._id)}/move`);
+    },
+
+    // Look up where the layout rule puts the single selected record
+    syncPlacement() {
+      const instance = this.selectedInstances.length === 1 ? this.selectedInstance : null;
+      const key = instance ? `${instance._class}/${instance._id}@${instance._source || ''}` : null;
+      if (key === this.placement.key) return;
+
+      this.placement.key = key;
+      this.placement.file = '';
+      this.placement.layoutFile = null;
+      if (instance) this.loadPlacement(instance, key);
+    },
+
+    async loadPlacement(instance, key) {
+      try {
+        const res = await fetch(this.moveUrl(instance));
+        const data = await res.json();
+        if (this.placement.key !== key || !res.ok) return;
+        this.placement.layoutFile = data.layoutFile || null;
+        this.placement.file = data.layoutFile && data.layoutFile !== instance._source ? data.layoutFile : '';
+      } catch (error) {
+        console.error('Failed to load layout placement:', error);
+      }
+    },
+
+    canMove() {
+      const file = this.placement.file.trim();
+      return Boolean(this.selectedInstance && file && file !== this.selectedInstance._source && !this.placement.isMoving);
+    },
+
+    async moveSelected() {
+      const instance = this.selectedInstance;
+      const file = this.placement.file.trim();
+      if (!instance || !this.canMove()) return;
+
+      this.placement.isMoving = true;
+      try {
+        const res = await fetch(this.moveUrl(instance), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(instance._rev ? { 'If-Match': `"${instance._rev}"` } : {})
+          },
+          body: JSON.stringify({ file })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || 'Move failed');
+
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `Moved ${instance._id} to ${file}` }));
+        window.dispatchEvent(new CustomEvent('gdedit:reload'));
+      } catch (error) {
+        window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `❌ ${error.message}` }));
+      } finally {
+        this.placement.isMoving = false;
+      }
+    },
+
+    // Rewrites references, wiki links and the file name along with the ID
+    async renameSelected() {
+      const instance = this.selectedInstances.length === 1 ? this.selectedInstance : null;
+      if (!instance || this.isRenaming) return;
+      const newId = prompt(`Rename ${instance._id} to:`, instance._id)?.trim();
+      if (!newId || newId === instance._id) return;
+
+      this.isRenaming = true;
+      try {
+        const res = await fetch(`${window.GDEdit.instanceUrl(instance._class, instance._id)}/rename`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(instance._rev ? { 'If-Match': `"${instance._rev}"` } : {})
+          },
+          body: JSON.stringify({ newId })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || 'Rename failed');
+
+        const store = Alpine.store('editor');
+        store.selectedRows = [newId];
+        store.selectedEntityId = newId;
+        const updated = data.updated?.length || 0;
         window.dispatchEvent(new CustomEvent('gdedit:toast', {
-          detail: selectedIds.length === 1 ? 'Record removed' : `${selectedIds.length} records removed`
+          detail: `Renamed ${instance._id} to ${newId}` + (updated ? `; updated ${updated} referencing instance${updated === 1 ? '' : 's'}` : '')
         }));
         window.dispatchEvent(new CustomEvent('gdedit:reload'));
       } catch (error) {
         window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `❌ ${error.message}` }));
       } finally {
-        this.isRemoving = false;
+        this.isRenaming = false;
       }
+    },
+
+    removeSelected() {
+      window.GDEdit.requestDelete(this.selectedInstances);
     }
   };
 }
@@ -171,7 +171,7 @@ async function patchConfigWithRevision(patch, maxRetries = 1) {
   throw new Error('Failed to patch config after revision retries');
 }
 
-async function saveViewsWithRevision(views, maxRetries = 1) {
+async function saveConfigListWithRevision(endpoint, key, items, maxRetries = 1) {
   let attempts = 0;
 
   while (attempts <= maxRetries) {
@@ -182,10 +182,10 @@ async function saveViewsWithRevision(views, maxRetries = 1) {
       await refreshConfigCache();
     }
 
-    const res = await fetch('/api/views', {
+    const res = await fetch(endpoint, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ views, revision: store.configRevision })
+      body: JSON.stringify({ [key]: items, revision: store.configRevision })
     });
 
     if (res.ok) {
@@ -197,7 +197,7 @@ async function saveViewsWithRevision(views, maxRetries = 1) {
     const details = await res.json().catch(() => ({}));
     const isRevisionMismatch = res.status === 409 && details?.code === 'REVISION_MISMATCH';
     if (!isRevisionMismatch) {
-      throw new Error(details?.error || 'Failed to save views');
+      throw new Error(details?.error || `Failed to save ${key}`);
     }
 
     if (Number.isInteger(details?.expectedRevision)) {
@@ -207,7 +207,15 @@ async function saveViewsWithRevision(views, maxRetries = 1) {
     }
   }
 
-  throw new Error('Failed to save views after revision retries');
+  throw new Error(`Failed to save ${key} after revision retries`);
+}
+
+function saveViewsWithRevision(views, maxRetries = 1) {
+  return saveConfigListWithRevision('/api/views', 'views', views, maxRetries);
+}
+
+function saveSavedQueriesWithRevision(savedQueries, maxRetries = 1) {
+  return saveConfigListWithRevision('/api/saved-queries', 'savedQueries', savedQueries, maxRetries);
 }
 
 async function persistFilterState(partialState) {
@@ -701,7 +709,7 @@ function componentTypeFilter() {
       if (!componentName || properties.length < 1) return;
 
       try {
-        const res = await fetch('/api/schema', {
+        const res = await fetch(window.GDEdit.apiUrl('/api/schema'), {
           method: 'PATCH',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -863,11 +871,12 @@ function childTabs() {
         this.childData = [];
         this.updateNestedPaths();
       });
+      this.$watch('$store.editor.instancePage', () => this.updateNestedPaths());
     },
     
     updateNestedPaths() {
       const store = Alpine.store('editor');
-      const filtered = filterBySelectedClasses(store.instances, store);
+      const filtered = filterBySelectedClasses(window.GDEdit.loadedInstances(store), store);
       this.nestedPaths = getNestedDataPaths(filtered, null);
     },
     
@@ -881,10 +890,11 @@ function childTabs() {
       this.loadChildData(path);
     },
     
-    loadChildData(path) {
+    async loadChildData(path) {
       const store = Alpine.store('editor');
       const [comp, prop] = path.split('.');
-      let instances = store.instances;
+      let instances = await window.GDEdit.ensureAllInstances();
+      if (this.selectedPath !== path) return;
       instances = filterBySelectedClasses(instances, store);
       
       this.childData = [];
@@ -1057,7 +1067,7 @@ function classTypeFilter() {
       if (!className || components.length < 1) return;
 
       try {
-        const res = await fetch('/api/schema', {
+        const res = await fetch(window.GDEdit.apiUrl('/api/schema'), {
           method: 'PATCH',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -1198,7 +1208,7 @@ function viewEditor() {
       name: '', icon: 'layout-grid', color: '#3b82f6',
       classes: [], columnPresets: {},
       defaultSort: { column: '_id', direction: 'asc' },
-      readOnly: false
+      readOnly: false, savedQuery: ''
     },
     availableIcons: ['layout-grid', 'gamepad-2', 'users', 'monitor', 'settings', 'package', 'palette', 'wrench', 'folder', 'star', 'briefcase', 'target'],
     isCreatingNew: false,
@@ -1210,7 +1220,7 @@ function viewEditor() {
         name: '', icon: 'layout-grid', color: '#3b82f6',
         classes: [], columnPresets: {},
         defaultSort: { column: '_id', direction: 'asc' },
-        readOnly: false
+        readOnly: false, savedQuery: ''
       };
       this.showViewEditor = true;
     },
@@ -1223,7 +1233,8 @@ function viewEditor() {
         classes: [...(view.classes || [])],
         columnPresets: { ...(view.columnPresets || {}) },
         defaultSort: view.defaultSort || { column: '_id', direction: 'asc' },
-        readOnly: view.readOnly || false
+        readOnly: view.readOnly || false,
+        savedQuery: view.savedQuery || ''
       };
       this.showViewEditor = true;
     },
@@ -1249,6 +1260,7 @@ function viewEditor() {
         columnPresets: this.viewForm.columnPresets,
         defaultSort: this.viewForm.defaultSort, readOnly: this.viewForm.readOnly
       };
+      if (this.viewForm.savedQuery) viewData.savedQuery = this.viewForm.savedQuery;
       
       if (this.isCreatingNew) { views.push(viewData); }
       else {
@@ -1299,6 +1311,7 @@ Object.assign(window.GDEditNav, {
   childTabs,
   tabPinning,
   viewEditor,
+  saveSavedQueriesWithRevision,
   reconcileGlobalFilterState,
   applyComponentColumnVisibility,
   getSelectedViewClasses,
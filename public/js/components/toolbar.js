@@ -10,6 +10,10 @@ function toolbar() {
     searchHistory: [],
     showSearchHistory: false,
     showSearchModeMenu: false,
+    textMatches: [],
+    textMatchTotal: 0,
+    showTextMatches: false,
+    textMatchRequest: 0,
 
     init() {
       // Load search history from localStorage
@@ -42,6 +46,8 @@ function toolbar() {
       } else if (store.selectedClass) {
         instances = instances.filter(i => i._class === store.selectedClass);
       }
+
+      instances = window.GDEdit?.applyViewBaseFilter?.(instances, store) || instances;
       
       if (store.searchQuery) {
         instances = window.GDEdit?.applyGlobalFilter?.(instances, store.searchQuery, store.searchMode) || this.basicFilter(instances, store.searchQuery);
@@ -78,9 +84,67 @@ function toolbar() {
       clearTimeout(this.searchTimeout);
       this.searchTimeout = setTimeout(() => {
         Alpine.store('editor').currentPage = 1;
+        this.loadTextMatches();
       }, 300);
     },
 
+    /**
+     * Ranked full-text matches (GET /api/search) for a plain-text search,
+     * shown under the search box; structured queries get none
+     */
+    async loadTextMatches() {
+      const store = Alpine.store('editor');
+      const text = (store.searchQuery || '').trim();
+      const request = ++this.textMatchRequest;
+
+      let plain = false;
+      try {
+        plain = store.searchMode === 'search' && window.GDEdit.query.parseQuery(text).type === 'bare';
+      } catch { /* Unfinished query */ }
+      if (!text || !plain) {
+        this.textMatches = [];
+        this.textMatchTotal = 0;
+        return;
+      }
+
+      try {
+        const params = new URLSearchParams({ text, limit: '8' });
+        const res = await fetch(window.GDEdit.apiUrl(`/api/search?${params}`));
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        if (request !== this.textMatchRequest) return;
+        this.textMatches = data.results;
+        this.textMatchTotal = data.total;
+        this.showTextMatches = true;
+        this.showSearchHistory = false;
+      } catch (e) {
+        if (request === this.textMatchRequest) this.textMatches = [];
+        console.error('Full-text search failed:', e);
+      }
+    },
+
+    /**
+     * Split a snippet into plain and highlighted parts
+     * @returns {Array<object>} { text, hit }
+     */
+    snippetParts(snippet) {
+      const parts = [];
+      let position = 0;
+      for (const [start, end] of snippet.highlights) {
+        if (start > position) parts.push({ text: snippet.text.slice(position, start), hit: false });
+        parts.push({ text: snippet.text.slice(start, end), hit: true });
+        position = end;
+      }
+      if (position < snippet.text.length) parts.push({ text: snippet.text.slice(position), hit: false });
+      return parts;
+    },
+
+    openTextMatch(match) {
+      this.showTextMatches = false;
+      const field = match.snippets[0]?.field;
+      window.GDEdit.revealCell(match._class, match._id, field === '_markdownBody' ? null : field);
+    },
+
     submitSearch() {
       const query = Alpine.store('editor').searchQuery;
       if (query && !this.searchHistory.includes(query)) {
@@ -89,17 +153,20 @@ function toolbar() {
         localStorage.setItem('gdedit-search-history', JSON.stringify(this.searchHistory));
       }
       this.showSearchHistory = false;
+      this.showTextMatches = false;
     },
 
     selectHistoryItem(item) {
       Alpine.store('editor').searchQuery = item;
       this.showSearchHistory = false;
       Alpine.store('editor').currentPage = 1;
+      this.loadTextMatches();
     },
 
     clearSearch() {
       Alpine.store('editor').searchQuery = '';
       Alpine.store('editor').currentPage = 1;
+      this.loadTextMatches();
     },
 
     setSearchMode(mode) {
@@ -112,18 +179,10 @@ function toolbar() {
       this.showSearchModeMenu = false;
     },
 
-    async deleteSelected() {
+    deleteSelected() {
       const store = Alpine.store('editor');
       if (store.selectedRows.length === 0) return;
-      
-      if (!confirm(`Delete ${store.selectedRows.length} selected row(s)?`)) return;
-      
-      for (const id of store.selectedRows) {
-        await fetch(`/api/instances/${id}`, { method: 'DELETE' });
-      }
-      
-      store.selectedRows = [];
-      await this.$root.reload();
+      window.GDEdit.requestDelete(window.GDEdit.selectedRowInstances(store.selectedRows));
     }
   };
 }
@@ -0,0 +1,116 @@
+/**
+ * Undo History Component
+ * Server-side undo/redo journal: history panel and Ctrl+Z / Ctrl+Shift+Z
+ */
+
+/**
+ * Undo History panel
+ */
+function undoHistoryPanel() {
+  return {
+    get showUndoHistory() {
+      return Alpine.store('editor').showUndoHistory || false;
+    },
+    set showUndoHistory(val) {
+      Alpine.store('editor').showUndoHistory = val;
+    },
+    entries: [],
+    canUndo: false,
+    canRedo: false,
+    isLoading: false,
+    isBusy: false,
+
+    init() {
+      this.$watch('showUndoHistory', (val) => {
+        if (val) this.loadJournal();
+      });
+      // Writes and undos made elsewhere change the journal
+      window.addEventListener('gdedit:reload', () => {
+        if (this.showUndoHistory) this.loadJournal();
+      });
+    },
+
+    async loadJournal() {
+      this.isLoading = true;
+      try {
+        const res = await fetch(window.GDEdit.apiUrl('/api/journal'));
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const journal = await res.json();
+        this.entries = journal.entries || [];
+        this.canUndo = journal.canUndo === true;
+        this.canRedo = journal.canRedo === true;
+      } catch (e) {
+        console.error('Failed to load undo history:', e);
+        this.entries = [];
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    async run(action) {
+      if (this.isBusy) return;
+      this.isBusy = true;
+      try {
+        await window.GDEdit.runJournalAction(action);
+      } finally {
+        this.isBusy = false;
+      }
+    },
+
+    entryTitle(entry) {
+      return window.GDEdit.journalLabel(entry?.label);
+    },
+
+    formatEntryTime(entry) {
+      const date = new Date(entry?.time);
+      return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+    }
+  };
+}
+
+window.GDEdit = window.GDEdit || {};
+
+/**
+ * First line of a journal label (batch labels list each operation below)
+ */
+window.GDEdit.journalLabel = function(label) {
+  return String(label || '').split('\n')[0];
+};
+
+/**
+ * POST /api/undo or /api/redo, then reload and report the result
+ * @param {string} action - 'undo' or 'redo'
+ * @returns {Promise<object|null>} Server response, or null on failure
+ */
+window.GDEdit.runJournalAction = async function(action) {
+  const toast = (message) => window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: message }));
+
+  try {
+    const res = await fetch(window.GDEdit.apiUrl(`/api/${action}`), { method: 'POST' });
+    const result = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      toast(result.error || `Failed to ${action}`);
+      return null;
+    }
+
+    window.dispatchEvent(new CustomEvent('gdedit:reload'));
+    toast(`${action === 'undo' ? 'Undone' : 'Redone'}: ${window.GDEdit.journalLabel(result.label)}`);
+    return result;
+  } catch (e) {
+    console.error(`Failed to ${action}:`, e);
+    toast(`Failed to ${action}`);
+    return null;
+  }
+};
+
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their native undo
+document.addEventListener('keydown', (event) => {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey || event.key?.toLowerCase() !== 'z') return;
+  if (event.repeat) return;
+
+  const target = event.target;
+  if (target instanceof Element && target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+  event.preventDefault();
+  window.GDEdit.runJournalAction(event.shiftKey ? 'redo' : 'undo');
+});
@@ -15,71 +15,51 @@ window.GDEdit = {
   },
 
   /**
-   * Apply DSL filter to instances
+   * Saved queries the selected activity views use as their base filter
+   * Empty when a selected view has none, since its base is every instance.
+   */
+  getViewBaseQueries(store) {
+    const views = (store?.selectedViews || [])
+      .map((name) => (store.views || []).find((view) => view.name === name))
+      .filter(Boolean);
+    if (!views.length || views.some((view) => !view.savedQuery)) return [];
+
+    const queries = views.map((view) => (store.savedQueries || []).find((saved) => saved.name === view.savedQuery));
+    return queries.some((saved) => !saved?.query) ? [] : queries;
+  },
+
+  /**
+   * Keep instances matching any base filter of the selected views
+   */
+  applyViewBaseFilter(instances, store) {
+    const queries = this.getViewBaseQueries(store);
+    if (!queries.length) return instances;
+
+    const matched = new Set();
+    for (const saved of queries) {
+      for (const instance of this.applyGlobalFilter(instances, saved.query, saved.mode)) matched.add(instance);
+    }
+    return instances.filter((instance) => matched.has(instance));
+  },
+
+  /**
+   * Apply DSL filter to instances (see src/lib/query.js for the syntax)
    */
   applyFilter(instances, query) {
     if (!query) return instances;
-    const q = query.toLowerCase();
-    
-    // Check for id:Class pattern (id:Class: value or id:Class without trailing colon)
-    const idClassMatch = query.match(/^([^:]+):([^.:]+):?\s*(.*)$/);
-    if (idClassMatch) {
-      const [, idPattern, cls, val] = idClassMatch;
-      return instances.filter(i => {
-        // Match id (case-insensitive, supports * wildcard)
-        if (idPattern && idPattern !== '*' && idPattern !== '**') {
-          if (idPattern.includes('*')) {
-            const regex = new RegExp('^' + idPattern.replace(/\*/g, '.*') + '$', 'i');
-            if (!regex.test(i._id)) return false;
-          } else {
-            if (i._id.toLowerCase() !== idPattern.toLowerCase()) return false;
-          }
-        }
-        // Match class
-        if (cls && i._class !== cls) return false;
-        // Match value if provided
-        if (val) {
-          const searchStr = val.toLowerCase();
-          const componentsStr = JSON.stringify(i.components || {}).toLowerCase();
-          if (!componentsStr.includes(searchStr)) return false;
-        }
-        return true;
-      });
-    }
-    
-    // Check for DSL patterns (:Class.property: value)
-    const classMatch = query.match(/^:([^.:\s]*)(?:\.([^:]+))?:\s*(.*)$/);
-    if (classMatch) {
-      const [, cls, prop, val] = classMatch;
-      return instances.filter(i => {
-        if (cls && i._class !== cls) return false;
-        if (prop && val) {
-          const [ln, p] = prop.split('.');
-          const v = i.components?.[ln]?.[p];
-          return String(v).toLowerCase() === val.toLowerCase() || 
-                 v === (val === 'true' ? true : val === 'false' ? false : val);
-        }
-        return true;
-      });
-    }
-    
-    const relMatch = query.match(/-\[:([^\]]+)\]->:\s*(.*)$/);
-    if (relMatch) {
-      const [, rel, target] = relMatch;
-      return instances.filter(i => {
-        const rels = i.relations?.[rel];
-        if (!rels) return false;
-        if (!target) return rels.length > 0;
-        return rels.some(r => (typeof r === 'string' ? r : r._to) === target);
-      });
+
+    if (!this.query) {
+      // Shared query module not loaded yet: plain text search
+      const q = String(query).toLowerCase();
+      return instances.filter(i => i._id.toLowerCase().includes(q) ||
+        i._class.toLowerCase().includes(q) ||
+        JSON.stringify(i.components || {}).toLowerCase().includes(q));
     }
-    
-    // Basic text search
-    return instances.filter(i => {
-      if (i._id.toLowerCase().includes(q)) return true;
-      if (i._class.toLowerCase().includes(q)) return true;
-      if (JSON.stringify(i.components || {}).toLowerCase().includes(q)) return true;
-      return false;
+
+    const store = window.Alpine?.store('editor');
+    return this.query.applyFilter(instances, this.query.parseQuery(query), {
+      schema: store?.schema || null,
+      allInstances: store?.allInstancesLoaded ? store.instances : instances
     });
   },
 
@@ -261,6 +241,108 @@ window.GDEdit = {
     return intersection;
   },
 
+  /**
+   * Scope an API path to the active workspace
+   * e.g. /api/instances -> /api/w/<workspace>/instances
+   */
+  apiUrl(path) {
+    const workspace = Alpine.store('editor')?.workspace;
+    if (!workspace || !String(path).startsWith('/api/')) return path;
+    return `/api/w/${encodeURIComponent(workspace)}/${String(path).slice(5)}`;
+  },
+
+  /**
+   * Build the class-scoped API URL for an instance
+   */
+  instanceUrl(className, id) {
+    return this.apiUrl(`/api/instances/${encodeURIComponent(className)}/${encodeURIComponent(id)}`);
+  },
+
+  /**
+   * URL of a storage file's raw content (see /api/source)
+   */
+  sourceUrl(file) {
+    return this.apiUrl(`/api/source?file=${encodeURIComponent(file)}`);
+  },
+
+  /**
+   * Format a storage diagnostic location as file:line:column
+   */
+  formatDiagnosticLocation(diagnostic) {
+    const parts = [diagnostic?.file || ''];
+    if (diagnostic?.line) parts.push(diagnostic.line);
+    if (diagnostic?.line && diagnostic?.column) parts.push(diagnostic.column);
+    return parts.join(':');
+  },
+
+  /**
+   * One-line summary of storage diagnostics (parse errors and schema conflicts)
+   */
+  summarizeDiagnostics(diagnostics) {
+    const conflicts = (diagnostics || []).filter(d => d.kind === 'schema-conflict').length;
+    const skipped = (diagnostics || []).length - conflicts;
+    const parts = [];
+    if (skipped) parts.push(`${skipped} storage file${skipped === 1 ? '' : 's'} could not be parsed and ${skipped === 1 ? 'was' : 'were'} skipped`);
+    if (conflicts) parts.push(`${conflicts} schema definition${conflicts === 1 ? ' is' : 's are'} defined differently in several files`);
+    return parts.join('; ');
+  },
+
+  /**
+   * Send ordered create/update/patch/delete operations to POST /api/batch
+   * Nothing is written unless every operation succeeds.
+   * @param {Array} operations - [{ op, className, id, ... }]
+   * @returns {Promise<object>} { success, results }
+   */
+  async runBatch(operations) {
+    const res = await fetch(this.apiUrl('/api/batch'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ operations })
+    });
+    const details = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const messages = (details.errors || []).map((e) => e.error).filter(Boolean);
+      const error = new Error(messages.length ? messages.join('\n') : (details.error || 'Batch failed'));
+      error.details = details;
+      throw error;
+    }
+    return details;
+  },
+
+  /**
+   * Loaded instances behind selected row IDs
+   * Row selection holds IDs only. An ID that several classes share resolves
+   * to the instance(s) of the classes in view, never to another class's.
+   * @param {Array<string>} ids - Selected row IDs
+   * @returns {Array<object>} Instances, in selection order
+   */
+  selectedRowInstances(ids) {
+    const store = Alpine.store('editor');
+    const inView = Array.isArray(store.selectedClasses) && store.selectedClasses.length > 0
+      ? new Set(store.selectedClasses)
+      : null;
+    const byId = new Map();
+    for (const instance of this.loadedInstances(store)) {
+      if (!byId.has(instance._id)) byId.set(instance._id, []);
+      byId.get(instance._id).push(instance);
+    }
+
+    return (ids || []).flatMap((id) => {
+      const candidates = byId.get(id) || [];
+      const visible = inView ? candidates.filter((instance) => inView.has(instance._class)) : candidates;
+      return visible.length ? visible : candidates;
+    });
+  },
+
+  /**
+   * Find a loaded instance by class and ID
+   */
+  findInstance(className, id) {
+    return this.loadedInstances(Alpine.store('editor')).find((instance) =>
+      instance?._class === className && instance?._id === id
+    ) || null;
+  },
+
   parseTypedRef(value) {
     const raw = String(value ?? '').trim();
     if (!raw) return null;
@@ -275,14 +357,14 @@ window.GDEdit = {
     return { raw, id, className };
   },
 
-  selectByTypedRef(value) {
+  async selectByTypedRef(value) {
     const parsed = this.parseTypedRef(value);
     if (!parsed) return false;
 
+    // The target is rarely on the current table page
+    await this.ensureAllInstances();
     const store = Alpine.store('editor');
-    const target = (store.instances || []).find((instance) =>
-      instance?._id === parsed.id && instance?._class === parsed.className
-    );
+    const target = this.findInstance(parsed.className, parsed.id);
     if (!target) return false;
 
     store.selectedRows = [target._id];
@@ -292,6 +374,23 @@ window.GDEdit = {
     return true;
   },
   
+  /**
+   * Schema constraint errors for setting one property (see src/lib/constraints.js)
+   * The server enforces the same rules and answers 422 VALIDATION_FAILED.
+   */
+  checkConstraints(instance, columnId, value) {
+    if (!this.constraints || !instance) return [];
+    const store = Alpine.store('editor');
+    const [localName, property] = columnId.split('.');
+    const candidate = {
+      ...instance,
+      components: { ...instance.components, [localName]: { ...instance.components?.[localName], [property]: value } }
+    };
+    return this.constraints
+      .validateConstraints(candidate, store.schema, { instances: store.instances || [], fields: new Set([columnId]) })
+      .map((error) => ({ message: error.message, type: 'error' }));
+  },
+
   /**
    * Validate value against type
    */
@@ -1,6 +1,6 @@
 /**
  * Data Validation Component
- * Type checking, required fields, relation integrity
+ * Type checking, required fields, schema constraints, relation integrity
  */
 
 /**
@@ -195,6 +195,12 @@ function validateInstance(instance, schema, allInstances) {
     }
   }
 
+  // Schema constraints, checked with the server's rules (src/lib/constraints.js)
+  const constraints = window.GDEdit?.constraints;
+  for (const problem of constraints?.validateConstraints(instance, schema, { instances: allInstances }) || []) {
+    errors.push(new ValidationError(problem.field, problem.message));
+  }
+
   // Validate relations
   for (const [relName, targets] of Object.entries(instance.relations || {})) {
     const relDef = schema.relations?.[relName];
@@ -270,8 +276,6 @@ function createValidationState() {
 function validationManager() {
   return {
     validationState: createValidationState(),
-    showValidationPanel: false,
-    validationSummary: [],
 
     validateCell(instance, columnId, value) {
       const store = Alpine.store('editor');
@@ -280,6 +284,9 @@ function validationManager() {
       if (!col) return [];
       
       const errors = validateType(value, col.type, col.required);
+      for (const problem of window.GDEdit?.checkConstraints?.(instance, columnId, value) || []) {
+        errors.push(new ValidationError(columnId, problem.message));
+      }
       this.validationState.setErrors(instance._id, columnId, errors);
       
       return errors;
@@ -299,26 +306,6 @@ function validationManager() {
       return errors;
     },
 
-    validateAll() {
-      const store = Alpine.store('editor');
-      this.validationState.clear();
-      this.validationSummary = [];
-
-      for (const instance of store.instances) {
-        const errors = this.validateRow(instance);
-        if (errors.length > 0) {
-          this.validationSummary.push({
-            instanceId: instance._id,
-            instanceClass: instance._class,
-            errors
-          });
-        }
-      }
-
-      this.showValidationPanel = this.validationSummary.length > 0;
-      return this.validationSummary;
-    },
-
     getCellValidationClass(instanceId, columnId) {
       if (this.validationState.hasErrors(instanceId, columnId)) {
         const errors = this.validationState.getErrors(instanceId, columnId);
@@ -331,10 +318,6 @@ function validationManager() {
     getCellValidationTooltip(instanceId, columnId) {
       const errors = this.validationState.getErrors(instanceId, columnId);
       return errors.map(e => e.message).join(', ');
-    },
-
-    closeValidationPanel() {
-      this.showValidationPanel = false;
     }
   };
 }
@@ -185,13 +185,18 @@ function tagsWidgetData() {
     
     initTags() {
       this.tags = window.GDEditWidgets?.parseTags?.(this.getValue()) || [];
-      this.loadSuggestions();
+    },
+
+    startEditing() {
+      this.isEditing = true;
+      void this.loadSuggestions();
     },
     
-    loadSuggestions() {
-      const store = Alpine.store('editor');
+    // Tags used by any instance, which loads every instance on first use
+    async loadSuggestions() {
+      const instances = await window.GDEdit.ensureAllInstances();
       const existingTags = new Set();
-      for (const inst of store.instances) {
+      for (const inst of instances) {
         const [ln, prop] = this.col.id.split('.');
         const val = inst.components?.[ln]?.[prop];
         const tags = window.GDEditWidgets?.parseTags?.(val) || [];
@@ -230,9 +235,7 @@ function tagsWidgetData() {
       const parsed = this.parseRefTag(tag);
       if (!parsed) return false;
 
-      const store = Alpine.store('editor');
-      const classKnown = (store.instances || []).some((instance) => instance?._class === parsed.className);
-      return classKnown;
+      return (Alpine.store('editor').classes || []).includes(parsed.className);
     },
 
     getRefTagLabel(tag) {
@@ -246,8 +249,8 @@ function tagsWidgetData() {
       return parsed.id;
     },
 
-    selectRefTag(tag) {
-      return window.GDEdit?.selectByTypedRef?.(tag) === true;
+    async selectRefTag(tag) {
+      return await window.GDEdit?.selectByTypedRef?.(tag) === true;
     },
 
     getTagHref(tag) {
@@ -200,7 +200,11 @@ function entityRefWidgetData() {
     
     toggle() {
       this.isOpen = !this.isOpen;
-      if (this.isOpen) this.searchTerm = '';
+      if (this.isOpen) {
+        this.searchTerm = '';
+        // Every instance is a candidate, not just the table page
+        void window.GDEdit.ensureAllInstances();
+      }
     }
   };
 }
@@ -283,6 +287,12 @@ function relationWidgetData() {
     },
     
     removeQualifierField(key) { delete this.qualifiers[key]; },
+
+    togglePicker() {
+      this.isOpen = !this.isOpen;
+      // Every instance is a candidate, not just the table page
+      if (this.isOpen) void window.GDEdit.ensureAllInstances();
+    },
     
     saveValue() {
       if (this.isSingle) {
@@ -0,0 +1,91 @@
+/**
+ * Workspaces Component
+ * Switches between the named storage roots in config.yaml `workspaces`;
+ * storage API calls go through GDEdit.apiUrl to the active one
+ */
+
+const WORKSPACE_STORAGE_KEY = 'gdedit-workspace';
+
+/**
+ * Header workspace switcher
+ */
+function workspaceSwitcher() {
+  return {
+    workspaces() {
+      return Alpine.store('editor').workspaces || [];
+    },
+
+    isActive(workspace) {
+      return Alpine.store('editor').workspace === workspace.name;
+    },
+
+    label(workspace) {
+      if (workspace.error) return `${workspace.name} (unavailable)`;
+      return `${workspace.name} (${workspace.instanceCount})`;
+    },
+
+    title() {
+      const active = this.workspaces().find((workspace) => this.isActive(workspace));
+      return active ? `Workspace: ${active.path}` : 'Workspace';
+    },
+
+    switchTo(name) {
+      void window.GDEdit.switchWorkspace(name);
+    }
+  };
+}
+
+window.GDEdit = window.GDEdit || {};
+
+/**
+ * Load the workspace list and pick the active one: the last one used in
+ * this browser if it is still available, otherwise the server default
+ */
+window.GDEdit.loadWorkspaces = async function() {
+  const store = Alpine.store('editor');
+  try {
+    const res = await fetch('/api/workspaces');
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    store.workspaces = await res.json();
+  } catch (e) {
+    console.error('Failed to load workspaces:', e);
+    store.workspaces = [];
+  }
+
+  const available = store.workspaces.filter((workspace) => !workspace.error);
+  const saved = localStorage.getItem(WORKSPACE_STORAGE_KEY);
+  const fallback = available.find((workspace) => workspace.default) || available[0] || null;
+  store.workspace = available.some((workspace) => workspace.name === saved)
+    ? saved
+    : (fallback?.name || null);
+};
+
+/**
+ * Make a workspace active and reload its data
+ * Row selection and paging are reset; filters and views are kept.
+ */
+window.GDEdit.switchWorkspace = async function(name) {
+  const store = Alpine.store('editor');
+  const target = (store.workspaces || []).find((workspace) => workspace.name === name);
+  if (!target || target.error || store.workspace === name) return;
+
+  store.workspace = name;
+  localStorage.setItem(WORKSPACE_STORAGE_KEY, name);
+  store.selectedRows = [];
+  store.selectedEntityId = null;
+  store.inspectorSelectedRows = [];
+  store.inspectorSelectedEntityId = null;
+  store.currentPage = 1;
+  store.instancePage = null;
+
+  window.dispatchEvent(new CustomEvent('gdedit:reload'));
+  window.dispatchEvent(new CustomEvent('gdedit:toast', { detail: `Switched to workspace "${name}"` }));
+};
+
+/**
+ * Whether a live update pushed by the server is for the active workspace
+ */
+window.GDEdit.isActiveWorkspaceMessage = function(message) {
+  const active = Alpine.store('editor').workspace;
+  return !message?.workspace || !active || message.workspace === active;
+};
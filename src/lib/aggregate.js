@@ -0,0 +1,121 @@
+/**
+ * Aggregation
+ * Group-by and summary metrics over instances, shared by the server
+ * (GET /api/aggregate) and the browser table footer (served as
+ * /js/shared/aggregate.js). Keep this module free of Node and DOM dependencies.
+ */
+import { NUMERIC_TYPES, getFieldValue, getPropertyType } from './query.js';
+
+const METRIC_FUNCTIONS = new Set(['count', 'distinct', 'sum', 'avg', 'min', 'max']);
+
+/**
+ * Parse a metrics parameter
+ * @param {string} spec - e.g. "count,sum:workunit.weight,avg:workunit.weight"
+ * @returns {Array<object>} { name, fn, field } (field null for a plain count)
+ */
+export function parseMetrics(spec) {
+  const parts = String(spec || 'count').split(',').map((part) => part.trim()).filter(Boolean);
+
+  return parts.map((name) => {
+    const colon = name.indexOf(':');
+    const fn = (colon === -1 ? name : name.slice(0, colon)).toLowerCase();
+    const field = colon === -1 ? null : name.slice(colon + 1).trim();
+
+    if (!METRIC_FUNCTIONS.has(fn)) throw new Error(`Unknown metric "${fn}"`);
+    if (!field && fn !== 'count') throw new Error(`Metric "${fn}" needs a field, e.g. ${fn}:workunit.weight`);
+    return { name, fn, field: field || null };
+  });
+}
+
+/**
+ * Group instances and compute metrics per group
+ * Array values (e.g. tags) put an instance in one group per element.
+ * @param {Array} instances - Instances to aggregate
+ * @param {object} options - { groupBy: Array<string>, metrics: from parseMetrics, schema }
+ * @returns {object} { total, groups: [{ key, count, values }] }, largest groups first
+ */
+export function aggregate(instances, { groupBy = [], metrics = parseMetrics('count'), schema = null } = {}) {
+  const groups = new Map();
+
+  for (const instance of instances) {
+    for (const key of groupKeys(instance, groupBy)) {
+      const id = JSON.stringify(groupBy.map((field) => key[field]));
+      if (!groups.has(id)) groups.set(id, { key, instances: [] });
+      groups.get(id).instances.push(instance);
+    }
+  }
+
+  const result = [...groups.values()].map((group) => ({
+    key: group.key,
+    count: group.instances.length,
+    values: Object.fromEntries(metrics.map((metric) => [metric.name, computeMetric(group.instances, metric, schema)]))
+  }));
+
+  result.sort((a, b) => b.count - a.count ||
+    JSON.stringify(Object.values(a.key)).localeCompare(JSON.stringify(Object.values(b.key))));
+
+  return { total: instances.length, groups: result };
+}
+
+function groupKeys(instance, groupBy) {
+  let keys = [{}];
+  for (const field of groupBy) {
+    const value = getFieldValue(instance, field);
+    const options = Array.isArray(value) ? (value.length ? value : [null]) : [value ?? null];
+    keys = keys.flatMap((key) => options.map((option) => ({ ...key, [field]: toKey(option) })));
+  }
+  return keys;
+}
+
+function toKey(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+function computeMetric(instances, { fn, field }, schema) {
+  if (fn === 'count' && !field) return instances.length;
+
+  const values = instances.flatMap((instance) => {
+    const value = getFieldValue(instance, field);
+    return Array.isArray(value) ? value : [value];
+  });
+  const classes = new Set(instances.map((instance) => instance._class));
+  const numeric = [...classes].some((className) => isNumericType(getPropertyType(schema, className, field)));
+  return summarizeValues(values, { numeric })[fn];
+}
+
+/**
+ * Summary statistics for a list of values
+ * Empty values (null, undefined, '') are ignored. sum and avg use numeric
+ * values only; min and max compare numbers when there are any, otherwise text
+ * (which orders ISO dates correctly).
+ * @param {Array} values - Values
+ * @param {object} options - { numeric } also treat numeric strings as numbers
+ * @returns {object} { count, distinct, sum, avg, min, max } (null when not applicable)
+ */
+export function summarizeValues(values, { numeric = false } = {}) {
+  const present = values.filter((value) => value !== undefined && value !== null && value !== '');
+  const numbers = present
+    .map((value) => (typeof value === 'number' || (numeric && typeof value === 'string') ? Number(value) : NaN))
+    .filter(Number.isFinite);
+
+  const sum = numbers.reduce((total, value) => total + value, 0);
+  const ordered = numbers.length
+    ? [...numbers].sort((a, b) => a - b)
+    : present.map((value) => (typeof value === 'object' ? JSON.stringify(value) : String(value))).sort();
+
+  return {
+    count: present.length,
+    distinct: new Set(present.map((value) => JSON.stringify(value))).size,
+    sum: numbers.length ? sum : null,
+    avg: numbers.length ? sum / numbers.length : null,
+    min: ordered.length ? ordered[0] : null,
+    max: ordered.length ? ordered[ordered.length - 1] : null
+  };
+}
+
+/**
+ * Whether a schema property type holds numbers
+ */
+export function isNumericType(type) {
+  return NUMERIC_TYPES.has(String(type || '').toLowerCase().replace(/\[\]$/, ''));
+}
@@ -2,51 +2,64 @@
  * API Routes Handler
  * HTTP API for ontology data operations
  */
-import { resolve, dirname, join } from 'path';
+import { resolve, dirname, join, sep } from 'path';
 import { readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
 import { parse as parseYaml, stringify as stringifyYaml } from 'yaml';
 import { createStore } from './store.js';
+import { applyBatch } from './batch.js';
+import { evolveSchema } from './schema-evolution.js';
+import { getRelativeStoragePath, isOntologyStorageFile, parseStorageFile } from './storage-format.js';
+import { createHistory, diffInstances, isValidRevision } from './history.js';
+import { createJournal, snapshotFiles } from './journal.js';
+import { applyFilter, parseQuery, runQuery } from './query.js';
+import { aggregate, parseMetrics } from './aggregate.js';
+import { validateConstraints } from './constraints.js';
+import { validateStorage } from './validate.js';
+import { findReferences } from './references.js';
 import { 
   saveInstance, 
-  deleteInstance, 
-  updateInstanceProperty,
-  createNewInstance 
+  toStoredInstance,
+  readInstanceRevisions
 } from './operations.js';
-
-function isPlainObject(value) {
-  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
-}
-
-function mergeInstanceComponents(baseComponents, providedComponents) {
-  const merged = isPlainObject(baseComponents)
-    ? JSON.parse(JSON.stringify(baseComponents))
-    : {};
-
-  if (!isPlainObject(providedComponents)) return merged;
-
-  for (const [localName, props] of Object.entries(providedComponents)) {
-    if (!isPlainObject(props)) continue;
-    if (!isPlainObject(merged[localName])) merged[localName] = {};
-
-    for (const [propName, propValue] of Object.entries(props)) {
-      merged[localName][propName] = propValue;
-    }
-  }
-
-  return merged;
-}
+import { withFileLock } from './file-lock.js';
+import { LAYOUT_KEYS, getLayoutFile, resolveLayout } from './layout.js';
 
 /**
  * Create API handler
  * @param {string} storagePath - Path to storage directory
+ * @param {object} storageOptions - { include, exclude } storage file globs and
+ *   { layout } defaults for new instance files; defaults to config.yaml `storage`
  * @returns {object} API handler
  */
-export function createAPI(storagePath) {
-  const store = createStore(storagePath);
-  store.load();
-  
+export function createAPI(storagePath, storageOptions = null) {
   // Config path for saving views
   const configPath = resolve(dirname(new URL(import.meta.url).pathname), '../../config.yaml');
+  const { include, exclude, layout: layoutDefaults = {} } = storageOptions || readConfig(configPath).storage;
+  const store = createStore(storagePath, { include, exclude });
+  store.load();
+  const history = createHistory(storagePath);
+  const journal = createJournal(storagePath);
+
+  // Commit API writes to the storage repo when storage.autoCommit is enabled
+  function commitWrite(files, message) {
+    if (!readConfig(configPath).storage?.autoCommit) return;
+    try {
+      history.commit(files, message);
+    } catch (error) {
+      console.error('Auto-commit failed:', error.message);
+    }
+  }
+
+  // Journal an API write for undo/redo (`before` = snapshotFiles() taken
+  // before writing), then auto-commit it
+  function afterWrite(files, message, before) {
+    try {
+      journal.record(message, files, before);
+    } catch (error) {
+      console.error('Journal write failed:', error.message);
+    }
+    commitWrite(files, message);
+  }
 
   return {
     /**
@@ -59,18 +72,22 @@ export function createAPI(storagePath) {
       const path = url.pathname;
       const method = req.method;
 
+      // Handlers are awaited so their rejections reach the catch below
       try {
         // Config CRUD endpoints
         if (path === '/api/config') {
-          return handleConfig(req, method, configPath);
+          return await handleConfig(req, method, configPath);
         }
 
         // Schema endpoints
         if (path === '/api/schema' && method === 'GET') {
           return jsonResponse(store.getSchema());
         }
+        if (path === '/api/schema/sources' && method === 'GET') {
+          return jsonResponse(store.getSchemaSources());
+        }
         if (path === '/api/schema' && method === 'PATCH') {
-          return handleSchemaPatch(req, store, storagePath);
+          return await handleSchemaPatch(req, store, storagePath, afterWrite);
         }
 
         // Classes endpoints
@@ -92,7 +109,50 @@ export function createAPI(storagePath) {
 
         // Instances endpoints
         if (path === '/api/instances' || path.startsWith('/api/instances/')) {
-          return handleInstances(req, path, method, store, storagePath);
+          return await handleInstances(req, path, method, store, storagePath, afterWrite, layoutDefaults);
+        }
+
+        // Full-text search
+        if (path === '/api/search' && method === 'GET') {
+          return await handleSearch(url.searchParams, store);
+        }
+
+        // Grouped metrics over a query
+        if (path === '/api/aggregate' && method === 'GET') {
+          return await handleAggregate(url.searchParams, store);
+        }
+
+        // Transactional batch of instance mutations
+        if (path === '/api/batch' && method === 'POST') {
+          return await handleBatch(req, store, storagePath, afterWrite, layoutDefaults);
+        }
+
+        // Git history of an instance
+        if (path.startsWith('/api/history/')) {
+          return await handleHistory(req, path, method, store, storagePath, history, afterWrite);
+        }
+
+        // Undo/redo journal
+        if (path === '/api/journal' && method === 'GET') {
+          return jsonResponse(journal.list());
+        }
+        if ((path === '/api/undo' || path === '/api/redo') && method === 'POST') {
+          return await handleUndo(path === '/api/undo' ? 'undo' : 'redo', journal, store, commitWrite);
+        }
+
+        // Storage files skipped because they failed to parse
+        if (path === '/api/diagnostics' && method === 'GET') {
+          return jsonResponse(store.getDiagnostics());
+        }
+
+        // Whole-storage validation report
+        if (path === '/api/validate' && method === 'GET') {
+          return jsonResponse(validateStorage(store));
+        }
+
+        // Raw content of a storage file (for inspecting diagnostics)
+        if (path === '/api/source' && method === 'GET') {
+          return await handleSource(url.searchParams.get('file'), storagePath);
         }
 
         // Reload data
@@ -107,7 +167,12 @@ export function createAPI(storagePath) {
 
         // Views endpoint - save views to config
         if (path === '/api/views' && method === 'POST') {
-          return handleSaveViews(req, configPath);
+          return await handleSaveViews(req, configPath);
+        }
+
+        // Saved queries endpoint - save named queries to config
+        if (path === '/api/saved-queries' && method === 'POST') {
+          return await handleSaveSavedQueries(req, configPath);
         }
 
         return notFound();
@@ -142,7 +207,7 @@ function getChatAgents(configPath) {
 
 const DEFAULT_CONFIG = {
   revision: 0,
-  storage: { path: '/workspace/ontology/storage' },
+  storage: { path: '/workspace/ontology/storage', autoCommit: false, include: [], exclude: [], layout: {} },
   server: { port: 3000, host: 'localhost' },
   ui: {
     pageSize: 20,
@@ -171,7 +236,9 @@ const DEFAULT_CONFIG = {
       components: { selected: [], pinned: [] }
     }
   },
+  workspaces: [],
   views: [],
+  savedQueries: [],
   chat: {
     defaultAgent: 'ontologist',
       command: 'wasm1 -t $AGENT',
@@ -277,7 +344,11 @@ function normalizeConfig(config) {
   return {
     revision: Math.max(0, Number.isInteger(Number(merged.revision)) ? Number(merged.revision) : 0),
     storage: {
-      path: String(merged.storage?.path || DEFAULT_CONFIG.storage.path)
+      path: String(merged.storage?.path || DEFAULT_CONFIG.storage.path),
+      autoCommit: merged.storage?.autoCommit === true,
+      include: normalizeGlobList(merged.storage?.include),
+      exclude: normalizeGlobList(merged.storage?.exclude),
+      layout: normalizeLayoutConfig(merged.storage?.layout)
     },
     server: {
       host: String(merged.server?.host || DEFAULT_CONFIG.server.host),
@@ -323,7 +394,9 @@ function normalizeConfig(config) {
         }
       }
     },
+    workspaces: normalizeWorkspaces(merged.workspaces),
     views: safeViews,
+    savedQueries: normalizeSavedQueries(merged.savedQueries),
     chat: {
       defaultAgent: String(safeChat.defaultAgent || DEFAULT_CONFIG.chat.defaultAgent),
       command: String(safeChat.command || DEFAULT_CONFIG.chat.command),
@@ -342,123 +415,102 @@ function normalizeStringArray(value) {
     .filter(Boolean);
 }
 
-async function handleSchemaPatch(req, store, storagePath) {
-  const body = await req.json().catch(() => ({}));
-  const changes = Array.isArray(body?.changes) ? body.changes : [];
-
-  if (!changes.length) {
-    return errorResponse('Schema changes are required', 400);
+// Saved queries: { name, query, mode } with unique non-empty names
+function normalizeSavedQueries(value) {
+  if (!Array.isArray(value)) return [];
+  const seen = new Set();
+  const savedQueries = [];
+
+  for (const item of value) {
+    const name = String(item?.name || '').trim();
+    if (!name || seen.has(name) || typeof item.query !== 'string') continue;
+    seen.add(name);
+    savedQueries.push({
+      name,
+      query: item.query.trim(),
+      mode: item.mode === 'precedence' ? 'precedence' : 'search'
+    });
   }
 
-  try {
-    const currentSchema = store.getSchema() || {};
-    const nextSchema = applySchemaChanges(currentSchema, changes);
-    writeGeneratedSchema(storagePath, nextSchema);
-    store.load();
-    return jsonResponse(store.getSchema());
-  } catch (error) {
-    return errorResponse(error.message || 'Failed to apply schema changes', 400);
-  }
+  return savedQueries;
 }
 
-function applySchemaChanges(schema, changes) {
-  const next = JSON.parse(JSON.stringify(schema || {}));
-  next.classes = next.classes || {};
-  next.components = next.components || {};
-  next.relations = next.relations || {};
-
-  for (const change of changes) {
-    if (!change || typeof change !== 'object') continue;
-
-    if (change.type === 'addClass') {
-      const className = String(change.className || '').trim();
-      const classComponents = Array.isArray(change.components) ? change.components : [];
-      if (!className) throw new Error('Class name is required');
-      if (next.classes[className]) throw new Error(`Class already exists: ${className}`);
-
-      if (!classComponents.length) {
-        throw new Error('Class must include at least one component');
-      }
-
-      const mappedComponents = {};
-      for (const entry of classComponents) {
-        const componentClass = typeof entry === 'string'
-          ? String(entry).trim()
-          : String(entry?.componentClass || '').trim();
-        const localName = typeof entry === 'string'
-          ? toLocalComponentName(componentClass)
-          : String(entry?.localName || toLocalComponentName(componentClass)).trim();
-
-        if (!componentClass) throw new Error('Component class is required for class composition');
-        if (!next.components[componentClass]) {
-          throw new Error(`Component not found: ${componentClass}`);
-        }
-        if (!localName) throw new Error(`Local name is required for component: ${componentClass}`);
-        mappedComponents[localName] = componentClass;
-      }
+// Workspaces: { name, path, include?, exclude? } with unique non-empty names
+function normalizeWorkspaces(value) {
+  if (!Array.isArray(value)) return [];
+  const seen = new Set();
+  const workspaces = [];
+
+  for (const item of value) {
+    const name = String(item?.name || '').trim();
+    const path = String(item?.path || '').trim();
+    if (!name || !path || seen.has(name)) continue;
+    seen.add(name);
+    const workspace = { name, path };
+    if (item.include !== undefined) workspace.include = normalizeGlobList(item.include);
+    if (item.exclude !== undefined) workspace.exclude = normalizeGlobList(item.exclude);
+    if (isObject(item.layout)) workspace.layout = normalizeLayoutConfig(item.layout);
+    workspaces.push(workspace);
+  }
 
-      next.classes[className] = { components: mappedComponents };
-      continue;
-    }
+  return workspaces;
+}
 
-    if (change.type === 'addComponent') {
-      const componentName = String(change.componentName || '').trim();
-      const properties = Array.isArray(change.properties) ? change.properties : [];
-      const targetClass = String(change.targetClass || '').trim();
-      const localName = String(change.localName || componentName).trim();
-
-      if (!componentName) throw new Error('Component name is required');
-      if (next.components[componentName]) throw new Error(`Component already exists: ${componentName}`);
-      if (!properties.length) throw new Error('Component must include at least one property');
-
-      const propertyMap = {};
-      for (const prop of properties) {
-        const propertyName = String(prop?.name || '').trim();
-        const propertyType = String(prop?.type || 'string').trim() || 'string';
-        const required = Boolean(prop?.required);
-
-        if (!propertyName) throw new Error('Property name is required');
-        if (propertyMap[propertyName]) throw new Error(`Duplicate property: ${propertyName}`);
-
-        propertyMap[propertyName] = {
-          type: propertyType,
-          required
-        };
-      }
+/**
+ * Handle PATCH /api/schema
+ * Body { changes, dryRun }: see evolveSchema. A dry run reports what each
+ * change would rewrite ({ operations, files }) without writing anything.
+ */
+async function handleSchemaPatch(req, store, storagePath, afterWrite) {
+  const body = await req.json().catch(() => ({}));
+  const dryRun = body?.dryRun === true;
+  const outcome = await evolveSchema(storagePath, store, body?.changes, { dryRun });
+
+  if (outcome.errors) {
+    const [first] = outcome.errors;
+    return errorResponse(first.error, first.status || 400, {
+      code: 'SCHEMA_CHANGE_REJECTED',
+      errors: outcome.errors
+    });
+  }
 
-      next.components[componentName] = { properties: propertyMap };
+  if (dryRun) {
+    return jsonResponse({
+      dryRun: true,
+      operations: outcome.operations,
+      files: outcome.files.map((file) => getRelativeStoragePath(storagePath, file))
+    });
+  }
 
-      // Optional backward-compatible convenience: map new component directly into a class
-      if (targetClass) {
-        if (!localName) throw new Error('Local component name is required when targetClass is provided');
-        if (!next.classes[targetClass]) throw new Error(`Target class not found: ${targetClass}`);
+  const descriptions = outcome.operations.map((operation) => operation.description);
+  const message = descriptions.length === 1
+    ? `Schema: ${descriptions[0]}`
+    : `Schema: ${descriptions.length} changes\n\n${descriptions.join('\n')}`;
+  afterWrite(outcome.files, message, outcome.before);
+  return jsonResponse(store.getSchema());
+}
 
-        const cls = next.classes[targetClass];
-        cls.components = cls.components || {};
-        cls.components[localName] = componentName;
-      }
-      continue;
-    }
+// Layout defaults for new instance files, with per-class rules under `classes` (see layout.js)
+function normalizeLayoutConfig(value) {
+  if (!isObject(value)) return {};
+  const layout = pickLayoutRule(value);
+  if (isObject(value.classes)) {
+    layout.classes = Object.fromEntries(Object.entries(value.classes)
+      .filter(([, rule]) => isObject(rule))
+      .map(([className, rule]) => [className, pickLayoutRule(rule)]));
   }
-
-  return next;
+  return layout;
 }
 
-function toLocalComponentName(componentClass) {
-  if (!componentClass) return '';
-  return componentClass.charAt(0).toLowerCase() + componentClass.slice(1).replace(/Component$/, '');
+function pickLayoutRule(rule) {
+  return Object.fromEntries(LAYOUT_KEYS
+    .map((key) => [key, String(rule[key] ?? '').trim()])
+    .filter(([, value]) => value));
 }
 
-function writeGeneratedSchema(storagePath, schema) {
-  const generatedPath = join(storagePath, '_gdedit_schema.generated.yaml');
-  const doc = {
-    apiVersion: 'agent/v1',
-    kind: 'Ontology',
-    metadata: { namespace: 'gdedit/generated' },
-    schema,
-    spec: { classes: [] }
-  };
-  writeFileSync(generatedPath, stringifyYaml(doc));
+function normalizeGlobList(value) {
+  const list = Array.isArray(value) ? value : (value ? [value] : []);
+  return list.map((item) => String(item ?? '').trim()).filter(Boolean);
 }
 
 function mergeDeep(target, source) {
@@ -481,124 +533,658 @@ function isObject(value) {
 
 /**
  * Handle instance CRUD operations
+ *
+ * Instances are addressed as /api/instances/:class/:id. The legacy
+ * /api/instances/:id form still works while the ID is unique across classes.
  */
-async function handleInstances(req, path, method, store, storagePath) {
-  const parts = path.split('/').filter(Boolean);
+async function handleInstances(req, path, method, store, storagePath, afterWrite, layoutDefaults) {
+  const parts = decodePathParts(path);
+  if (!parts) return malformedPath();
   
-  // GET /api/instances - list all
+  // GET /api/instances - list all, or query a page
   if (parts.length === 2 && method === 'GET') {
-    const url = new URL(req.url);
-    const className = url.searchParams.get('class');
-    return jsonResponse(store.getInstances(className));
-  }
-
-  // GET /api/instances/:id - get one
-  if (parts.length === 3 && method === 'GET') {
-    const instance = store.getInstance(parts[2]);
-    if (!instance) return notFound();
-    return jsonResponse(instance);
+    return listInstances(new URL(req.url).searchParams, store);
   }
 
   // POST /api/instances - create new
+  // A one-operation batch, so single and batch creates are checked alike
   if (parts.length === 2 && method === 'POST') {
-    const body = await req.json();
-    const { className, id, components } = body;
-    
-    // Check for duplicate ID
-    const existing = store.getInstance(id);
-    if (existing) {
-      return errorResponse(`Instance with ID "${id}" already exists`, 409);
+    const body = await req.json().catch(() => ({}));
+    const operation = { op: 'create', className: body?.className, id: body?.id, components: body?.components };
+    const outcome = await applyBatch(storagePath, store, [operation], { layoutDefaults });
+    if (outcome.errors) {
+      const [error] = outcome.errors;
+      return errorResponse(error.error, error.status || 400, {
+        code: error.code || (error.status === 422 ? 'VALIDATION_FAILED' : 'CREATE_REJECTED'),
+        ...(error.file ? { file: error.file } : {}),
+        ...(error.fields ? { fields: error.fields } : {})
+      });
     }
-    
-    const columns = store.getColumns(className);
-    const instance = createNewInstance(className, id, columns);
-    instance.components = mergeInstanceComponents(instance.components, components);
-    saveInstance(storagePath, instance);
-    store.load();
-    return jsonResponse(instance, 201);
-  }
-
-  // PUT /api/instances/:id - update
-  if (parts.length === 3 && method === 'PUT') {
-    const instance = store.getInstance(parts[2]);
-    if (!instance) return notFound();
-    
-    const body = await req.json();
-    const updated = { ...instance, ...body };
-    saveInstance(storagePath, updated);
-    store.load();
-    return jsonResponse(updated);
+
+    const [result] = outcome.results;
+    afterWrite(outcome.files, describeOperation({ ...operation, className: result.className, id: result.id }), outcome.before);
+    return instanceResponse(result.instance, 201);
+  }
+
+  // /api/instances/:class/:id/move
+  if (parts.length === 5 && parts[4] === 'move') {
+    return handleMove(req, method, store, parts[2], parts[3], storagePath, afterWrite, layoutDefaults);
   }
 
-  // PATCH /api/instances/:id - partial update
-  if (parts.length === 3 && method === 'PATCH') {
-    const instance = store.getInstance(parts[2]);
+  // GET /api/instances/:class/:id/references - what points at the instance
+  if (parts.length === 5 && parts[4] === 'references' && method === 'GET') {
+    const instance = store.getInstance(parts[3], parts[2]);
     if (!instance) return notFound();
-    
+    return jsonResponse({ references: findReferences(store.getInstances(), store.getSchema(), instance) });
+  }
+
+  // POST /api/instances/:class/:id/rename
+  if (parts.length === 5 && parts[4] === 'rename' && method === 'POST') {
+    return handleRename(req, store, parts[2], parts[3], storagePath, afterWrite, layoutDefaults);
+  }
+
+  if (parts.length !== 3 && parts.length !== 4) return notFound();
+
+  const target = resolveInstanceTarget(store, parts);
+  if (target.ambiguous) return target.ambiguous;
+  const instance = target.instance;
+
+  if (!instance) return notFound();
+
+  // GET /api/instances/:class/:id - get one
+  if (method === 'GET') {
+    return instanceResponse(instance);
+  }
+
+  // Writes honor If-Match against the instance revision (ETag). The body is
+  // read first, so the check sees the instance as the write will find it.
+  if (method === 'PUT' || method === 'PATCH') {
     const body = await req.json();
-    const { columnId, value } = body;
-    const updated = updateInstanceProperty({ ...instance }, columnId, value);
-    saveInstance(storagePath, updated);
-    store.load();
-    return jsonResponse(updated);
+    const current = resolveInstanceTarget(store, parts).instance;
+    if (!current) return notFound();
+    const precondition = checkIfMatch(req, current);
+    if (precondition) return precondition;
+
+    // PUT updates the instance, PATCH one property; constraints are checked
+    // by the batch on the fields that change
+    const { _class: className, _id: id } = current;
+    const operation = method === 'PUT'
+      ? {
+        op: 'update',
+        className,
+        id,
+        instance: body,
+        fields: diffInstances(current, { ...current, ...body }).map((change) => change.field)
+      }
+      : { op: 'patch', className, id, columnId: body?.columnId, value: body?.value };
+
+    const outcome = await applyBatch(storagePath, store, [operation], { layoutDefaults });
+    if (outcome.errors) return rejectedWrite(store, current, outcome.errors[0], 'UPDATE_REJECTED');
+    afterWrite(outcome.files, describeOperation(operation), outcome.before);
+    return instanceResponse(outcome.results[0].instance || current);
   }
 
-  // DELETE /api/instances/:id
-  if (parts.length === 3 && method === 'DELETE') {
-    const instance = store.getInstance(parts[2]);
-    if (!instance) return notFound();
-    
-    deleteInstance(storagePath, instance);
-    store.load();
-    return jsonResponse({ success: true });
+  // DELETE /api/instances/:class/:id[?policy=cascade|nullify|block]
+  if (method === 'DELETE') {
+    const precondition = checkIfMatch(req, instance);
+    if (precondition) return precondition;
+
+    const operation = {
+      op: 'delete',
+      className: instance._class,
+      id: instance._id,
+      policy: new URL(req.url).searchParams.get('policy') || undefined
+    };
+    const outcome = await applyBatch(storagePath, store, [operation], { layoutDefaults });
+    if (outcome.errors) return rejectedWrite(store, instance, outcome.errors[0], 'DELETE_REJECTED');
+
+    const [{ cascaded, nullified }] = outcome.results;
+    afterWrite(outcome.files, describeOperation({ ...operation, cascaded }), outcome.before);
+    return jsonResponse({ success: true, cascaded, nullified });
   }
 
   return notFound();
 }
 
+/**
+ * 422 VALIDATION_FAILED listing `fields` that break schema constraints
+ * (see constraints.js), or null when the instance passes
+ * @param {Array<string>} fields - Field ids to check (default: all); only
+ *   changed fields are checked so existing violations do not block edits
+ */
+function constraintResponse(store, instance, fields = null) {
+  const errors = validateConstraints(instance, store.getSchema(), {
+    instances: store.getInstances(),
+    fields: fields && new Set(fields)
+  });
+  if (!errors.length) return null;
+
+  const summary = errors.map((error) => `${error.field} ${error.message}`).join('; ');
+  return errorResponse(`Invalid ${instance._class}/${instance._id}: ${summary}`, 422, {
+    code: 'VALIDATION_FAILED',
+    fields: errors
+  });
+}
+
+/**
+ * GET /api/instances[?class=A,B&q=&sort=&offset=&limit=]
+ * Without q/sort/offset/limit the response is the plain instance array;
+ * otherwise { items, total, unfilteredTotal, offset, limit } where `total`
+ * counts all matches and `unfilteredTotal` the instances of the classes.
+ */
+function listInstances(params, store) {
+  const instances = instancesOfClasses(params.get('class'), store);
+
+  if (!['q', 'sort', 'offset', 'limit'].some((key) => params.has(key))) {
+    return jsonResponse(instances);
+  }
+
+  const offset = parseCount(params.get('offset'), 0);
+  const limit = parseCount(params.get('limit'), null);
+  if (offset === undefined || limit === undefined) {
+    return errorResponse('offset and limit must be non-negative integers', 400, { code: 'INVALID_PAGINATION' });
+  }
+
+  let page;
+  try {
+    page = runQuery(instances, {
+      query: params.get('q') || '',
+      sort: params.get('sort') || '',
+      offset,
+      limit,
+      schema: store.getSchema(),
+      allInstances: store.getInstances()
+    });
+  } catch (error) {
+    return errorResponse(`Invalid query: ${error.message}`, 400, { code: 'INVALID_QUERY' });
+  }
+
+  return jsonResponse({
+    items: page.items,
+    total: page.total,
+    unfilteredTotal: instances.length,
+    offset,
+    limit
+  }, 200, { 'X-Total-Count': String(page.total) });
+}
+
+// Instances of a comma-separated class list (all instances when empty)
+function instancesOfClasses(param, store) {
+  const classNames = (param || '').split(',').map((name) => name.trim()).filter(Boolean);
+  return classNames.length === 1
+    ? store.getInstances(classNames[0])
+    : store.getInstances().filter((instance) => !classNames.length || classNames.includes(instance._class));
+}
+
+/**
+ * GET /api/aggregate?class=&q=&groupBy=a,b&metrics=count,sum:workunit.weight
+ * Groups the instances matching the query and computes each metric per group.
+ */
+function handleAggregate(params, store) {
+  const groupBy = (params.get('groupBy') || '').split(',').map((field) => field.trim()).filter(Boolean);
+
+  let metrics;
+  try {
+    metrics = parseMetrics(params.get('metrics'));
+  } catch (error) {
+    return errorResponse(error.message, 400, { code: 'INVALID_METRIC' });
+  }
+
+  const schema = store.getSchema();
+  let matches;
+  try {
+    matches = applyFilter(instancesOfClasses(params.get('class'), store), parseQuery(params.get('q') || ''), {
+      schema,
+      allInstances: store.getInstances()
+    });
+  } catch (error) {
+    return errorResponse(`Invalid query: ${error.message}`, 400, { code: 'INVALID_QUERY' });
+  }
+
+  const result = aggregate(matches, { groupBy, metrics, schema });
+  return jsonResponse({
+    total: result.total,
+    groupBy,
+    metrics: metrics.map((metric) => metric.name),
+    groups: result.groups
+  });
+}
+
+/**
+ * GET /api/search?text=&class=A,B&offset=&limit=
+ * Ranked full-text matches with snippets; highlights are [start, end)
+ * offsets into each snippet's text.
+ */
+function handleSearch(params, store) {
+  const text = params.get('text') || '';
+  const offset = parseCount(params.get('offset'), 0);
+  const limit = parseCount(params.get('limit'), 20);
+  if (offset === undefined || limit === undefined) {
+    return errorResponse('offset and limit must be non-negative integers', 400, { code: 'INVALID_PAGINATION' });
+  }
+
+  const classes = (params.get('class') || '').split(',').map((name) => name.trim()).filter(Boolean);
+  const matches = store.search(text, { classes });
+
+  return jsonResponse({
+    text,
+    total: matches.length,
+    offset,
+    limit,
+    results: matches.slice(offset, offset + limit).map(({ instance, score, snippets }) => ({
+      _class: instance._class,
+      _id: instance._id,
+      _source: instance._source,
+      score,
+      snippets,
+      instance
+    }))
+  }, 200, { 'X-Total-Count': String(matches.length) });
+}
+
+// Non-negative integer query parameter; undefined when malformed
+function parseCount(value, defaultValue) {
+  if (value === null || value === '') return defaultValue;
+  return /^\d+$/.test(value) ? Number(value) : undefined;
+}
+
+/**
+ * Handle POST /api/batch
+ * Either every operation is applied or none is.
+ */
+async function handleBatch(req, store, storagePath, afterWrite, layoutDefaults) {
+  const body = await req.json().catch(() => ({}));
+  const outcome = await applyBatch(storagePath, store, body?.operations, { layoutDefaults });
+
+  if (outcome.errors) {
+    return errorResponse('Batch rejected; no changes were written', outcome.errors[0].status || 400, {
+      code: 'BATCH_REJECTED',
+      errors: outcome.errors
+    });
+  }
+
+  const operations = body.operations;
+  const message = operations.length === 1
+    ? describeOperation(operations[0])
+    : `Batch: ${operations.length} operations\n\n${operations.map(describeOperation).join('\n')}`;
+  afterWrite(outcome.files, message, outcome.before);
+
+  return jsonResponse({ success: true, results: outcome.results });
+}
+
+/**
+ * Handle POST /api/undo and /api/redo
+ * Refuses with 409 when the journal entry's files were changed by another
+ * writer since, so external edits are never overwritten.
+ * @param {string} action - 'undo' or 'redo'
+ */
+async function handleUndo(action, journal, store, commitWrite) {
+  const outcome = await journal[action]();
+  const { entry } = outcome;
+
+  if (!entry) {
+    return errorResponse(`Nothing to ${action}`, 409, { code: `NOTHING_TO_${action.toUpperCase()}` });
+  }
+  if (outcome.unavailable) {
+    return errorResponse(`"${entry.label}" cannot be undone`, 409, { code: 'UNDO_UNAVAILABLE' });
+  }
+  if (outcome.conflicts) {
+    return errorResponse(`Cannot ${action} "${entry.label}": files were changed since`, 409, {
+      code: 'JOURNAL_CONFLICT',
+      files: outcome.conflicts
+    });
+  }
+
+  store.reloadFiles(outcome.files);
+  commitWrite(outcome.files, `${action === 'undo' ? 'Undo' : 'Redo'}: ${entry.label}`);
+  return jsonResponse({ success: true, action, label: entry.label, ...journal.list() });
+}
+
+/**
+ * Files a save of the instance may write, for journal snapshots
+ */
+function instanceFiles(storagePath, instance) {
+  return [instance._source && join(storagePath, instance._source)].filter(Boolean);
+}
+
+/**
+ * Handle /api/instances/:class/:id/move
+ * - GET   { file, layoutFile }: where the instance is and where its class
+ *         layout rule puts it
+ * - POST  move it to { file } (default: layoutFile); the old document is
+ *         removed in the same atomic write
+ */
+async function handleMove(req, method, store, className, id, storagePath, afterWrite, layoutDefaults) {
+  const instance = store.getInstance(id, className);
+  if (!instance) return notFound();
+
+  if (method === 'GET') {
+    try {
+      const layout = resolveLayout(store.getSchema(), className, layoutDefaults);
+      return jsonResponse({ file: instance._source, layoutFile: getLayoutFile(instance, layout) });
+    } catch (error) {
+      return errorResponse(error.message, 400, { code: 'INVALID_LAYOUT' });
+    }
+  }
+  if (method !== 'POST') return notFound();
+
+  const body = await req.json().catch(() => ({}));
+  const current = store.getInstance(id, className);
+  if (!current) return notFound();
+  const precondition = checkIfMatch(req, current);
+  if (precondition) return precondition;
+
+  const operation = { op: 'move', className, id, file: String(body?.file || '').trim() || undefined };
+  const outcome = await applyBatch(storagePath, store, [operation], { layoutDefaults });
+  if (outcome.errors) return rejectedWrite(store, current, outcome.errors[0], 'MOVE_REJECTED');
+
+  afterWrite(outcome.files, describeOperation({ ...operation, file: outcome.results[0].file }), outcome.before);
+  return instanceResponse(outcome.results[0].instance || current);
+}
+
+/**
+ * Handle POST /api/instances/:class/:id/rename { newId }
+ * References to the instance are rewritten in the same atomic write.
+ */
+async function handleRename(req, store, className, id, storagePath, afterWrite, layoutDefaults) {
+  const body = await req.json().catch(() => ({}));
+  const instance = store.getInstance(id, className);
+  if (!instance) return notFound();
+  const precondition = checkIfMatch(req, instance);
+  if (precondition) return precondition;
+
+  const operation = { op: 'rename', className, id, newId: String(body?.newId || '').trim() };
+  const outcome = await applyBatch(storagePath, store, [operation], { layoutDefaults });
+  if (outcome.errors) return rejectedWrite(store, instance, outcome.errors[0], 'RENAME_REJECTED');
+
+  const [result] = outcome.results;
+  afterWrite(outcome.files, describeOperation(operation), outcome.before);
+  return jsonResponse({ instance: result.instance, file: result.file, updated: result.updated });
+}
+
+/**
+ * Commit message line for an instance write
+ * @param {object} operation - { op, className, id, columnId?, fields?, file?, newId?, cascaded? }
+ */
+function describeOperation({ op, className, id, columnId, fields, file, newId, cascaded }) {
+  const key = `${className}/${id}`;
+  if (op === 'create') return `Create ${key}`;
+  if (op === 'delete') {
+    return cascaded?.length ? `Delete ${key} and ${cascaded.length} referencing instance(s)` : `Delete ${key}`;
+  }
+  if (op === 'move') return file ? `Move ${key} to ${file}` : `Move ${key}`;
+  if (op === 'rename') return `Rename ${key} to ${newId}`;
+
+  const changed = columnId ? [columnId] : (fields || []);
+  return changed.length ? `Update ${key} ${changed.join(', ')}` : `Update ${key}`;
+}
+
+/**
+ * Handle /api/history/:class/:id, .../diff and .../revert
+ * - GET                       commits that touched the instance's source file
+ * - GET  .../diff?from=&to=   field changes between revisions (no `to` = current)
+ * - POST .../revert           restore the instance as stored at { revision }
+ */
+async function handleHistory(req, path, method, store, storagePath, history, afterWrite) {
+  const parts = decodePathParts(path);
+  if (!parts) return malformedPath();
+  if (parts.length !== 4 && parts.length !== 5) return notFound();
+
+  const [, , className, id, action = ''] = parts;
+  const instance = store.getInstance(id, className);
+  if (!instance) return notFound();
+
+  if (!history.isAvailable()) {
+    if (!action && method === 'GET') {
+      return jsonResponse({ available: false, sourceFile: instance._source, commits: [] });
+    }
+    return errorResponse('Storage is not a git repository', 404, { code: 'HISTORY_UNAVAILABLE' });
+  }
+
+  if (!action && method === 'GET') {
+    return jsonResponse({ available: true, sourceFile: instance._source, commits: history.getFileLog(instance._source) });
+  }
+
+  const versionAt = (revision) => (
+    revision ? history.getInstanceAt(instance._source, className, id, revision) : toStoredInstance(instance)
+  );
+
+  if (action === 'diff' && method === 'GET') {
+    const url = new URL(req.url);
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+    if (!isValidRevision(from)) return errorResponse('A valid "from" revision is required', 400);
+    if (to && !isValidRevision(to)) return errorResponse(`Invalid revision: ${to}`, 400);
+
+    return jsonResponse({ from, to: to || null, changes: diffInstances(versionAt(from), versionAt(to)) });
+  }
+
+  if (action === 'revert' && method === 'POST') {
+    const body = await req.json().catch(() => ({}));
+    const revision = body?.revision;
+    if (!isValidRevision(revision)) return errorResponse('A valid revision is required', 400);
+
+    // Checked again on disk under the lock: the instance replaced is the one checked
+    const current = store.getInstance(id, className);
+    if (!current) return notFound();
+    const precondition = checkIfMatch(req, current);
+    if (precondition) return precondition;
+
+    const past = versionAt(revision);
+    if (!past) return errorResponse(`Instance "${className}/${id}" does not exist at ${revision}`, 404);
+
+    const restored = { ...past, _class: className, _id: id, _source: current._source, _markdownBody: current._markdownBody };
+    // Current constraints apply to what the revert brings back, as to any edit
+    const invalid = constraintResponse(store, restored, diffInstances(toStoredInstance(current), past).map((change) => change.field));
+    if (invalid) return invalid;
+
+    const sourcePath = join(storagePath, current._source);
+    const outcome = await withFileLock(sourcePath, async () => {
+      // An edit the store has not reloaded yet must not be overwritten
+      const onDisk = existsSync(sourcePath)
+        ? readInstanceRevisions(current._source, parseStorageFile(sourcePath)).get(`${className}/${id}`)
+        : null;
+      if (onDisk !== current._rev) return { stale: true };
+
+      const before = snapshotFiles(instanceFiles(storagePath, current));
+      return { before, file: await saveInstance(storagePath, restored, { store }) };
+    });
+    if (outcome.stale) {
+      return rejectedWrite(store, current, { status: 412, error: 'Instance was changed by another writer' });
+    }
+
+    store.reloadFiles([outcome.file]);
+    afterWrite([outcome.file], `Revert ${className}/${id} to ${revision.slice(0, 12)}`, outcome.before);
+    return instanceResponse(store.getInstance(id, className) || restored);
+  }
+
+  return notFound();
+}
+
+/**
+ * Compare If-Match with the instance's current revision
+ * @returns {Response|null} 412 carrying the server copy on mismatch, null when the write may proceed
+ */
+function checkIfMatch(req, instance) {
+  const ifMatch = req.headers.get('If-Match');
+  if (!ifMatch || ifMatch.trim() === '*') return null;
+
+  const tags = ifMatch.split(',').map((tag) => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'));
+  if (tags.includes(instance._rev)) return null;
+
+  return errorResponse('Instance was changed by another writer', 412, {
+    code: 'PRECONDITION_FAILED',
+    etag: formatETag(instance._rev),
+    current: instance
+  });
+}
+
+/**
+ * Error response for a single-instance write the batch refused
+ * A 412 means the file changed on disk after the store loaded it; the file
+ * is re-read so `current` carries what it holds now.
+ * @param {string} code - Error code when the batch error has none
+ */
+function rejectedWrite(store, instance, error, code) {
+  if (error.status === 412) {
+    if (instance._source) store.reloadFiles([instance._source]);
+    const current = store.getInstance(instance._id, instance._class) || null;
+    return errorResponse(error.error, 412, {
+      code: 'PRECONDITION_FAILED',
+      etag: current ? formatETag(current._rev) : null,
+      current
+    });
+  }
+
+  return errorResponse(error.error, error.status || 400, {
+    code: error.code || (error.status === 422 ? 'VALIDATION_FAILED' : code),
+    ...(error.fields ? { fields: error.fields } : {}),
+    ...(error.references ? { references: error.references } : {})
+  });
+}
+
+function formatETag(revision) {
+  return `"${revision}"`;
+}
+
+function instanceResponse(instance, status = 200) {
+  return jsonResponse(instance, status, instance?._rev ? { ETag: formatETag(instance._rev) } : {});
+}
+
+/**
+ * Resolve the instance addressed by /api/instances/:id or /api/instances/:class/:id
+ * A bare ID shared by several classes yields a 409 response listing the candidates.
+ */
+function resolveInstanceTarget(store, parts) {
+  if (parts.length === 4) {
+    return { instance: store.getInstance(parts[3], parts[2]) };
+  }
+
+  const id = parts[2];
+  const candidates = store.getInstancesById(id);
+  if (candidates.length > 1) {
+    return {
+      ambiguous: errorResponse(`Instance ID "${id}" matches ${candidates.length} classes`, 409, {
+        code: 'AMBIGUOUS_ID',
+        candidates: candidates.map((c) => ({ _class: c._class, _id: c._id, _source: c._source }))
+      })
+    };
+  }
+
+  return { instance: candidates[0] };
+}
+
 /**
  * Handle saving views to config file
  */
 async function handleSaveViews(req, configPath) {
   try {
     const body = await req.json();
-    const { views } = body;
-    
-    if (!Array.isArray(views)) {
+    if (!Array.isArray(body?.views)) {
       return errorResponse('Views must be an array', 400);
     }
+    return saveConfigList(configPath, 'views', body.views, body.revision);
+  } catch (error) {
+    return errorResponse('Failed to save views: ' + error.message, 500);
+  }
+}
 
-    const current = readConfig(configPath);
-    const bodyRevision = Number(body?.revision);
-    if (!Number.isInteger(bodyRevision)) {
-      return errorResponse('Missing or invalid revision', 400, {
-        code: 'REVISION_REQUIRED',
-        expectedRevision: current.revision
-      });
-    }
-    if (bodyRevision !== current.revision) {
-      return errorResponse('Revision mismatch', 409, {
-        code: 'REVISION_MISMATCH',
-        expectedRevision: current.revision
-      });
+/**
+ * POST /api/saved-queries { savedQueries, revision }
+ * Names must be unique; search-mode queries must parse.
+ */
+async function handleSaveSavedQueries(req, configPath) {
+  try {
+    const body = await req.json();
+    const savedQueries = body?.savedQueries;
+    if (!Array.isArray(savedQueries)) {
+      return errorResponse('Saved queries must be an array', 400);
     }
 
-    const nextConfig = normalizeConfig({ ...current, views, revision: current.revision + 1 });
-    writeConfig(configPath, nextConfig);
+    const names = new Set();
+    for (const item of savedQueries) {
+      const name = String(item?.name || '').trim();
+      if (!name || typeof item.query !== 'string') {
+        return errorResponse('Each saved query needs a name and a query', 400, { code: 'INVALID_SAVED_QUERY' });
+      }
+      if (names.has(name)) {
+        return errorResponse(`Duplicate saved query name "${name}"`, 400, { code: 'INVALID_SAVED_QUERY', name });
+      }
+      names.add(name);
 
-    return jsonResponse(nextConfig);
+      if (item.mode !== 'precedence') {
+        try {
+          parseQuery(item.query, { fallback: false });
+        } catch (error) {
+          return errorResponse(`Invalid query "${name}": ${error.message}`, 400, { code: 'INVALID_QUERY', name });
+        }
+      }
+    }
+
+    return saveConfigList(configPath, 'savedQueries', savedQueries, body.revision);
   } catch (error) {
-    return errorResponse('Failed to save views: ' + error.message, 500);
+    return errorResponse('Failed to save saved queries: ' + error.message, 500);
+  }
+}
+
+// Replace one list in config, guarded by the config revision
+function saveConfigList(configPath, key, items, revision) {
+  const current = readConfig(configPath);
+  const bodyRevision = Number(revision);
+  if (!Number.isInteger(bodyRevision)) {
+    return errorResponse('Missing or invalid revision', 400, {
+      code: 'REVISION_REQUIRED',
+      expectedRevision: current.revision
+    });
+  }
+  if (bodyRevision !== current.revision) {
+    return errorResponse('Revision mismatch', 409, {
+      code: 'REVISION_MISMATCH',
+      expectedRevision: current.revision
+    });
   }
+
+  const nextConfig = normalizeConfig({ ...current, [key]: items, revision: current.revision + 1 });
+  writeConfig(configPath, nextConfig);
+  return jsonResponse(nextConfig);
 }
 
-function jsonResponse(data, status = 200) {
+/**
+ * Serve a storage file as plain text; paths outside storage are rejected
+ */
+function handleSource(file, storagePath) {
+  const root = resolve(storagePath);
+  const filePath = resolve(root, String(file || ''));
+  if (!file || !filePath.startsWith(root + sep) || !isOntologyStorageFile(filePath)) {
+    return errorResponse('Invalid storage file', 400);
+  }
+  if (!existsSync(filePath)) return notFound();
+
+  return new Response(readFileSync(filePath, 'utf8'), {
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+  });
+}
+
+export function jsonResponse(data, status = 200, headers = {}) {
   return new Response(JSON.stringify(data), {
     status,
-    headers: { 'Content-Type': 'application/json' }
+    headers: { 'Content-Type': 'application/json', ...headers }
   });
 }
 
+// URL path segments, decoded; null when one is not valid percent-encoding
+function decodePathParts(path) {
+  try {
+    return path.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+}
+
+function malformedPath() {
+  return errorResponse('Malformed URL path', 400, { code: 'INVALID_PATH' });
+}
+
 function notFound() {
   return new Response(JSON.stringify({ error: 'Not found' }), {
     status: 404,
@@ -606,7 +1192,7 @@ function notFound() {
   });
 }
 
-function errorResponse(message, status = 500, extra = {}) {
+export function errorResponse(message, status = 500, extra = {}) {
   return new Response(JSON.stringify({ error: message, ...extra }), {
     status,
     headers: { 'Content-Type': 'application/json' }
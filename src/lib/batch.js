@@ -0,0 +1,490 @@
+/**
+ * Batch Mutations
+ * Validate an ordered list of instance operations, then write every
+ * affected file atomically and reload the store once.
+ */
+import { existsSync, readFileSync, renameSync, unlinkSync } from 'fs';
+import { basename, dirname, extname, join, posix } from 'path';
+import { getRelativeStoragePath, parseStorageFileContent, serializeStorageFileContent } from './storage-format.js';
+import { instanceKey } from './store.js';
+import { writeTempFile, writeFileAtomic, removeTempFile, syncDirectory } from './fs-atomic.js';
+import { withFileLocks } from './file-lock.js';
+import { createInstanceDocument } from './ontology.js';
+import { getLayoutFile, resolveLayout } from './layout.js';
+import { validateConstraints } from './constraints.js';
+import { diffInstances } from './history.js';
+import { ON_DELETE_POLICIES, findReferences, removeReferences, renameReferences } from './references.js';
+import {
+  createNewInstance,
+  mergeInstanceComponents,
+  updateInstanceProperty,
+  toStoredInstance,
+  buildInstanceFileContent,
+  replaceInstanceInDocs,
+  removeInstanceFromDocs,
+  readInstanceRevisions
+} from './operations.js';
+
+const BATCH_OPS = new Set(['create', 'update', 'patch', 'delete', 'move', 'rename']);
+
+// Characters that would break refs (`id:Class`) or wiki links (`[[Class/id|alias]]`)
+const INVALID_ID = /[\s/:[\]|#]/;
+
+/**
+ * Apply a batch of operations as one unit
+ *
+ * Operations (applied in order, later ones see earlier ones):
+ * - { op: 'create', className, id, components }
+ * - { op: 'update', className, id, instance, ifMatch? }
+ * - { op: 'patch', className, id, columnId, value, ifMatch? }
+ * - { op: 'delete', className, id, policy?, ifMatch? }
+ * - { op: 'move', className, id, file?, ifMatch? } to a storage-relative file
+ *   (default: where its class layout rule puts it)
+ * - { op: 'rename', className, id, newId, ifMatch? }
+ *
+ * New and moved instances go where their class layout rule (see layout.js)
+ * puts them, in the rule's namespace. Created instances, and the fields an
+ * update or patch changes, must satisfy the schema constraints (see
+ * constraints.js); violations are 422 errors listing `fields`.
+ *
+ * A delete applies the `onDelete` policy of each reference to the instance
+ * (see references.js): referencing instances are deleted too (cascade) or
+ * lose the reference (nullify), and a `block` reference refuses the delete
+ * with a 409 listing `references`. `policy` overrides the schema for every
+ * reference; references from instances the batch also deletes never block.
+ * A rename rewrites every reference to the instance, including wiki links,
+ * and renames its file when the file is named after the ID.
+ *
+ * @param {string} storagePath - Storage directory
+ * @param {object} store - Data store
+ * @param {Array} operations - Ordered operations
+ * @param {object} options - { layoutDefaults } config.yaml `storage.layout`
+ * @returns {Promise<object>} { errors } when rejected (nothing written),
+ *   otherwise { results, files, before } where `before` maps each file to its
+ *   prior content
+ */
+export async function applyBatch(storagePath, store, operations, { layoutDefaults = null } = {}) {
+  const plan = planBatch(store, operations, layoutDefaults);
+  if (plan.errors.length) return { errors: plan.errors };
+
+  const staged = await withFileLocks(targetFiles(storagePath, plan.changes), () => {
+    const next = stageFiles(storagePath, plan.changes);
+    if (!next.errors.length) next.before = commitFiles(next.files);
+    return next;
+  });
+  if (staged.errors.length) return { errors: staged.errors };
+
+  const files = [...staged.files.keys()];
+  store.reloadFiles(files);
+
+  const results = plan.results.map((result) => ({
+    ...result,
+    instance: result.op === 'delete'
+      ? null
+      : (store.getInstance(result.op === 'rename' ? result.newId : result.id, result.className) || null)
+  }));
+
+  return { results, files, before: staged.before };
+}
+
+/**
+ * Run every operation against an in-memory working set
+ * @returns {object} { errors, results, changes: Map<key, { original, final, target, namespace }> }
+ *   where `target` is the file a new or moved instance goes to
+ */
+function planBatch(store, operations, layoutDefaults) {
+  const errors = [];
+  const results = [];
+  const changes = new Map();
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    errors.push({ index: null, status: 400, error: 'Batch operations are required' });
+    return { errors, results, changes };
+  }
+
+  const current = (key, className, id) => (
+    changes.has(key) ? changes.get(key).final : (store.getInstance(id, className) || null)
+  );
+
+  // Instances as they stand after the operations so far (for unique checks)
+  const workingSet = () => [
+    ...store.getInstances().filter((instance) => !changes.has(instanceKey(instance._class, instance._id))),
+    ...[...changes.values()].map((change) => change.final).filter(Boolean)
+  ];
+
+  const pendingDeletes = new Set(operations
+    .filter((operation) => operation?.op === 'delete')
+    .map((operation) => instanceKey(String(operation.className || '').trim(), String(operation.id || '').trim())));
+
+  operations.forEach((operation, index) => {
+    const fail = (status, error, details = {}) => errors.push({ index, status, error, ...details });
+    const violations = (instance, fields = null) => validateConstraints(instance, store.getSchema(), {
+      instances: workingSet(),
+      fields: fields && new Set(fields)
+    });
+    const failInvalid = (key, fields) => fail(422, `Invalid "${key}": ${fields.map((error) => `${error.field} ${error.message}`).join('; ')}`, { fields });
+    const op = String(operation?.op || '').trim();
+    const className = String(operation?.className || '').trim();
+    const id = String(operation?.id || '').trim();
+
+    if (!BATCH_OPS.has(op)) return fail(400, `Unknown operation: ${op || '(missing)'}`);
+    if (!className || !id) return fail(400, 'className and id are required');
+
+    const key = instanceKey(className, id);
+    const existing = current(key, className, id);
+    const original = changes.has(key) ? changes.get(key).original : existing;
+
+    const layoutOf = () => {
+      try {
+        return resolveLayout(store.getSchema(), className, layoutDefaults);
+      } catch (error) {
+        fail(400, error.message, { code: 'INVALID_LAYOUT' });
+        return null;
+      }
+    };
+
+    if (op === 'create') {
+      if (existing) return fail(409, `Instance "${key}" already exists`);
+      if (!store.getSchema().classes?.[className]) return fail(400, `Unknown class: ${className}`);
+      const layout = layoutOf();
+      if (!layout) return;
+
+      const instance = createNewInstance(className, id, store.getColumns(className));
+      instance.components = mergeInstanceComponents(instance.components, operation.components);
+      const invalidFields = violations(instance);
+      if (invalidFields.length) return failInvalid(key, invalidFields);
+      const target = getLayoutFile(instance, layout);
+      const invalid = checkTargetFile(store, target);
+      if (invalid) return fail(400, `Layout of ${className} puts "${key}" in ${invalid}`, { code: 'INVALID_LAYOUT', file: target });
+
+      changes.set(key, { original, final: instance, target, namespace: layout.namespace });
+      results.push({ index, op, className, id, file: target });
+      return;
+    }
+
+    if (!existing) return fail(404, `Instance "${key}" not found`);
+
+    if (operation.ifMatch && !changes.has(key)) {
+      const expected = String(operation.ifMatch).replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+      if (expected !== existing._rev) return fail(412, `Instance "${key}" was changed by another writer`);
+    }
+
+    if (op === 'move') {
+      const layout = layoutOf();
+      if (!layout) return;
+      const target = operation.file ? normalizeTargetFile(operation.file) : getLayoutFile(existing, layout);
+      const invalid = checkTargetFile(store, target);
+      if (invalid) return fail(400, `Cannot move "${key}" to ${invalid}`);
+      const from = changes.get(key)?.target || existing._source;
+      if (target === from) return fail(400, `Instance "${key}" is already in ${target}`);
+
+      changes.set(key, { original, final: existing, target, namespace: layout.namespace });
+      results.push({ index, op, className, id, file: target });
+      return;
+    }
+
+    if (op === 'delete') {
+      const policy = operation.policy ? String(operation.policy) : null;
+      if (policy && !ON_DELETE_POLICIES.includes(policy)) {
+        return fail(400, `Unknown delete policy: ${policy} (use ${ON_DELETE_POLICIES.join(', ')})`);
+      }
+
+      // Follow cascades until only nullified (or blocking) references remain
+      const schema = store.getSchema();
+      const deleted = new Map([[key, existing]]);
+      const blocked = [];
+      for (const queue = [existing]; queue.length;) {
+        const target = queue.shift();
+        for (const reference of findReferences(workingSet(), schema, target)) {
+          const sourceKey = instanceKey(reference._class, reference._id);
+          if (reference.kind === 'link' || deleted.has(sourceKey) || pendingDeletes.has(sourceKey)) continue;
+          const effective = policy || reference.policy;
+          if (effective === 'block') {
+            blocked.push({ ...reference, target: instanceKey(target._class, target._id) });
+          } else if (effective === 'cascade') {
+            const source = current(sourceKey, reference._class, reference._id);
+            deleted.set(sourceKey, source);
+            queue.push(source);
+          }
+        }
+      }
+      if (blocked.length) {
+        const sources = [...new Set(blocked.map((reference) => `${reference._class}/${reference._id}`))];
+        return fail(409, `Cannot delete "${key}": referenced by ${sources.join(', ')}`, { code: 'REFERENCED', references: blocked });
+      }
+
+      for (const [deletedKey, instance] of deleted) {
+        changes.set(deletedKey, { ...changes.get(deletedKey), original: changes.get(deletedKey)?.original ?? instance, final: null });
+      }
+      const nullified = [];
+      for (const instance of workingSet()) {
+        const updated = removeReferences(instance, schema, [...deleted.values()]);
+        if (!updated) continue;
+        const sourceKey = instanceKey(instance._class, instance._id);
+        changes.set(sourceKey, { ...changes.get(sourceKey), original: changes.get(sourceKey)?.original ?? instance, final: updated });
+        nullified.push({ className: instance._class, id: instance._id });
+      }
+
+      const cascaded = [...deleted.values()].slice(1).map((instance) => ({ className: instance._class, id: instance._id }));
+      results.push({ index, op, className, id, cascaded, nullified });
+      return;
+    }
+
+    if (op === 'rename') {
+      const newId = String(operation.newId || '').trim();
+      if (!newId || INVALID_ID.test(newId)) {
+        return fail(400, `Invalid ID "${newId}": IDs cannot contain spaces or any of / : [ ] | #`);
+      }
+      if (newId === id) return fail(400, `Instance "${key}" already has ID ${newId}`);
+      const newKey = instanceKey(className, newId);
+      if (current(newKey, className, newId)) return fail(409, `Instance "${newKey}" already exists`);
+
+      const schema = store.getSchema();
+      const final = renameReferences(existing, schema, existing, newId) || structuredClone(existing);
+      final._id = newId;
+      if (typeof final._markdownBody === 'string') {
+        // The heading new markdown files start with (see buildInstanceFileContent)
+        final._markdownBody = final._markdownBody.split('\n').map((line) => (line === `# ${key}` ? `# ${newKey}` : line)).join('\n');
+      }
+
+      // A dedicated markdown file named after the ID follows it
+      const from = changes.get(key)?.target || existing._source;
+      const target = from && basename(from) === `${id}.md` ? posix.join(posix.dirname(from), `${newId}.md`) : changes.get(key)?.target;
+      changes.set(key, { ...changes.get(key), original, final, target });
+
+      const updated = [];
+      for (const instance of workingSet()) {
+        if (instance === final) continue;
+        const renamed = renameReferences(instance, schema, existing, newId);
+        if (!renamed) continue;
+        const sourceKey = instanceKey(instance._class, instance._id);
+        changes.set(sourceKey, { ...changes.get(sourceKey), original: changes.get(sourceKey)?.original ?? instance, final: renamed });
+        updated.push({ className: instance._class, id: instance._id });
+      }
+
+      results.push({ index, op, className, id, newId, file: target || from, updated });
+      return;
+    }
+
+    let final = null;
+    if (op === 'update') {
+      final = { ...existing, ...(operation.instance || {}), _class: className, _id: id };
+    } else if (op === 'patch') {
+      const columnId = String(operation.columnId || '');
+      if (!/^[^.]+\.[^.]+$/.test(columnId)) return fail(400, `Invalid columnId: ${columnId || '(missing)'}`);
+      final = updateInstanceProperty(structuredClone(existing), columnId, operation.value);
+    }
+
+    if (final) {
+      const invalidFields = violations(final, diffInstances(existing, final).map((change) => change.field));
+      if (invalidFields.length) return failInvalid(key, invalidFields);
+    }
+
+    changes.set(key, { ...changes.get(key), original, final });
+    results.push({ index, op, className, id });
+  });
+
+  return { errors, results, changes };
+}
+
+function isMarkdown(filePath) {
+  return extname(filePath).toLowerCase() === '.md';
+}
+
+function normalizeTargetFile(file) {
+  return posix.normalize(String(file).trim().replace(/\\/g, '/')).replace(/^\.\//, '');
+}
+
+/**
+ * Why a storage-relative file cannot receive an instance, or null if it can
+ * It must stay inside storage and be a file the store loads.
+ */
+function checkTargetFile(store, file) {
+  if (!file || posix.isAbsolute(file) || file === '..' || file.startsWith('../')) {
+    return `"${file}": path must be inside storage`;
+  }
+  if (!store.fileFilter.isStorageFile(file)) {
+    return `"${file}": not a storage file (.md, .yml or .yaml outside storage.exclude)`;
+  }
+  return null;
+}
+
+/**
+ * Paths of every file a planned batch will touch
+ */
+function targetFiles(storagePath, changes) {
+  const paths = [];
+  for (const { original, final, target } of changes.values()) {
+    if (original?._source) paths.push(join(storagePath, original._source));
+    if (final && target) paths.push(join(storagePath, target));
+  }
+  return paths;
+}
+
+/**
+ * Compute the new content of every affected file
+ * @returns {object} { errors, files: Map<absPath, string|null> } (null = remove file)
+ */
+function stageFiles(storagePath, changes) {
+  const errors = [];
+  const parsed = new Map();
+  const created = new Map();
+  // Markdown files that move whole to a new name: source path → target path
+  const relocated = new Map();
+
+  // Revisions are taken as the files are read under the lock, before any edit
+  const revisions = new Map();
+  const loadFile = (filePath) => {
+    if (!parsed.has(filePath)) {
+      const file = existsSync(filePath)
+        ? parseStorageFileContent(filePath, readFileSync(filePath, 'utf8'))
+        : { docs: [], body: '', source: null };
+      revisions.set(filePath, readInstanceRevisions(getRelativeStoragePath(storagePath, filePath), file));
+      parsed.set(filePath, file);
+    }
+    return parsed.get(filePath);
+  };
+
+  for (const [key, { original, final, target, namespace }] of changes) {
+    if (!original && !final) continue;
+    const moving = Boolean(original && final && target && target !== original._source);
+
+    if (original) {
+      const filePath = join(storagePath, original._source || '');
+      if (!original._source || !existsSync(filePath)) {
+        errors.push({ index: null, status: 409, error: `Source file missing for "${key}"` });
+        continue;
+      }
+
+      const file = loadFile(filePath);
+      // Planned against the store; an edit it has not reloaded yet wins
+      const onDisk = revisions.get(filePath).get(instanceKey(original._class, original._id));
+      if (original._rev && onDisk && onDisk !== original._rev) {
+        errors.push({ index: null, status: 412, error: `Instance "${key}" was changed by another writer` });
+        continue;
+      }
+
+      // Removed from the file since the store loaded it
+      const missing = { index: null, status: 409, error: `Instance "${key}" is no longer in ${original._source}` };
+      if (final && !moving) {
+        if (!replaceInstanceInDocs(file.docs, toStoredInstance(final), original)) {
+          errors.push(missing);
+          continue;
+        }
+        // Renames rewrite wiki links in markdown bodies
+        if (typeof final._markdownBody === 'string' && final._markdownBody !== original._markdownBody) {
+          file.body = final._markdownBody;
+        }
+        continue;
+      }
+      // A markdown file holding only this instance is renamed in its
+      // directory with the instance edited in place, keeping its comments
+      const targetPath = join(storagePath, target || '');
+      if (moving && isMarkdown(filePath) && isMarkdown(targetPath)
+        && posix.dirname(target) === posix.dirname(original._source)
+        && revisions.get(filePath).size === 1
+        && !existsSync(targetPath) && !created.has(targetPath) && !parsed.has(targetPath)) {
+        if (!replaceInstanceInDocs(file.docs, toStoredInstance(final), original)) {
+          errors.push(missing);
+          continue;
+        }
+        if (typeof final._markdownBody === 'string') file.body = final._markdownBody;
+        relocated.set(filePath, targetPath);
+        continue;
+      }
+
+      const { found, remainingDocs } = removeInstanceFromDocs(file.docs, original);
+      if (!found) {
+        errors.push(missing);
+        continue;
+      }
+      file.docs = remainingDocs;
+      if (!final) continue;
+    }
+
+    // New instance, or moved out of its file
+    const filePath = join(storagePath, target);
+    const stored = toStoredInstance(final);
+    const body = final._markdownBody ?? original?._markdownBody ?? '';
+
+    if (isMarkdown(filePath)) {
+      if (created.has(filePath) || parsed.has(filePath) || existsSync(filePath)) {
+        errors.push({ index: null, status: 409, error: `File ${target} already exists; cannot add "${key}"`, code: 'FILE_EXISTS', file: target });
+        continue;
+      }
+      created.set(filePath, buildInstanceFileContent(stored, namespace, body || null));
+      continue;
+    }
+
+    if (body.trim() && body.trim() !== `# ${key}`) {
+      errors.push({ index: null, status: 400, error: `Moving "${key}" to ${target} would drop its markdown body` });
+      continue;
+    }
+    loadFile(filePath).docs.push(createInstanceDocument(stored, namespace));
+  }
+
+  const files = new Map(created);
+  for (const [filePath, { docs, body, source }] of parsed) {
+    const content = docs.length ? serializeStorageFileContent(filePath, docs, body, source) : null;
+    if (relocated.has(filePath)) {
+      files.set(filePath, null);
+      files.set(relocated.get(filePath), content);
+    } else {
+      files.set(filePath, content);
+    }
+  }
+
+  return { errors, files };
+}
+
+/**
+ * Write all staged files, restoring the originals if any step fails
+ * Each file's directory is fsynced once every rename and removal is done, so
+ * the writes survive a crash once this returns.
+ * Callers hold the file locks (see withFileLocks).
+ * @param {Map<string, string|null>} files - Target path → content (null = remove)
+ * @returns {Map<string, string|null>} Prior content of each file (null = absent)
+ */
+export function commitFiles(files) {
+  const originals = new Map();
+  for (const filePath of files.keys()) {
+    originals.set(filePath, existsSync(filePath) ? readFileSync(filePath, 'utf8') : null);
+  }
+
+  const temps = new Map();
+  try {
+    for (const [filePath, content] of files) {
+      if (content !== null) temps.set(filePath, writeTempFile(filePath, content));
+    }
+  } catch (error) {
+    for (const tempPath of temps.values()) removeTempFile(tempPath);
+    throw error;
+  }
+
+  const applied = [];
+  try {
+    for (const [filePath, content] of files) {
+      if (content === null) {
+        if (existsSync(filePath)) unlinkSync(filePath);
+      } else {
+        renameSync(temps.get(filePath), filePath);
+        temps.delete(filePath);
+      }
+      applied.push(filePath);
+    }
+  } catch (error) {
+    for (const filePath of applied) {
+      const original = originals.get(filePath);
+      if (original === null) {
+        if (existsSync(filePath)) unlinkSync(filePath);
+      } else {
+        writeFileAtomic(filePath, original);
+      }
+    }
+    for (const tempPath of temps.values()) removeTempFile(tempPath);
+    throw new Error(`Batch write failed and was rolled back: ${error.message}`);
+  }
+
+  for (const dir of new Set([...files.keys()].map((filePath) => dirname(filePath)))) syncDirectory(dir);
+  return originals;
+}
@@ -0,0 +1,101 @@
+/**
+ * Change Feed
+ * Turns store reloads into instance deltas (added, changed, removed by
+ * `_class`/`_id`) for pushing to connected clients.
+ */
+import { createHash } from 'crypto';
+import { instanceKey } from './store.js';
+
+const DEFAULT_MAX_CHANGES = 1000;
+
+/**
+ * Follow a store and report what each reload changed
+ *
+ * Deltas are computed against the state last reported, so writes reloaded
+ * by the API and external edits picked up by the watcher both reach clients
+ * exactly once. Reloads that change nothing are not reported.
+ *
+ * @param {object} store - Store from createStore (already loaded)
+ * @param {object} options - { maxChanges } larger deltas are reported as
+ *   { type: 'storage-changed' } so clients reload instead
+ * @returns {object} { subscribe(listener) } listener gets each message
+ */
+export function createChangeFeed(store, { maxChanges = DEFAULT_MAX_CHANGES } = {}) {
+  let listeners = [];
+  let snapshot = takeSnapshot(store.data);
+
+  store.subscribe((data) => {
+    const next = takeSnapshot(data);
+    const message = diffSnapshots(snapshot, next, maxChanges);
+    snapshot = next;
+    if (!message) return;
+
+    for (const listener of listeners) {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error('Change feed listener failed:', error);
+      }
+    }
+  });
+
+  function subscribe(listener) {
+    listeners.push(listener);
+    return () => {
+      listeners = listeners.filter((l) => l !== listener);
+    };
+  }
+
+  return { subscribe };
+}
+
+function takeSnapshot(data) {
+  const instances = new Map();
+  for (const instance of data.instances || []) {
+    const key = instanceKey(instance._class, instance._id);
+    // First definition wins, as in store lookups
+    if (!instances.has(key)) instances.set(key, instance);
+  }
+
+  return {
+    instances,
+    schemaHash: hashJson(data.schema),
+    diagnosticsHash: hashJson(data.diagnostics)
+  };
+}
+
+/**
+ * Message describing the changes between two snapshots
+ * @returns {object|null} { type: 'instances-changed', added, changed, removed,
+ *   schemaChanged, diagnosticsChanged }, { type: 'storage-changed' } when
+ *   too large, or null when nothing changed
+ */
+function diffSnapshots(previous, next, maxChanges) {
+  const added = [];
+  const changed = [];
+  const removed = [];
+
+  for (const [key, instance] of next.instances) {
+    const before = previous.instances.get(key);
+    if (!before) {
+      added.push(instance);
+    } else if (before._rev !== instance._rev || before._source !== instance._source) {
+      changed.push(instance);
+    }
+  }
+  for (const [key, instance] of previous.instances) {
+    if (!next.instances.has(key)) removed.push({ _class: instance._class, _id: instance._id });
+  }
+
+  const schemaChanged = previous.schemaHash !== next.schemaHash;
+  const diagnosticsChanged = previous.diagnosticsHash !== next.diagnosticsHash;
+  const count = added.length + changed.length + removed.length;
+
+  if (!count && !schemaChanged && !diagnosticsChanged) return null;
+  if (count > maxChanges) return { type: 'storage-changed' };
+  return { type: 'instances-changed', added, changed, removed, schemaChanged, diagnosticsChanged };
+}
+
+function hashJson(value) {
+  return createHash('sha1').update(JSON.stringify(value ?? null)).digest('hex');
+}
@@ -43,7 +43,7 @@ export function expandPathsInObject(obj) {
 
 const DEFAULT_CONFIG = {
   revision: 0,
-  storage: { path: '../ontology/storage' },
+  storage: { path: '../ontology/storage', autoCommit: false, include: [], exclude: [] },
   server: { port: 3000, host: 'localhost' },
   ui: {
     pageSize: 20,
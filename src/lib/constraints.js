@@ -0,0 +1,211 @@
+/**
+ * Property Constraints
+ * Validation rules stored on schema property definitions, enforced by the
+ * server on instance writes and checked by the browser while editing (served
+ * as /js/shared/constraints.js). Keep this module free of Node and DOM
+ * dependencies.
+ *
+ * Keys (next to `type` and `required`):
+ *   min, max               inclusive bounds; numbers, or dates for date properties
+ *   minLength, maxLength   string length
+ *   pattern                regular expression strings must match
+ *   enum                   allowed values
+ *   unique                 no two instances of the class share the value
+ *   allowedTypes           classes a ref may point to (`<_id>:<Class>` or an ID)
+ *
+ * Array values are checked item by item. Empty values (null, '', []) pass;
+ * `required` is the schema's concern, not a constraint.
+ */
+import { DATE_TYPES } from './query.js';
+
+export const CONSTRAINT_KEYS = ['min', 'max', 'minLength', 'maxLength', 'pattern', 'enum', 'unique', 'allowedTypes'];
+
+/**
+ * Validate and normalize one constraint value for storage in the schema
+ * @param {string} key - One of CONSTRAINT_KEYS
+ * @param {*} value - Raw value; null or '' means "no constraint"
+ * @param {string} type - Property type (min/max are dates for date properties)
+ * @returns {*} Normalized value, or null to remove the constraint
+ * @throws {Error} When the value is not valid for the key
+ */
+export function normalizeConstraint(key, value, type = 'string') {
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (key) {
+    case 'min':
+    case 'max': {
+      if (DATE_TYPES.has(type)) {
+        if (Number.isNaN(Date.parse(value))) throw new Error(`${key} must be a date`);
+        return String(value);
+      }
+      const number = Number(value);
+      if (!Number.isFinite(number)) throw new Error(`${key} must be a number`);
+      return number;
+    }
+    case 'minLength':
+    case 'maxLength': {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) throw new Error(`${key} must be a non-negative integer`);
+      return number;
+    }
+    case 'pattern':
+      try {
+        new RegExp(value);
+      } catch (error) {
+        throw new Error(`pattern is not a valid regular expression: ${error.message}`);
+      }
+      return String(value);
+    case 'enum':
+    case 'allowedTypes': {
+      const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map((item) => (typeof item === 'string' ? item.trim() : item))
+        .filter((item) => item !== '' && item !== null && item !== undefined);
+      return list.length ? list : null;
+    }
+    case 'unique':
+      return value === true || value === 'true' ? true : null;
+    default:
+      throw new Error(`Unknown constraint: ${key}`);
+  }
+}
+
+/**
+ * Constraints set on a property definition
+ * @returns {object} Only the CONSTRAINT_KEYS present
+ */
+export function pickConstraints(definition) {
+  const constraints = {};
+  for (const key of CONSTRAINT_KEYS) {
+    if (definition?.[key] !== undefined && definition[key] !== null) constraints[key] = definition[key];
+  }
+  return constraints;
+}
+
+/**
+ * Check a value against a property's constraints (all but `unique`)
+ * @param {*} value - Property value
+ * @param {object} definition - Schema property definition
+ * @param {object} options - { classOf(id) } class of an instance by ID, for
+ *   refs written without a class
+ * @returns {Array<object>} { constraint, message }
+ */
+export function checkValue(value, definition, { classOf = () => null } = {}) {
+  if (isEmpty(value) || !definition) return [];
+
+  const problems = [];
+  const items = Array.isArray(value) ? value : [value];
+  const report = (constraint, message) => {
+    if (!problems.some((problem) => problem.constraint === constraint)) problems.push({ constraint, message });
+  };
+
+  for (const item of items) {
+    if (isEmpty(item)) continue;
+
+    if (Array.isArray(definition.enum) && !definition.enum.some((allowed) => String(allowed) === String(item))) {
+      report('enum', `must be one of: ${definition.enum.join(', ')}`);
+    }
+
+    for (const key of ['min', 'max']) {
+      if (definition[key] === undefined || definition[key] === null) continue;
+      const [actual, bound] = DATE_TYPES.has(definition.type)
+        ? [Date.parse(item), Date.parse(definition[key])]
+        : [typeof item === 'boolean' ? NaN : Number(item), Number(definition[key])];
+      if (Number.isNaN(actual) || Number.isNaN(bound)) continue;
+      if (key === 'min' ? actual < bound : actual > bound) {
+        report(key, `must be ${key === 'min' ? 'at least' : 'at most'} ${definition[key]}`);
+      }
+    }
+
+    if (typeof item === 'string') {
+      if (Number.isInteger(definition.minLength) && item.length < definition.minLength) {
+        report('minLength', `must be at least ${definition.minLength} characters`);
+      }
+      if (Number.isInteger(definition.maxLength) && item.length > definition.maxLength) {
+        report('maxLength', `must be at most ${definition.maxLength} characters`);
+      }
+      if (definition.pattern && !testPattern(definition.pattern, item)) {
+        report('pattern', `must match /${definition.pattern}/`);
+      }
+    }
+
+    if (Array.isArray(definition.allowedTypes) && definition.allowedTypes.length) {
+      const className = refClass(item, classOf);
+      if (className && !definition.allowedTypes.includes(className)) {
+        report('allowedTypes', `must reference ${definition.allowedTypes.join(' or ')}, not ${className}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check an instance's property values against the schema constraints
+ * @param {object} instance - Instance (as it would be saved)
+ * @param {object} schema - Store schema
+ * @param {object} options - { instances } all instances (unique and ref
+ *   checks), { fields } Set of `local.property` ids to check (default all)
+ * @returns {Array<object>} { field, constraint, message }
+ */
+export function validateConstraints(instance, schema, { instances = [], fields = null } = {}) {
+  const errors = [];
+  const classDef = schema?.classes?.[instance?._class];
+  if (!classDef?.components) return errors;
+
+  let classById = null;
+  const classOf = (id) => {
+    if (!classById) {
+      classById = new Map();
+      for (const other of instances) {
+        if (!classById.has(other._id)) classById.set(other._id, other._class);
+      }
+    }
+    return classById.get(id) || null;
+  };
+
+  for (const [localName, componentClass] of Object.entries(classDef.components)) {
+    const properties = schema.components?.[componentClass]?.properties || {};
+    for (const [property, definition] of Object.entries(properties)) {
+      const field = `${localName}.${property}`;
+      if (fields && !fields.has(field)) continue;
+
+      const value = instance.components?.[localName]?.[property];
+      for (const problem of checkValue(value, definition, { classOf })) {
+        errors.push({ field, ...problem });
+      }
+
+      if (definition?.unique && !isEmpty(value)) {
+        const key = JSON.stringify(value);
+        const duplicate = instances.find((other) => other._class === instance._class
+          && other._id !== instance._id
+          && JSON.stringify(other.components?.[localName]?.[property]) === key);
+        if (duplicate) {
+          errors.push({ field, constraint: 'unique', message: `must be unique; ${duplicate._id} has the same value` });
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+function refClass(value, classOf) {
+  const text = String(value).trim();
+  const separator = text.lastIndexOf(':');
+  if (separator > 0 && /^[A-Za-z][A-Za-z0-9_]*$/.test(text.slice(separator + 1))) {
+    return text.slice(separator + 1);
+  }
+  return classOf(text);
+}
+
+function testPattern(pattern, text) {
+  try {
+    return new RegExp(pattern).test(text);
+  } catch {
+    return true; // Rejected when the schema is saved; do not block edits
+  }
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length);
+}
@@ -38,6 +38,7 @@ export function toJSON(instances) {
   const clean = instances.map(i => {
     const copy = { ...i };
     delete copy._source;
+    delete copy._rev;
     return copy;
   });
   return JSON.stringify(clean, null, 2);
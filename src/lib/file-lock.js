@@ -0,0 +1,101 @@
+/**
+ * Advisory File Locks
+ * Serializes read-modify-write cycles on a storage file across requests and
+ * processes via a sibling `<file>.lock` created with O_EXCL. Waiting for a
+ * lock is asynchronous, so a contended file never stalls the event loop.
+ *
+ * Only writers that take the same lock are excluded. The chat agent edits
+ * storage files from its own process without it; API writes still detect its
+ * edits by comparing the files on disk while holding the lock (see batch.js
+ * and journal.js).
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import { openSync, writeSync, closeSync, unlinkSync, statSync, mkdirSync } from 'fs';
+import { dirname, resolve } from 'path';
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 25;
+
+// Locks held by the current call chain, so nested calls on the same file do
+// not deadlock while concurrent requests still exclude each other
+const heldLocks = new AsyncLocalStorage();
+
+/**
+ * Run fn while holding the lock for filePath
+ * @param {string} filePath - Storage file to lock
+ * @param {Function} fn - Critical section (may be async)
+ * @returns {Promise<*>} Result of fn
+ */
+export function withFileLock(filePath, fn) {
+  return withFileLocks([filePath], fn);
+}
+
+/**
+ * Run fn while holding locks for several files (acquired in sorted order)
+ * @param {Array<string>} filePaths - Storage files to lock
+ * @param {Function} fn - Critical section (may be async)
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withFileLocks(filePaths, fn) {
+  const held = heldLocks.getStore() || new Set();
+  const paths = [...new Set(filePaths.map((p) => resolve(p)))].filter((p) => !held.has(p)).sort();
+  const acquired = [];
+
+  try {
+    for (const filePath of paths) {
+      await acquireLock(filePath);
+      acquired.push(filePath);
+    }
+    return await heldLocks.run(new Set([...held, ...acquired]), fn);
+  } finally {
+    for (const filePath of acquired.reverse()) releaseLock(filePath);
+  }
+}
+
+async function acquireLock(filePath) {
+  const lockPath = `${filePath}.lock`;
+  mkdirSync(dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      const fd = openSync(lockPath, 'wx');
+      writeSync(fd, String(process.pid));
+      closeSync(fd);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (isStale(lockPath)) {
+      try { unlinkSync(lockPath); } catch { /* another writer took it over */ }
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for lock on ${filePath}`);
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+function releaseLock(filePath) {
+  try {
+    unlinkSync(`${filePath}.lock`);
+  } catch {
+    // Lock was already removed as stale
+  }
+}
+
+function isStale(lockPath) {
+  try {
+    return Date.now() - statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+  } catch {
+    return false;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolveSleep) => setTimeout(resolveSleep, ms));
+}
@@ -0,0 +1,71 @@
+/**
+ * Atomic File Writes
+ * Write to a temp file in the target directory, fsync, then rename over the target
+ */
+import { openSync, writeSync, fsyncSync, closeSync, renameSync, mkdirSync, unlinkSync, existsSync } from 'fs';
+import { dirname, basename, join } from 'path';
+import { randomBytes } from 'crypto';
+
+/**
+ * Write content to a temp file next to the target (same filesystem, so rename is atomic)
+ * @param {string} filePath - Final file path
+ * @param {string} content - File content
+ * @returns {string} Temp file path
+ */
+export function writeTempFile(filePath, content) {
+  const dir = dirname(filePath);
+  mkdirSync(dir, { recursive: true });
+
+  // .tmp suffix keeps the watcher and loader from treating it as storage
+  const tempPath = join(dir, `.${basename(filePath)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`);
+  const fd = openSync(tempPath, 'w');
+  try {
+    writeSync(fd, content, null, 'utf8');
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  return tempPath;
+}
+
+/**
+ * Atomically replace a file's content
+ * @param {string} filePath - File path
+ * @param {string} content - File content
+ */
+export function writeFileAtomic(filePath, content) {
+  const tempPath = writeTempFile(filePath, content);
+  try {
+    renameSync(tempPath, filePath);
+  } catch (error) {
+    removeTempFile(tempPath);
+    throw error;
+  }
+  syncDirectory(dirname(filePath));
+}
+
+/**
+ * Best-effort removal of a leftover temp file
+ */
+export function removeTempFile(tempPath) {
+  try {
+    if (existsSync(tempPath)) unlinkSync(tempPath);
+  } catch {
+    // Nothing left to clean up
+  }
+}
+
+/**
+ * fsync a directory so a completed rename survives a crash (not supported on every platform)
+ */
+export function syncDirectory(dir) {
+  let fd = null;
+  try {
+    fd = openSync(dir, 'r');
+    fsyncSync(fd);
+  } catch {
+    // Directory fsync is unsupported on some platforms (e.g. Windows)
+  } finally {
+    if (fd !== null) closeSync(fd);
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Storage History
+ * Git-backed history for instances: commits that touched an instance's
+ * source file, field-level diffs between revisions and auto-commit of writes.
+ */
+import { spawnSync } from 'child_process';
+import { relative, resolve } from 'path';
+import { parseStorageFileContent } from './storage-format.js';
+
+const GIT_TIMEOUT_MS = 10000;
+const LOG_FIELDS = ['hash', 'shortHash', 'author', 'date', 'subject'];
+
+/**
+ * Create the history service for a storage directory
+ * @param {string} storagePath - Storage directory (inside a git work tree)
+ * @returns {object} History service
+ */
+export function createHistory(storagePath) {
+  // Checked lazily on first use
+  let available;
+
+  function git(args, { allowFailure = false } = {}) {
+    const result = spawnSync('git', args, {
+      cwd: storagePath,
+      encoding: 'utf8',
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: 32 * 1024 * 1024
+    });
+    if (result.error) throw result.error;
+    if (result.status !== 0 && !allowFailure) {
+      throw new Error(`git ${args[0]} failed: ${(result.stderr || '').trim()}`);
+    }
+    return result;
+  }
+
+  /**
+   * Whether the storage directory is tracked by git
+   */
+  function isAvailable() {
+    if (available === undefined) {
+      try {
+        available = git(['rev-parse', '--is-inside-work-tree'], { allowFailure: true }).status === 0;
+      } catch {
+        available = false; // git is not installed
+      }
+    }
+    return available;
+  }
+
+  /**
+   * Commits that touched a storage file, newest first
+   * @param {string} sourceFile - Storage-relative path
+   * @param {number} limit - Maximum number of commits
+   * @returns {Array<object>} { hash, shortHash, author, date, subject }
+   */
+  function getFileLog(sourceFile, limit = 50) {
+    if (!isAvailable()) return [];
+
+    const result = git([
+      'log', '--follow', `-n${limit}`, '--format=%H%x1f%h%x1f%an%x1f%aI%x1f%s', '--', sourceFile
+    ], { allowFailure: true });
+    if (result.status !== 0) return [];
+
+    return result.stdout.split('\n').filter(Boolean).map((line) => {
+      const values = line.split('\x1f');
+      return Object.fromEntries(LOG_FIELDS.map((field, i) => [field, values[i] || '']));
+    });
+  }
+
+  /**
+   * Read an instance as stored at a revision
+   * @param {string} sourceFile - Storage-relative path
+   * @param {string} className - Instance class
+   * @param {string} id - Instance ID
+   * @param {string} revision - Commit-ish (e.g. a hash or `hash~1`)
+   * @returns {object|null} Stored instance, or null if absent at that revision
+   */
+  function getInstanceAt(sourceFile, className, id, revision) {
+    if (!isAvailable()) return null;
+
+    const result = git(['show', `${revision}:./${sourceFile}`], { allowFailure: true });
+    if (result.status !== 0) return null;
+
+    let parsed;
+    try {
+      parsed = parseStorageFileContent(sourceFile, result.stdout);
+    } catch {
+      return null;
+    }
+
+    for (const doc of parsed.docs) {
+      if (!doc || doc.kind !== 'Ontology' || !Array.isArray(doc.spec?.classes)) continue;
+      const found = doc.spec.classes.find((inst) => inst?._class === className && inst?._id === id);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Commit the given storage files (no-op when nothing changed)
+   * @param {Array<string>} filePaths - Absolute or storage-relative paths
+   * @param {string} message - Commit message
+   * @returns {string|null} New commit hash
+   */
+  function commit(filePaths, message) {
+    if (!isAvailable()) return null;
+
+    const paths = [...new Set((filePaths || []).filter(Boolean)
+      .map((filePath) => relative(storagePath, resolve(storagePath, filePath)).replace(/\\/g, '/')))];
+    if (!paths.length) return null;
+
+    git(['add', '-A', '--', ...paths]);
+    const result = git(['commit', '-m', message, '--', ...paths], { allowFailure: true });
+    if (result.status !== 0) {
+      if (/nothing (added )?to commit|no changes added/.test(result.stdout + result.stderr)) return null;
+      throw new Error(`git commit failed: ${(result.stderr || result.stdout).trim()}`);
+    }
+
+    return git(['rev-parse', 'HEAD']).stdout.trim();
+  }
+
+  return {
+    isAvailable,
+    getFileLog,
+    getInstanceAt,
+    commit
+  };
+}
+
+/**
+ * Whether a string is safe to pass to git as a revision
+ */
+export function isValidRevision(revision) {
+  return typeof revision === 'string' && /^[0-9A-Za-z_][0-9A-Za-z_.~^/-]*$/.test(revision);
+}
+
+/**
+ * Field-level diff between two versions of an instance
+ * Fields are component properties (`localName.property`), relations
+ * (`relations.NAME`) and other non-internal top-level keys.
+ * @param {object|null} before - Older version (null if it did not exist)
+ * @param {object|null} after - Newer version (null if it was removed)
+ * @returns {Array<object>} { field, type: 'added'|'removed'|'changed', before, after }
+ */
+export function diffInstances(before, after) {
+  const oldFields = flattenInstance(before);
+  const newFields = flattenInstance(after);
+  const changes = [];
+
+  for (const field of new Set([...oldFields.keys(), ...newFields.keys()])) {
+    const hadField = oldFields.has(field);
+    const hasField = newFields.has(field);
+    const oldValue = oldFields.get(field);
+    const newValue = newFields.get(field);
+
+    if (!hadField) {
+      changes.push({ field, type: 'added', before: null, after: newValue });
+    } else if (!hasField) {
+      changes.push({ field, type: 'removed', before: oldValue, after: null });
+    } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, type: 'changed', before: oldValue, after: newValue });
+    }
+  }
+
+  return changes;
+}
+
+function flattenInstance(instance) {
+  const fields = new Map();
+  if (!instance) return fields;
+
+  for (const [key, value] of Object.entries(instance)) {
+    if (key.startsWith('_') || key === 'components' || key === 'relations') continue;
+    fields.set(key, value);
+  }
+  for (const [localName, props] of Object.entries(instance.components || {})) {
+    for (const [property, value] of Object.entries(props || {})) {
+      fields.set(`${localName}.${property}`, value);
+    }
+  }
+  for (const [name, targets] of Object.entries(instance.relations || {})) {
+    fields.set(`relations.${name}`, targets);
+  }
+
+  return fields;
+}
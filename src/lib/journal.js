@@ -0,0 +1,271 @@
+/**
+ * Operation Journal
+ * Append-only log of storage writes with before/after file snapshots,
+ * replayed on startup to rebuild the undo/redo stack. The log holds whole
+ * file contents, so it lives outside the storage directory (one file per
+ * storage path under ~/.gdedit/journals) and is compacted as entries age out.
+ */
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, unlinkSync } from 'fs';
+import { basename, dirname, join, resolve } from 'path';
+import { homedir } from 'os';
+import { createHash, randomUUID } from 'crypto';
+import { getRelativeStoragePath } from './storage-format.js';
+import { writeFileAtomic } from './fs-atomic.js';
+import { withFileLocks } from './file-lock.js';
+
+const JOURNAL_DIR = join(homedir(), '.gdedit', 'journals');
+const LEGACY_JOURNAL_FILE = join('.gdedit', 'journal.jsonl');
+const DEFAULT_LIMIT = 200;
+
+/**
+ * Journal file for a storage directory
+ * @param {string} storagePath - Storage directory
+ * @returns {string} Absolute path under ~/.gdedit/journals
+ */
+export function journalPathFor(storagePath) {
+  const root = resolve(storagePath);
+  const hash = createHash('sha1').update(root).digest('hex').slice(0, 12);
+  return join(JOURNAL_DIR, `${basename(root) || 'storage'}-${hash}.jsonl`);
+}
+
+/**
+ * Read the current content of files before a write
+ * @param {Array<string>} filePaths - Absolute paths the write may touch
+ * @returns {Map<string, string|null>} Content by path (null = file absent)
+ */
+export function snapshotFiles(filePaths) {
+  const snapshot = new Map();
+  for (const filePath of filePaths || []) {
+    if (filePath && !snapshot.has(filePath)) snapshot.set(filePath, readIfExists(filePath));
+  }
+  return snapshot;
+}
+
+/**
+ * Create the undo/redo journal for a storage directory
+ *
+ * Log lines are { type: 'record', entry }, { type: 'undo', id } and
+ * { type: 'redo', id }. Entries before the cursor are applied; entries after
+ * it were undone and can be redone until the next record truncates them.
+ *
+ * @param {string} storagePath - Storage directory
+ * @param {object} options - { limit } entries kept, { journalPath } log file
+ *   (default: journalPathFor(storagePath))
+ * @returns {object} Journal service
+ */
+export function createJournal(storagePath, { limit = DEFAULT_LIMIT, journalPath = journalPathFor(storagePath) } = {}) {
+  let entries = [];
+  let cursor = 0;
+  let logLines = 0;
+
+  adoptLegacyJournal();
+  load();
+
+  // Older versions kept the journal in <storage>/.gdedit, where it could be committed
+  function adoptLegacyJournal() {
+    const legacyPath = join(storagePath, LEGACY_JOURNAL_FILE);
+    if (!existsSync(legacyPath) || existsSync(journalPath)) return;
+    mkdirSync(dirname(journalPath), { recursive: true });
+    try {
+      renameSync(legacyPath, journalPath);
+    } catch {
+      // Different filesystem: copy, then drop the old log
+      writeFileAtomic(journalPath, readFileSync(legacyPath, 'utf8'));
+      unlinkSync(legacyPath);
+    }
+  }
+
+  function load() {
+    const lines = (readIfExists(journalPath) || '').split('\n').filter(Boolean);
+
+    for (const line of lines) {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue; // Torn final line after a crash
+      }
+      if (event.type === 'record' && event.entry) {
+        entries.length = cursor;
+        entries.push(event.entry);
+        cursor = entries.length;
+      } else if (event.type === 'undo' && entries[cursor - 1]?.id === event.id) {
+        cursor -= 1;
+      } else if (event.type === 'redo' && entries[cursor]?.id === event.id) {
+        cursor += 1;
+      }
+    }
+
+    logLines = lines.length;
+    trim();
+    if (logLines > liveLines()) compact();
+  }
+
+  function trim() {
+    const excess = entries.length - limit;
+    if (excess <= 0) return;
+    entries = entries.slice(excess);
+    cursor = Math.max(0, cursor - excess);
+  }
+
+  // Lines a compacted log holds: every entry, plus an undo per undone entry
+  function liveLines() {
+    return entries.length + (entries.length - cursor);
+  }
+
+  /**
+   * Compact the log once it holds as many dead lines (trimmed entries,
+   * truncated redo branches, undo/redo events) as live ones, so it stays
+   * bounded while the rewrite cost is spread over many writes
+   */
+  function compactIfStale() {
+    if (logLines - liveLines() >= Math.max(liveLines(), 1)) compact();
+  }
+
+  function compact() {
+    const lines = [
+      ...entries.map((entry) => ({ type: 'record', entry })),
+      ...entries.slice(cursor).reverse().map((entry) => ({ type: 'undo', id: entry.id }))
+    ];
+    mkdirSync(dirname(journalPath), { recursive: true });
+    writeFileAtomic(journalPath, lines.map((line) => `${JSON.stringify(line)}\n`).join(''));
+    logLines = lines.length;
+  }
+
+  function append(event) {
+    mkdirSync(dirname(journalPath), { recursive: true });
+    appendFileSync(journalPath, `${JSON.stringify(event)}\n`);
+    logLines += 1;
+    compactIfStale();
+  }
+
+  /**
+   * Record a completed write
+   * Files missing from `before` cannot be restored, so the entry is kept for
+   * the history panel but marked not undoable.
+   * @param {string} label - Description of the write
+   * @param {Array<string>} files - Absolute paths that were written
+   * @param {Map<string, string|null>} before - Snapshot taken before the write
+   * @returns {object|null} Entry, or null when nothing changed
+   */
+  function record(label, files, before) {
+    const changes = [];
+    let undoable = true;
+
+    for (const filePath of new Set((files || []).filter(Boolean))) {
+      const after = readIfExists(filePath);
+      if (!before?.has(filePath)) undoable = false;
+      const previous = before?.has(filePath) ? before.get(filePath) : null;
+      if (previous === after) continue;
+      changes.push({ file: getRelativeStoragePath(storagePath, filePath), before: previous, after });
+    }
+    if (!changes.length) return null;
+
+    const entry = {
+      id: randomUUID(),
+      time: new Date().toISOString(),
+      label,
+      undoable,
+      changes
+    };
+
+    entries.length = cursor;
+    entries.push(entry);
+    cursor = entries.length;
+    trim();
+    append({ type: 'record', entry });
+    return entry;
+  }
+
+  /**
+   * Revert the most recent applied entry
+   * @returns {Promise<object>} { entry, files } on success; { entry: null }
+   *   when there is nothing to undo; { entry, unavailable } or
+   *   { entry, conflicts } when the entry cannot be reverted
+   */
+  async function undo() {
+    const entry = entries[cursor - 1];
+    if (!entry) return { entry: null };
+    if (!entry.undoable) return { entry, unavailable: true };
+
+    return restore(entry, 'before', () => entries[cursor - 1] === entry, () => {
+      cursor -= 1;
+      append({ type: 'undo', id: entry.id });
+    });
+  }
+
+  /**
+   * Re-apply the most recently undone entry
+   * @returns {Promise<object>} Same shape as undo()
+   */
+  async function redo() {
+    const entry = entries[cursor];
+    if (!entry) return { entry: null };
+
+    return restore(entry, 'after', () => entries[cursor] === entry, () => {
+      cursor += 1;
+      append({ type: 'redo', id: entry.id });
+    });
+  }
+
+  /**
+   * Write one side of an entry's changes, provided every file still holds the
+   * other side (otherwise something else edited it since and nothing is
+   * written). Whether the entry is still next in line is checked again once
+   * the files are locked, since other writes may be recorded while waiting.
+   */
+  function restore(entry, side, isNext, advance) {
+    const expected = side === 'before' ? 'after' : 'before';
+    const paths = entry.changes.map((change) => resolve(storagePath, change.file));
+
+    return withFileLocks(paths, () => {
+      const conflicts = entry.changes
+        .filter((change, i) => !isNext() || readIfExists(paths[i]) !== change[expected])
+        .map((change) => change.file);
+      if (conflicts.length) return { entry, conflicts };
+
+      entry.changes.forEach((change, i) => {
+        const content = change[side];
+        if (content === null) {
+          if (existsSync(paths[i])) unlinkSync(paths[i]);
+        } else {
+          mkdirSync(dirname(paths[i]), { recursive: true });
+          writeFileAtomic(paths[i], content);
+        }
+      });
+      advance();
+      return { entry, files: paths };
+    });
+  }
+
+  /**
+   * Entries for the history panel, newest first, without file contents
+   */
+  function list() {
+    const summaries = entries.map((entry, index) => ({
+      id: entry.id,
+      time: entry.time,
+      label: entry.label,
+      undoable: entry.undoable,
+      undone: index >= cursor,
+      files: entry.changes.map((change) => change.file)
+    }));
+
+    return {
+      canUndo: Boolean(entries[cursor - 1]?.undoable),
+      canRedo: cursor < entries.length,
+      entries: summaries.reverse()
+    };
+  }
+
+  return {
+    record,
+    undo,
+    redo,
+    list
+  };
+}
+
+function readIfExists(filePath) {
+  return existsSync(filePath) ? readFileSync(filePath, 'utf8') : null;
+}
@@ -0,0 +1,95 @@
+/**
+ * Storage Layout
+ * Where new instances are written: directory and filename templates, file
+ * format and namespace per class.
+ */
+import { join } from 'path';
+
+export const DEFAULT_NAMESPACE = 'stormy';
+
+const LAYOUT_FORMATS = { md: '.md', yaml: '.yaml', yml: '.yml' };
+export const LAYOUT_KEYS = ['directory', 'filename', 'format', 'namespace'];
+
+export const DEFAULT_LAYOUT = {
+  directory: '{_class}',
+  filename: '{_id}',
+  format: 'md',
+  namespace: DEFAULT_NAMESPACE
+};
+
+/**
+ * Layout rule for a class
+ *
+ * Later sources override earlier ones, key by key: the built-in default
+ * (`<Class>/<id>.md`), config.yaml `storage.layout`, the schema class
+ * definition's `storage`, then config.yaml `storage.layout.classes.<Class>`.
+ *
+ * @param {object} schema - Store schema
+ * @param {string} className - Class name
+ * @param {object} defaults - config.yaml `storage.layout` (optional)
+ * @returns {object} { directory, filename, format, namespace }
+ */
+export function resolveLayout(schema, className, defaults = null) {
+  const layout = { ...DEFAULT_LAYOUT };
+  const sources = [
+    defaults,
+    schema?.classes?.[className]?.storage,
+    defaults?.classes?.[className]
+  ];
+
+  for (const source of sources) {
+    if (!source || typeof source !== 'object') continue;
+    for (const key of LAYOUT_KEYS) {
+      const value = String(source[key] ?? '').trim();
+      if (value) layout[key] = value;
+    }
+  }
+
+  layout.format = layout.format.toLowerCase().replace(/^\./, '');
+  if (!LAYOUT_FORMATS[layout.format]) {
+    throw new Error(`Unknown storage format "${layout.format}" for class ${className}; use md or yaml`);
+  }
+  return layout;
+}
+
+/**
+ * Storage-relative file an instance belongs in under a layout rule
+ *
+ * Templates substitute `{_id}`, `{_class}` and `{component.property}`.
+ * Substituted values cannot add path segments: separators become `-`, and
+ * empty values become `_`.
+ *
+ * @param {object} instance - Instance
+ * @param {object} layout - From resolveLayout
+ * @returns {string} e.g. "tasks/open/t1.md"
+ */
+export function getLayoutFile(instance, layout) {
+  const directory = renderTemplate(layout.directory, instance)
+    .split('/')
+    .filter((segment) => segment && segment !== '.' && segment !== '..');
+  const filename = renderTemplate(layout.filename, instance).replace(/\//g, '-') || '_';
+  return [...directory, `${filename}${LAYOUT_FORMATS[layout.format]}`].join('/');
+}
+
+/**
+ * Absolute path of the file an instance belongs in
+ */
+export function getLayoutPath(storagePath, instance, layout) {
+  return join(storagePath, getLayoutFile(instance, layout));
+}
+
+function renderTemplate(template, instance) {
+  return String(template || '').replace(/\{([^{}]+)\}/g, (match, field) => {
+    const value = templateValue(instance, field.trim());
+    const text = Array.isArray(value) ? value.join('-') : String(value ?? '');
+    return text.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-').trim() || '_';
+  });
+}
+
+function templateValue(instance, field) {
+  if (field === '_id' || field === '_class') return instance[field];
+  const [localName, property] = field.split('.');
+  if (!property) return null;
+  const value = instance.components?.[localName]?.[property];
+  return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : value;
+}
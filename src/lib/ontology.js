@@ -9,11 +9,20 @@ import {
   listOntologyFiles,
   parseStorageFile,
   getRelativeStoragePath,
-  extractWikiLinks
+  extractWikiLinks,
+  describeParseError
 } from './storage-format.js';
 
+// Schema definitions written by the schema editor (see schema-evolution.js)
+export const GENERATED_SCHEMA_FILE = '_gdedit_schema.generated.yaml';
+
+const SCHEMA_SECTIONS = ['components', 'classes', 'relations'];
+const SECTION_LABELS = { components: 'Component', classes: 'Class', relations: 'Relation' };
+
 /**
  * Load all YAML files from storage directory
+ * Files that fail to parse are skipped and listed in `diagnostics`, along
+ * with conflicting schema definitions.
  * @param {string} storagePath - Path to storage directory
  * @returns {object} Parsed ontology data
  */
@@ -22,34 +31,66 @@ export function loadOntology(storagePath) {
     throw new Error(`Storage path not found: ${storagePath}`);
   }
 
-  const files = listOntologyFiles(storagePath);
+  const entries = [];
+  const diagnostics = [];
+  for (const filePath of listOntologyFiles(storagePath)) {
+    const sourceFile = getRelativeStoragePath(storagePath, filePath);
+    try {
+      entries.push({ sourceFile, ...parseStorageFile(filePath) });
+    } catch (error) {
+      diagnostics.push(describeParseError(sourceFile, error));
+    }
+  }
+
+  const ontology = buildOntology(entries);
+  return { ...ontology, diagnostics: [...diagnostics, ...ontology.schemaConflicts] };
+}
+
+/**
+ * Build ontology data from already-parsed storage files
+ *
+ * A component, class or relation defined in several places takes the
+ * definition read last. GENERATED_SCHEMA_FILE is read first, so hand-written
+ * definitions always win over generated ones. Duplicates that differ are
+ * reported in `schemaConflicts`.
+ *
+ * @param {Array} entries - Parsed files: { sourceFile, docs, body }
+ * @returns {object} { schema, instances, schemaSources, schemaConflicts } where
+ *   schemaSources.<section>.<name> lists the defining files in read order
+ *   (the last one is in effect)
+ */
+export function buildOntology(entries) {
   const schema = { components: {}, classes: {}, relations: {} };
+  const sources = { components: {}, classes: {}, relations: {}, definitions: new Map() };
   const instances = [];
+  const ordered = [
+    ...entries.filter((entry) => entry.sourceFile === GENERATED_SCHEMA_FILE),
+    ...entries.filter((entry) => entry.sourceFile !== GENERATED_SCHEMA_FILE)
+  ];
 
-  for (const filePath of files) {
-    const { docs, body } = parseStorageFile(filePath);
-    const sourceFile = getRelativeStoragePath(storagePath, filePath);
-    
+  for (const { sourceFile, docs, body } of ordered) {
     for (const doc of docs) {
-      processDocument(doc, schema, instances, sourceFile, body);
+      processDocument(doc, schema, instances, sourceFile, body, sources);
     }
   }
 
-  return { schema, instances };
+  const { definitions, ...schemaSources } = sources;
+  return { schema, instances, schemaSources, schemaConflicts: findSchemaConflicts(definitions) };
 }
 
 /**
  * Process a single YAML document
  */
-function processDocument(doc, schema, instances, sourceFile, markdownBody = '') {
+function processDocument(doc, schema, instances, sourceFile, markdownBody = '', sources) {
   if (!doc || doc.kind !== 'Ontology') return;
 
   if (doc.schema) {
-    mergeSchema(schema, doc.schema);
+    mergeSchema(schema, doc.schema, sourceFile, sources);
   }
 
-  if (doc.spec?.classes) {
+  if (Array.isArray(doc.spec?.classes)) {
     for (const inst of doc.spec.classes) {
+      if (!inst || typeof inst !== 'object') continue;
       const mergedRelations = { ...(inst.relations || {}) };
       if (markdownBody) {
         const links = extractWikiLinks(markdownBody);
@@ -62,8 +103,9 @@ function processDocument(doc, schema, instances, sourceFile, markdownBody = '')
         }
       }
 
+      // Clone so edits to loaded instances never leak into cached parse results
       instances.push({
-        ...inst,
+        ...structuredClone(inst),
         relations: mergedRelations,
         _markdownBody: markdownBody || '',
         _source: sourceFile
@@ -73,18 +115,57 @@ function processDocument(doc, schema, instances, sourceFile, markdownBody = '')
 }
 
 /**
- * Merge schema definitions
+ * Merge schema definitions, recording the file each one came from
  */
-function mergeSchema(target, source) {
-  if (source.components) {
-    Object.assign(target.components, source.components);
+function mergeSchema(target, source, sourceFile, sources) {
+  for (const section of SCHEMA_SECTIONS) {
+    const definitions = source[section];
+    if (!definitions || typeof definitions !== 'object') continue;
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      target[section][name] = definition;
+      (sources[section][name] ||= []).push(sourceFile);
+
+      const key = `${section}/${name}`;
+      if (!sources.definitions.has(key)) sources.definitions.set(key, []);
+      sources.definitions.get(key).push({ file: sourceFile, definition });
+    }
   }
-  if (source.classes) {
-    Object.assign(target.classes, source.classes);
+}
+
+/**
+ * Diagnostics for definitions that appear more than once with different content
+ * @returns {Array<object>} { file, line, column, message, kind: 'schema-conflict', section, name, files }
+ */
+function findSchemaConflicts(definitions) {
+  const conflicts = [];
+  for (const [key, occurrences] of definitions) {
+    if (new Set(occurrences.map(({ definition }) => stableStringify(definition))).size < 2) continue;
+
+    const [section, name] = [key.slice(0, key.indexOf('/')), key.slice(key.indexOf('/') + 1)];
+    const files = [...new Set(occurrences.map(({ file }) => file))];
+    const file = occurrences.at(-1).file;
+    conflicts.push({
+      file,
+      line: null,
+      column: null,
+      message: `${SECTION_LABELS[section]} ${name} is defined differently in ${files.join(', ')}; using ${file}`,
+      kind: 'schema-conflict',
+      section,
+      name,
+      files
+    });
   }
-  if (source.relations) {
-    Object.assign(target.relations, source.relations);
+  return conflicts;
+}
+
+// JSON with object keys sorted, so key order does not count as a difference
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
   }
+  return JSON.stringify(value ?? null);
 }
 
 /**
@@ -140,13 +221,13 @@ export function getClassRelations(schema, className) {
 }
 
 /**
- * Serialize instance to YAML
+ * Ontology document holding a single instance
  * @param {object} instance - Instance object
  * @param {string} namespace - Namespace
- * @returns {string} YAML string
+ * @returns {object} Document
  */
-export function serializeInstance(instance, namespace) {
-  const doc = {
+export function createInstanceDocument(instance, namespace) {
+  return {
     apiVersion: 'agent/v1',
     kind: 'Ontology',
     metadata: { namespace },
@@ -154,6 +235,14 @@ export function serializeInstance(instance, namespace) {
       classes: [instance]
     }
   };
-  
-  return stringifyYaml(doc);
+}
+
+/**
+ * Serialize instance to YAML
+ * @param {object} instance - Instance object
+ * @param {string} namespace - Namespace
+ * @returns {string} YAML string
+ */
+export function serializeInstance(instance, namespace) {
+  return stringifyYaml(createInstanceDocument(instance, namespace));
 }
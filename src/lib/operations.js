@@ -2,28 +2,46 @@
  * Instance Operations
  * CRUD operations for ontology instances
  */
-import { writeFileSync, unlinkSync, existsSync, mkdirSync } from 'fs';
-import { dirname, join } from 'path';
-import { serializeInstance } from './ontology.js';
+import { unlinkSync, existsSync } from 'fs';
+import { extname, join } from 'path';
+import { buildOntology, createInstanceDocument, serializeInstance } from './ontology.js';
+import { getInstanceRevision, instanceKey } from './store.js';
+import { writeFileAtomic } from './fs-atomic.js';
+import { withFileLock } from './file-lock.js';
+import { DEFAULT_NAMESPACE, getLayoutPath, resolveLayout } from './layout.js';
 import {
   listOntologyFiles,
   parseStorageFile,
   serializeStorageFileContent,
-  getRelativeStoragePath
+  getRelativeStoragePath,
+  extractWikiLinks
 } from './storage-format.js';
 
+export { DEFAULT_NAMESPACE };
+
 /**
  * Find which file contains a given instance
  * @param {string} storagePath - Storage directory  
  * @param {string} instanceId - Instance ID
  * @param {string} instanceClass - Instance class
+ * @param {object} store - Data store to consult before scanning (optional)
  * @returns {string|null} Filename if found, null otherwise
  */
-function findInstanceFile(storagePath, instanceId, instanceClass) {
-  const files = listOntologyFiles(storagePath);
+function findInstanceFile(storagePath, instanceId, instanceClass, store = null) {
+  const indexed = store?.getInstance(instanceId, instanceClass);
+  if (indexed?._source && existsSync(join(storagePath, indexed._source))) {
+    return indexed._source;
+  }
+
+  const files = listOntologyFiles(storagePath, store?.fileFilter);
   
   for (const filePath of files) {
-    const { docs } = parseStorageFile(filePath);
+    let docs;
+    try {
+      ({ docs } = parseStorageFile(filePath));
+    } catch {
+      continue; // Unparseable files are reported via store diagnostics
+    }
 
     for (const doc of docs) {
       if (!doc || doc.kind !== 'Ontology') continue;
@@ -40,60 +58,171 @@ function findInstanceFile(storagePath, instanceId, instanceClass) {
 
 /**
  * Save instance to storage
- * Updates existing file if instance came from a multi-doc file,
- * otherwise creates/updates a dedicated file for the instance.
+ * Updates the file that already holds the instance; a new instance is added
+ * to the file its class layout rule names (see layout.js).
  * 
  * @param {string} storagePath - Storage directory
  * @param {object} instance - Instance to save
- * @param {string} namespace - Namespace
+ * @param {object} options - { store } to resolve existing files from the
+ *   index, { layout } rule for new instances (default: from the store schema)
+ * @returns {Promise<string>} Path of the file that was written
  */
-export function saveInstance(storagePath, instance, namespace = 'stormy') {
+export async function saveInstance(storagePath, instance, { store = null, layout = null } = {}) {
   const sourceFile = instance._source;
-  
-  // Remove internal fields before saving
-  const cleanInstance = { ...instance };
-  delete cleanInstance._source;
-  delete cleanInstance._markdownBody;
+  const cleanInstance = toStoredInstance(instance);
   
   // If instance has a source file, try to update it in place
   if (sourceFile) {
     const sourceFilePath = join(storagePath, sourceFile);
     if (existsSync(sourceFilePath)) {
-      const updated = updateInstanceInFile(sourceFilePath, cleanInstance, namespace);
+      const updated = await updateInstanceInFile(sourceFilePath, cleanInstance);
       if (updated) return sourceFilePath;
     }
   }
   
   // Check if instance exists in ANY file before creating a new one
-  const existingFile = findInstanceFile(storagePath, cleanInstance._id, cleanInstance._class);
+  const existingFile = findInstanceFile(storagePath, cleanInstance._id, cleanInstance._class, store);
   if (existingFile) {
     const existingPath = join(storagePath, existingFile);
-    const updated = updateInstanceInFile(existingPath, cleanInstance, namespace);
+    const updated = await updateInstanceInFile(existingPath, cleanInstance);
     if (updated) return existingPath;
   }
   
-  // Fallback: create dedicated file for this NEW instance
-  const filePath = join(storagePath, instance._class, `${instance._id}.md`);
-  mkdirSync(dirname(filePath), { recursive: true });
-  
-  const yamlDoc = serializeInstance(cleanInstance, namespace);
-  const body = `# ${instance._class}/${instance._id}\n\n`;
-  const content = `---\n${yamlDoc.trim()}\n---\n${body}`;
-  writeFileSync(filePath, content, 'utf8');
+  // Fallback: add this NEW instance where its layout rule puts it
+  const rule = layout || resolveLayout(store?.getSchema(), instance._class);
+  const filePath = getLayoutPath(storagePath, instance, rule);
+  await addInstanceToFile(filePath, cleanInstance, rule.namespace);
   
   return filePath;
 }
 
 /**
- * Update an instance within a multi-document YAML file
- * @param {string} filePath - Path to the YAML file
- * @param {object} instance - Updated instance data
+ * Add an instance to a storage file
+ * A markdown file holds one instance, so it must not exist yet; YAML files
+ * get a new document appended.
+ * @param {string} filePath - Target file (extension selects the format)
+ * @param {object} instance - Clean instance (see toStoredInstance)
+ * @param {string} namespace - Namespace of the new document
+ * @param {string} body - Markdown body (.md only; default: a heading)
+ */
+export async function addInstanceToFile(filePath, instance, namespace = DEFAULT_NAMESPACE, body = null) {
+  await withFileLock(filePath, () => {
+    if (extname(filePath).toLowerCase() === '.md') {
+      if (existsSync(filePath)) {
+        throw new Error(`Cannot add "${instance._class}/${instance._id}": ${filePath} already exists`);
+      }
+      writeFileAtomic(filePath, buildInstanceFileContent(instance, namespace, body));
+      return;
+    }
+
+    if (!existsSync(filePath)) {
+      writeFileAtomic(filePath, serializeInstance(instance, namespace));
+      return;
+    }
+    const { docs, body: fileBody, source } = parseStorageFile(filePath);
+    docs.push(createInstanceDocument(instance, namespace));
+    writeFileAtomic(filePath, serializeStorageFileContent(filePath, docs, fileBody, source));
+  });
+}
+
+/**
+ * Strip internal (loader-added) fields from an instance before it is written
+ * @param {object} instance - Instance as held in the store
+ * @returns {object} Instance as stored on disk
+ */
+export function toStoredInstance(instance) {
+  const cleanInstance = { ...instance };
+  delete cleanInstance._source;
+  delete cleanInstance._markdownBody;
+  delete cleanInstance._rev;
+
+  // LINKS_TO is derived from [[wiki-links]] in the markdown body on load
+  const linkIds = [...new Set(extractWikiLinks(instance._markdownBody || '').map(link => link.id))];
+  const linksTo = cleanInstance.relations?.LINKS_TO;
+  if (linkIds.length && Array.isArray(linksTo) && linksTo.join('\n') === linkIds.join('\n')) {
+    cleanInstance.relations = { ...cleanInstance.relations };
+    delete cleanInstance.relations.LINKS_TO;
+  }
+
+  return cleanInstance;
+}
+
+/**
+ * Path of the dedicated markdown file of the default layout (`<Class>/<id>.md`)
+ */
+export function getDedicatedInstancePath(storagePath, instance) {
+  return join(storagePath, instance._class, `${instance._id}.md`);
+}
+
+/**
+ * Content of a dedicated markdown file holding a single instance
+ * @param {object} instance - Clean instance (see toStoredInstance)
  * @param {string} namespace - Namespace
- * @returns {boolean} True if updated, false if not found
+ * @param {string} body - Markdown body (default: a heading naming the instance)
+ * @returns {string} File content
  */
-function updateInstanceInFile(filePath, instance, namespace) {
-  const { docs, body } = parseStorageFile(filePath);
-  
+export function buildInstanceFileContent(instance, namespace = DEFAULT_NAMESPACE, body = null) {
+  const yamlDoc = serializeInstance(instance, namespace);
+  const markdown = body || `# ${instance._class}/${instance._id}\n\n`;
+  return `---\n${yamlDoc.trim()}\n---\n${markdown}`;
+}
+
+/**
+ * Revisions (see getInstanceRevision) of the instances a storage file holds
+ * Compared with the loaded `_rev` while the file is locked, they reveal edits
+ * the store has not reloaded yet.
+ * @param {string} sourceFile - Storage-relative path
+ * @param {object} parsed - { docs, body } as parsed from the file
+ * @returns {Map<string, string>} Revision by `Class/id`
+ */
+export function readInstanceRevisions(sourceFile, { docs, body }) {
+  const revisions = new Map();
+  for (const instance of buildOntology([{ sourceFile, docs, body }]).instances) {
+    const key = instanceKey(instance._class, instance._id);
+    if (!revisions.has(key)) revisions.set(key, getInstanceRevision(instance));
+  }
+  return revisions;
+}
+
+/**
+ * Replace an instance inside parsed storage documents
+ * @param {Array} docs - Parsed documents (mutated)
+ * @param {object} instance - Clean instance matched by _class/_id
+ * @param {object} match - Instance to replace, when its _id differs (renames)
+ * @returns {boolean} True if replaced, false if not found
+ */
+export function replaceInstanceInDocs(docs, instance, match = instance) {
+  for (const doc of docs) {
+    if (!doc || doc.kind !== 'Ontology') continue;
+
+    if (doc.spec?.classes) {
+      const idx = doc.spec.classes.findIndex(
+        c => c._id === match._id && c._class === match._class
+      );
+
+      if (idx !== -1) {
+        const stored = { ...instance };
+        // The loader adds an empty relations map; don't write it back where there was none
+        const relations = stored.relations;
+        if (!('relations' in doc.spec.classes[idx]) && relations && !Object.keys(relations).length) {
+          delete stored.relations;
+        }
+        doc.spec.classes[idx] = stored;
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Remove an instance from parsed storage documents
+ * @param {Array} docs - Parsed documents (mutated)
+ * @param {object} instance - Instance matched by _class/_id
+ * @returns {{found: boolean, remainingDocs: Array}} Documents that still hold content
+ */
+export function removeInstanceFromDocs(docs, instance) {
   let found = false;
   for (const doc of docs) {
     if (!doc || doc.kind !== 'Ontology') continue;
@@ -104,19 +233,43 @@ function updateInstanceInFile(filePath, instance, namespace) {
       );
 
       if (idx !== -1) {
-        doc.spec.classes[idx] = instance;
+        doc.spec.classes.splice(idx, 1);
         found = true;
         break;
       }
     }
   }
-  
-  if (found) {
-    const newContent = serializeStorageFileContent(filePath, docs, body);
-    writeFileSync(filePath, newContent, 'utf8');
-  }
-  
-  return found;
+
+  const remainingDocs = docs.filter(doc => {
+    if (!doc) return false;
+    if (doc.schema) return true;
+    if (doc.spec?.classes && Array.isArray(doc.spec.classes)) {
+      return doc.spec.classes.length > 0;
+    }
+    return false;
+  });
+
+  return { found, remainingDocs };
+}
+
+/**
+ * Update an instance within a multi-document YAML file
+ * @param {string} filePath - Path to the YAML file
+ * @param {object} instance - Updated instance data
+ * @returns {Promise<boolean>} True if updated, false if not found
+ */
+function updateInstanceInFile(filePath, instance) {
+  return withFileLock(filePath, () => {
+    if (!existsSync(filePath)) return false;
+    const { docs, body, source } = parseStorageFile(filePath);
+
+    const found = replaceInstanceInDocs(docs, instance);
+    if (found) {
+      writeFileAtomic(filePath, serializeStorageFileContent(filePath, docs, body, source));
+    }
+
+    return found;
+  });
 }
 
 /**
@@ -125,23 +278,24 @@ function updateInstanceInFile(filePath, instance, namespace) {
  * 
  * @param {string} storagePath - Storage directory
  * @param {object} instance - Instance to delete
+ * @returns {Promise<string|false>} Path of the file that was changed or removed, false if not found
  */
-export function deleteInstance(storagePath, instance) {
+export async function deleteInstance(storagePath, instance) {
   const sourceFile = instance._source;
   
   if (sourceFile) {
     const sourceFilePath = join(storagePath, sourceFile);
     if (existsSync(sourceFilePath)) {
-      const removed = removeInstanceFromFile(sourceFilePath, instance);
-      if (removed) return true;
+      const removed = await removeInstanceFromFile(sourceFilePath, instance);
+      if (removed) return sourceFilePath;
     }
   }
   
   // Fallback: try dedicated markdown file (new format)
-  const newFilePath = join(storagePath, instance._class, `${instance._id}.md`);
+  const newFilePath = getDedicatedInstancePath(storagePath, instance);
   if (existsSync(newFilePath)) {
-    unlinkSync(newFilePath);
-    return true;
+    await withFileLock(newFilePath, () => unlinkSync(newFilePath));
+    return newFilePath;
   }
 
   // Legacy fallback: old dedicated yaml file
@@ -149,8 +303,8 @@ export function deleteInstance(storagePath, instance) {
   const filePath = join(storagePath, filename);
   
   if (existsSync(filePath)) {
-    unlinkSync(filePath);
-    return true;
+    await withFileLock(filePath, () => unlinkSync(filePath));
+    return filePath;
   }
   return false;
 }
@@ -159,47 +313,24 @@ export function deleteInstance(storagePath, instance) {
  * Remove an instance from a multi-document YAML file
  * @param {string} filePath - Path to the YAML file
  * @param {object} instance - Instance to remove
- * @returns {boolean} True if removed
+ * @returns {Promise<boolean>} True if removed
  */
 function removeInstanceFromFile(filePath, instance) {
-  const { docs, body } = parseStorageFile(filePath);
-  
-  let found = false;
-  for (const doc of docs) {
-    if (!doc || doc.kind !== 'Ontology') continue;
+  return withFileLock(filePath, () => {
+    if (!existsSync(filePath)) return false;
+    const { docs, body, source } = parseStorageFile(filePath);
 
-    if (doc.spec?.classes) {
-      const idx = doc.spec.classes.findIndex(
-        c => c._id === instance._id && c._class === instance._class
-      );
-
-      if (idx !== -1) {
-        doc.spec.classes.splice(idx, 1);
-        found = true;
-        break;
+    const { found, remainingDocs } = removeInstanceFromDocs(docs, instance);
+    if (found) {
+      if (remainingDocs.length > 0) {
+        writeFileAtomic(filePath, serializeStorageFileContent(filePath, remainingDocs, body, source));
+      } else {
+        unlinkSync(filePath);
       }
     }
-  }
 
-  if (found) {
-    const remainingDocs = docs.filter(doc => {
-      if (!doc) return false;
-      if (doc.schema) return true;
-      if (doc.spec?.classes && Array.isArray(doc.spec.classes)) {
-        return doc.spec.classes.length > 0;
-      }
-      return false;
-    });
-
-    if (remainingDocs.length > 0) {
-      const newContent = serializeStorageFileContent(filePath, remainingDocs, body);
-      writeFileSync(filePath, newContent, 'utf8');
-    } else {
-      unlinkSync(filePath);
-    }
-  }
-  
-  return found;
+    return found;
+  });
 }
 
 /**
@@ -257,6 +388,35 @@ export function createNewInstance(className, id, columns) {
   return instance;
 }
 
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Overlay provided component values onto a base component map
+ * @param {object} baseComponents - Existing/default components
+ * @param {object} providedComponents - Values to apply
+ * @returns {object} Merged copy
+ */
+export function mergeInstanceComponents(baseComponents, providedComponents) {
+  const merged = isPlainObject(baseComponents)
+    ? JSON.parse(JSON.stringify(baseComponents))
+    : {};
+
+  if (!isPlainObject(providedComponents)) return merged;
+
+  for (const [localName, props] of Object.entries(providedComponents)) {
+    if (!isPlainObject(props)) continue;
+    if (!isPlainObject(merged[localName])) merged[localName] = {};
+
+    for (const [propName, propValue] of Object.entries(props)) {
+      merged[localName][propName] = propValue;
+    }
+  }
+
+  return merged;
+}
+
 /**
  * Get default value for property type
  */
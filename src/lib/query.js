@@ -1,117 +1,752 @@
 /**
- * Query Parser
- * Parses ontology search queries
+ * Query Engine
+ * Parser and evaluator for the ontology search DSL, shared by the server
+ * (GET /api/instances) and the browser (served as /js/shared/query.js).
+ * Keep this module free of Node and DOM dependencies.
+ *
+ * Syntax:
+ *   text                      id, class, any component value or markdown body contains text
+ *   :Class                    instances of Class
+ *   :Class.local.prop: value  property equals value
+ *   :Class.local.prop > 50    comparison: = != > >= < <=, typed by the schema
+ *                             property type (int, float, date, bool)
+ *   ... in [a, b]             property equals one of the values
+ *   ... ~ /regex/i            property matches a regular expression, run in
+ *                             linear time by regex.js (no backreferences or
+ *                             lookaround; at most 200 characters, tested
+ *                             against the first 10,000 characters of a value)
+ *   ... exists | empty        property is set | null, '' or []
+ *   id:Class[: value]         id (with * wildcards) and class, optional text
+ *   -[:RELATION]->: target    outgoing relation (to target, if given)
+ *   -[:REL]->{1,5} term       path of 1-5 REL hops to an instance matching term
+ *   <-[:REL]-* term           incoming path: reachable from a term instance;
+ *                             hops {n}, {n,m}, {n,} or * (1+); REL may be
+ *                             `*` (any) or `A|B`
+ *   a AND b, a OR b, NOT a, ( ... ); adjacent terms are ANDed
  */
 
+import { compileRegex } from './regex.js';
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT']);
+const OPERATOR_PATTERN = /^(>=|<=|!=|==|=|>|<|~)/;
+// Property types by how their values compare (shared with aggregate.js and constraints.js)
+export const NUMERIC_TYPES = new Set(['int', 'integer', 'float', 'double', 'number']);
+export const DATE_TYPES = new Set(['date', 'datetime']);
+const BOOLEAN_TYPES = new Set(['bool', 'boolean']);
+
+// Compiled `~ /regex/` operands, keyed by their AST value
+const regexCache = new WeakMap();
+// Size bounds on `~ /regex/` terms; regex.js keeps their matching linear
+const MAX_REGEX_LENGTH = 200;
+const MAX_REGEX_INPUT = 10000;
+// Relation graphs for path queries, keyed by evaluation context
+const graphCache = new WeakMap();
+
 /**
- * Parse a search query string
+ * Parse a query string into an AST
  * @param {string} query - Query string
- * @returns {object} Parsed query object
+ * @param {object} options - { fallback } treat unparseable input as a bare
+ *   text search (default) instead of throwing
+ * @returns {object} AST ({ type: 'empty' } for a blank query)
  */
-export function parseQuery(query) {
-  if (!query || typeof query !== 'string') {
+export function parseQuery(query, { fallback = true } = {}) {
+  if (!query || typeof query !== 'string' || !query.trim()) {
     return { type: 'empty' };
   }
 
   const trimmed = query.trim();
-  
-  // Bare value search (no operators)
-  if (!trimmed.includes(':') && !trimmed.includes('-[')) {
+  try {
+    return parseTokens(tokenize(trimmed));
+  } catch (error) {
+    if (!fallback) throw error;
     return { type: 'bare', value: trimmed };
   }
+}
+
+/**
+ * Query text that means what parseQuery makes of `query` and also parses
+ * without the fallback: unparseable input becomes one quoted bare term.
+ * Combine queries through it, as in `(${a}) AND (${b})`.
+ * @param {string} query - Query string
+ * @returns {string} Query string ('' for a blank query)
+ */
+export function toStrictQuery(query) {
+  const trimmed = typeof query === 'string' ? query.trim() : '';
+  if (!trimmed) return '';
+  try {
+    parseTokens(tokenize(trimmed));
+    return trimmed;
+  } catch {
+    return `"${trimmed.replace(/["\\]/g, '\\$&')}"`;
+  }
+}
+
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+  let spaced = false;
+  // `space` marks tokens preceded by whitespace (`->: id` vs `-> :Class`)
+  const push = (token) => {
+    tokens.push({ ...token, space: spaced });
+    spaced = false;
+  };
+
+  while (i < query.length) {
+    const ch = query[i];
+
+    if (/\s/.test(ch)) {
+      spaced = true;
+      i++;
+      continue;
+    }
+    if (query.startsWith('<-[', i)) {
+      push({ type: 'LBRACKET_IN' });
+      i += 3;
+      continue;
+    }
+    if (query.startsWith('-[', i)) {
+      push({ type: 'LBRACKET' });
+      i += 2;
+      continue;
+    }
+    if (query.startsWith('->', i)) {
+      push({ type: 'ARROW' });
+      i += 2;
+      continue;
+    }
+    // Closing dash of an incoming edge: <-[:REL]-
+    if (ch === '-' && tokens[tokens.length - 1]?.type === 'RBRACKET') {
+      push({ type: 'DASH' });
+      i++;
+      continue;
+    }
+
+    const operator = query.slice(i).match(OPERATOR_PATTERN);
+    if (operator) {
+      push({ type: 'OP', value: operator[1] === '==' ? '=' : operator[1] });
+      i += operator[1].length;
+      continue;
+    }
+
+    // Regex literal, only as the operand of ~
+    if (ch === '/' && tokens[tokens.length - 1]?.value === '~') {
+      let pattern = '';
+      i++;
+      while (i < query.length && query[i] !== '/') {
+        if (query[i] === '\\' && i + 1 < query.length) pattern += query[i++];
+        pattern += query[i++];
+      }
+      if (i >= query.length) throw new Error('Unterminated regular expression');
+      i++;
+      const flags = query.slice(i).match(/^[a-z]*/)[0];
+      i += flags.length;
+      push({ type: 'REGEX', pattern, flags });
+      continue;
+    }
+
+    const single = { ':': 'COLON', '(': 'LPAREN', ')': 'RPAREN', '[': 'LBRACKET', ']': 'RBRACKET' }[ch];
+    if (single) {
+      push({ type: single });
+      i++;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < query.length && query[i] !== ch) {
+        if (query[i] === '\\' && i + 1 < query.length) i++;
+        value += query[i];
+        i++;
+      }
+      if (i >= query.length) throw new Error('Unterminated quoted string');
+      i++;
+      push({ type: 'STRING', value });
+      continue;
+    }
+
+    let word = '';
+    while (i < query.length && !/[\s:()[\]"'<>=~]/.test(query[i]) && !/^(->|!=)/.test(query.slice(i, i + 2))) {
+      word += query[i];
+      i++;
+    }
+    if (!word) throw new Error(`Unexpected character "${ch}"`);
+
+    const upper = word.toUpperCase();
+    push(KEYWORDS.has(upper) ? { type: upper } : { type: 'WORD', value: word });
+  }
+
+  push({ type: 'EOF' });
+  return tokens;
+}
+
+function parseTokens(tokens) {
+  let pos = 0;
+
+  const current = () => tokens[pos];
+  const peek = (offset) => tokens[pos + offset] || { type: 'EOF' };
+  const consume = (type) => (current().type === type ? tokens[pos++] : null);
+  const expect = (type) => {
+    const token = consume(type);
+    if (!token) throw new Error(`Expected ${type}, got ${current().type}`);
+    return token;
+  };
+  const startsPrimary = () => !['AND', 'OR', 'RPAREN', 'EOF'].includes(current().type);
+
+  // Expression = AndExpr (OR AndExpr)*
+  function parseOrExpr() {
+    let left = parseAndExpr();
+    while (consume('OR')) {
+      left = { type: 'or', left, right: parseAndExpr() };
+    }
+    return left;
+  }
+
+  // AndExpr = NotExpr ((AND)? NotExpr)*
+  function parseAndExpr() {
+    let left = parseNotExpr();
+    while (consume('AND') || startsPrimary()) {
+      left = { type: 'and', left, right: parseNotExpr() };
+    }
+    return left;
+  }
+
+  // NotExpr = NOT NotExpr | Primary
+  function parseNotExpr() {
+    if (consume('NOT')) return { type: 'not', operand: parseNotExpr() };
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    if (consume('LPAREN')) {
+      const expr = parseOrExpr();
+      expect('RPAREN');
+      return expr;
+    }
+
+    // -[:RELATION]->{hops}: id  |  -[:RELATION]->{hops} term  (and <-[:RELATION]- for incoming)
+    const incoming = Boolean(consume('LBRACKET_IN'));
+    if (incoming || consume('LBRACKET')) {
+      expect('COLON');
+      const relation = expect('WORD').value;
+      expect('RBRACKET');
+      expect(incoming ? 'DASH' : 'ARROW');
+      const hops = parseHops();
+      const edge = { type: 'relation', relation, direction: incoming ? 'in' : 'out', ...hops, value: null, target: null };
+
+      if (current().type === 'COLON' && !current().space) {
+        pos++;
+        return { ...edge, value: parseValue() };
+      }
+      return startsPrimary() ? { ...edge, target: parseNotExpr() } : edge;
+    }
+
+    // id:Class[: value]
+    if (current().type === 'WORD' && peek(1).type === 'COLON' && peek(2).type === 'WORD') {
+      const id = consume('WORD').value;
+      consume('COLON');
+      const className = consume('WORD').value;
+      const value = consume('COLON') ? parseValue() : null;
+      return { type: 'idclass', id, class: className, value };
+    }
+
+    // :Class[.local.prop][: value | operator value]
+    if (consume('COLON')) {
+      const path = expect('WORD').value;
+      const dot = path.indexOf('.');
+      const className = dot === -1 ? path : path.slice(0, dot);
+      const property = dot === -1 ? null : path.slice(dot + 1);
+      const comparison = property ? parseComparison() : null;
+      if (comparison) return { type: 'class', class: className || null, property, ...comparison };
+
+      const value = consume('COLON') ? parseValue() : null;
+      return { type: 'class', class: className || null, property, op: '=', value };
+    }
+
+    const value = parseValue();
+    if (value === null) throw new Error(`Unexpected ${current().type}`);
+    return { type: 'bare', value };
+  }
+
+  // Hops = '{n}' | '{min,max}' | '{min,}' | '*' (1 or more), default exactly 1
+  function parseHops() {
+    const token = current();
+    if (token.type !== 'WORD' || token.space) return { min: 1, max: 1 };
+
+    if (token.value === '*') {
+      pos++;
+      return { min: 1, max: Infinity };
+    }
+
+    const match = token.value.match(/^\{(\d+)(?:(,)(\d*))?\}$/);
+    if (!match) return { min: 1, max: 1 };
+    pos++;
+
+    const min = Number(match[1]);
+    const max = !match[2] ? min : match[3] === '' ? Infinity : Number(match[3]);
+    if (max < min) throw new Error(`Invalid hop range ${token.value}`);
+    return { min, max };
+  }
+
+  // Comparison = ':'? OP value | ':'? 'in' List | ':'? '~' REGEX | 'exists' | 'empty'
+  function parseComparison() {
+    const start = pos;
+    const colon = Boolean(consume('COLON'));
+    const word = current().type === 'WORD' ? current().value.toLowerCase() : null;
+
+    const operator = consume('OP');
+    if (operator?.value === '~') {
+      const regex = expect('REGEX');
+      if (regex.pattern.length > MAX_REGEX_LENGTH) {
+        throw new Error(`Regular expression longer than ${MAX_REGEX_LENGTH} characters`);
+      }
+      compileRegex(regex.pattern, regex.flags); // Throws on an invalid or unsupported pattern
+      return { op: '~', value: { pattern: regex.pattern, flags: regex.flags } };
+    }
+    if (operator) {
+      const value = parseValue();
+      if (value === null) throw new Error(`Expected a value after ${operator.value}`);
+      return { op: operator.value, value };
+    }
+
+    if (word === 'in' && peek(1).type === 'LBRACKET') {
+      pos += 2;
+      return { op: 'in', value: parseList() };
+    }
+    if (!colon && (word === 'exists' || word === 'empty')) {
+      pos++;
+      return { op: word, value: null };
+    }
+
+    pos = start;
+    return null;
+  }
 
-  // Class property search: [id]:Class[.property]: <value>
-  const classMatch = trimmed.match(/^([^:]*):([^.:\s]*)(?:\.([^:]+))?:\s*(.*)$/);
-  if (classMatch) {
-    const [, id, className, property, value] = classMatch;
-    return {
-      type: 'class',
-      id: id || null,
-      class: className || null,
-      property: property || null,
-      value: parseValue(value)
-    };
+  // List = '[' (value (',' value)*)? ']' after the opening bracket
+  function parseList() {
+    const values = [];
+    while (!consume('RBRACKET')) {
+      const token = current();
+      if (token.type === 'STRING') {
+        values.push(token.value);
+      } else if (token.type === 'WORD') {
+        for (const item of token.value.split(',')) {
+          if (item) values.push(parseLiteral(item));
+        }
+      } else {
+        throw new Error(`Unexpected ${token.type} in list`);
+      }
+      pos++;
+    }
+    return values;
   }
 
-  // Relation search: -[:RELATION]->: <value>
-  const relMatch = trimmed.match(/-\[:([^\]]+)\]->\s*:\s*(.*)$/);
-  if (relMatch) {
-    const [, relation, value] = relMatch;
-    return { type: 'relation', relation, value: parseValue(value) };
+  // Value = consecutive words (joined as a phrase) or one quoted string
+  function parseValue() {
+    const quoted = consume('STRING');
+    if (quoted) return quoted.value;
+
+    const words = [];
+    while (current().type === 'WORD' && peek(1).type !== 'COLON') {
+      words.push(consume('WORD').value);
+    }
+    if (!words.length) return null;
+    return words.length === 1 ? parseLiteral(words[0]) : words.join(' ');
   }
 
-  return { type: 'bare', value: trimmed };
+  const ast = parseOrExpr();
+  if (current().type !== 'EOF') throw new Error(`Unexpected ${current().type}`);
+  return ast;
+}
+
+function parseLiteral(word) {
+  const lower = word.toLowerCase();
+  if (lower === 'true') return true;
+  if (lower === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(word)) return Number(word);
+  return word;
+}
+
+/**
+ * Filter instances by a parsed query
+ * @param {Array} instances - Instances
+ * @param {object} ast - AST from parseQuery
+ * @param {object} context - { schema, allInstances }: schema types property
+ *   comparisons; relation paths traverse allInstances (default: instances)
+ * @returns {Array} Matching instances, in input order
+ */
+export function applyFilter(instances, ast, context = {}) {
+  if (!ast || ast.type === 'empty') return instances;
+
+  // Fresh context per call, so relation graphs are built once per filter
+  const scope = { ...context, allInstances: context.allInstances || instances };
+  return instances.filter((instance) => matchInstance(instance, ast, scope));
+}
+
+/**
+ * Whether one instance matches a parsed query
+ */
+export function matchInstance(instance, ast, context = {}) {
+  switch (ast?.type) {
+    case 'bare':
+      return matchBare(instance, ast.value);
+    case 'class':
+      return matchClass(instance, ast, context);
+    case 'idclass':
+      return matchIdClass(instance, ast);
+    case 'relation':
+      return matchRelation(instance, ast, context);
+    case 'and':
+      return matchInstance(instance, ast.left, context) && matchInstance(instance, ast.right, context);
+    case 'or':
+      return matchInstance(instance, ast.left, context) || matchInstance(instance, ast.right, context);
+    case 'not':
+      return !matchInstance(instance, ast.operand, context);
+    default:
+      return true;
+  }
+}
+
+function matchBare(instance, search) {
+  if (search === null || search === undefined || search === '') return true;
+  const s = String(search).toLowerCase();
+  const text = searchText(instance);
+
+  return text.id.includes(s) || text.className.includes(s) || text.components.includes(s) || text.body.includes(s);
+}
+
+// Lowercased text bare terms match against, by instance object
+const searchTextCache = new WeakMap();
+
+/**
+ * Lowercased ID, class, serialized components and body of an instance
+ * Cached per instance and revision, so a filter re-run on every keystroke
+ * does not serialize every instance again; instances without a revision
+ * (not saved yet) are serialized each time.
+ */
+function searchText(instance) {
+  const cached = searchTextCache.get(instance);
+  if (cached && instance._rev && cached.rev === instance._rev) return cached;
+
+  const text = {
+    rev: instance._rev,
+    id: String(instance._id).toLowerCase(),
+    className: String(instance._class).toLowerCase(),
+    components: JSON.stringify(instance.components || {}).toLowerCase(),
+    body: String(instance._markdownBody || '').toLowerCase()
+  };
+  if (instance._rev) searchTextCache.set(instance, text);
+  return text;
+}
+
+function matchClass(instance, query, context) {
+  if (query.class && instance._class !== query.class) return false;
+  if (!query.property) return true;
+
+  const op = query.op || '=';
+  const actual = getFieldValue(instance, query.property);
+  if (op === 'exists') return actual !== undefined && actual !== null;
+  if (op === 'empty') return isEmptyValue(actual);
+  if (op === '=' && query.value === null) return true;
+
+  const type = getPropertyType(context.schema, instance._class, query.property);
+  const values = Array.isArray(actual) ? actual : [actual];
+
+  switch (op) {
+    case '=':
+      return values.some((value) => compareTyped(value, query.value, type) === 0);
+    case '!=':
+      return !values.some((value) => compareTyped(value, query.value, type) === 0);
+    case 'in':
+      return values.some((value) => query.value.some((option) => compareTyped(value, option, type) === 0));
+    case '~': {
+      const regex = regexFor(query.value);
+      return values.some((value) => value !== undefined && value !== null && regex.test(String(value).slice(0, MAX_REGEX_INPUT)));
+    }
+    default:
+      return values.some((value) => {
+        const order = compareTyped(value, query.value, type);
+        if (order === null) return false;
+        if (op === '>') return order > 0;
+        if (op === '>=') return order >= 0;
+        if (op === '<') return order < 0;
+        return order <= 0;
+      });
+  }
 }
 
 /**
- * Parse a value string (handle booleans, numbers, etc.)
+ * Schema type of a component property (element type for arrays)
+ * @returns {string|null} e.g. 'int', 'date', or null when unknown
  */
-function parseValue(str) {
-  if (!str) return null;
-  const trimmed = str.trim();
-  
-  if (trimmed === 'true') return true;
-  if (trimmed === 'false') return false;
-  if (/^-?\d+$/.test(trimmed)) return parseInt(trimmed, 10);
-  if (/^-?\d+\.\d+$/.test(trimmed)) return parseFloat(trimmed);
-  
-  return trimmed;
+export function getPropertyType(schema, className, property) {
+  const dot = property.indexOf('.');
+  if (dot === -1) return null;
+
+  const componentClass = schema?.classes?.[className]?.components?.[property.slice(0, dot)];
+  const type = schema?.components?.[componentClass]?.properties?.[property.slice(dot + 1)]?.type;
+  return typeof type === 'string' ? type.toLowerCase().replace(/\[\]$/, '') : null;
 }
 
 /**
- * Apply query filter to instances
- * @param {Array} instances - Array of instances
- * @param {object} query - Parsed query
- * @returns {Array} Filtered instances
+ * Compare a stored value with a query value as the property type dictates:
+ * numbers and dates by magnitude, booleans as false < true, anything else
+ * numerically when both sides are numbers, otherwise as case-insensitive text
+ * @returns {number|null} Sign of actual - expected, null when incomparable
  */
-export function applyFilter(instances, query) {
-  if (query.type === 'empty') return instances;
-  
-  if (query.type === 'bare') {
-    const search = query.value.toLowerCase();
-    return instances.filter(i => matchBareValue(i, search));
+function compareTyped(actual, expected, type) {
+  if (actual === undefined || actual === null) return null;
+
+  if (NUMERIC_TYPES.has(type)) return compareNumbers(Number(actual), Number(expected));
+  if (DATE_TYPES.has(type)) return compareNumbers(toTimestamp(actual), toTimestamp(expected));
+  if (BOOLEAN_TYPES.has(type)) {
+    const a = toBoolean(actual);
+    const b = toBoolean(expected);
+    return a === null || b === null ? null : Number(a) - Number(b);
   }
 
-  if (query.type === 'class') {
-    return instances.filter(i => matchClassQuery(i, query));
+  if (typeof actual === 'boolean' || typeof expected === 'boolean') {
+    return String(actual) === String(expected) ? 0 : null;
   }
+  if (isNumeric(actual) && isNumeric(expected)) return compareNumbers(Number(actual), Number(expected));
+  return String(actual).toLowerCase().localeCompare(String(expected).toLowerCase());
+}
 
-  if (query.type === 'relation') {
-    return instances.filter(i => matchRelationQuery(i, query));
+function regexFor(value) {
+  if (!regexCache.has(value)) {
+    regexCache.set(value, compileRegex(value.pattern, value.flags));
   }
+  return regexCache.get(value);
+}
 
-  return instances;
+function compareNumbers(a, b) {
+  return Number.isNaN(a) || Number.isNaN(b) ? null : Math.sign(a - b);
 }
 
-function matchBareValue(instance, search) {
-  if (instance._id.toLowerCase().includes(search)) return true;
-  if (instance._class.toLowerCase().includes(search)) return true;
-  
-  const componentsStr = JSON.stringify(instance.components || {}).toLowerCase();
-  return componentsStr.includes(search);
+function toTimestamp(value) {
+  if (value instanceof Date) return value.getTime();
+  return typeof value === 'string' || typeof value === 'number' ? Date.parse(String(value)) : NaN;
 }
 
-function matchClassQuery(instance, query) {
-  if (query.id && instance._id !== query.id) return false;
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).toLowerCase();
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  return null;
+}
+
+function isNumeric(value) {
+  return (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()));
+}
+
+function isEmptyValue(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return typeof value === 'object' && Object.keys(value).length === 0;
+}
+
+function matchIdClass(instance, query) {
+  if (query.id && query.id !== '*' && query.id !== '**') {
+    if (query.id.includes('*')) {
+      const pattern = query.id.split('*').map(escapeRegExp).join('.*');
+      if (!new RegExp(`^${pattern}$`, 'i').test(instance._id)) return false;
+    } else if (String(instance._id).toLowerCase() !== query.id.toLowerCase()) {
+      return false;
+    }
+  }
+
   if (query.class && instance._class !== query.class) return false;
-  
-  if (query.property && query.value !== null) {
-    const [localName, prop] = query.property.split('.');
-    const value = instance.components?.[localName]?.[prop];
-    return value === query.value || String(value) === String(query.value);
+
+  if (query.value !== null && query.value !== undefined) {
+    return searchText(instance).components.includes(String(query.value).toLowerCase());
   }
-  
   return true;
 }
 
-function matchRelationQuery(instance, query) {
-  const relations = instance.relations?.[query.relation];
-  if (!relations) return false;
-  
-  if (query.value === null) return relations.length > 0;
-  
-  return relations.some(r => {
-    const target = typeof r === 'string' ? r : r._to;
-    return target === query.value;
+function matchRelation(instance, query, context) {
+  const isDirect = (query.direction || 'out') === 'out' && !query.target &&
+    (query.min ?? 1) === 1 && (query.max ?? 1) === 1;
+  if (!isDirect) return matchRelationPath(instance, query, context);
+
+  // Single outgoing hop: target IDs need not resolve to loaded instances
+  const targets = Object.entries(instance.relations || {})
+    .filter(([name, list]) => relationMatches(query.relation, name) && Array.isArray(list))
+    .flatMap(([, list]) => list);
+  if (query.value === null) return targets.length > 0;
+
+  return targets.some((target) => relationTargetId(target) === String(query.value));
+}
+
+// `*` matches any relation; `A|B` either
+function relationMatches(pattern, name) {
+  return pattern === '*' || pattern.split('|').includes(name);
+}
+
+/**
+ * Multi-hop and incoming relation queries
+ * The set of instances at the near end of a matching path is computed once
+ * per query node and context: start from the far-end instances (those
+ * matching the target term or ID, or every instance) and walk edges against
+ * the query direction, min..max hops.
+ */
+function matchRelationPath(instance, query, context) {
+  const graph = getRelationGraph(context);
+  if (!graph.paths.has(query)) graph.paths.set(query, findPathStarts(query, context, graph));
+  return graph.paths.get(query).has(instanceKey(instance));
+}
+
+function findPathStarts(query, context, graph) {
+  let ends;
+  if (query.target) {
+    ends = graph.nodes.filter((node) => matchInstance(node, query.target, context)).map(instanceKey);
+  } else if (query.value !== null) {
+    ends = graph.resolve(String(query.value)).map(instanceKey);
+  } else {
+    ends = graph.nodes.map(instanceKey);
+  }
+
+  // Outgoing paths are found by walking incoming edges back from the far end
+  const edges = query.direction === 'in' ? graph.outgoing : graph.incoming;
+  const step = (keys) => {
+    const next = new Set();
+    for (const key of keys) {
+      for (const edge of edges.get(key) || []) {
+        if (relationMatches(query.relation, edge.relation)) next.add(edge.key);
+      }
+    }
+    return next;
+  };
+
+  // Exactly `min` hops first, then breadth-first for up to max - min more
+  let layer = new Set(ends);
+  for (let hop = 0; hop < query.min && layer.size; hop++) layer = step(layer);
+
+  const starts = new Set(layer);
+  let frontier = layer;
+  for (let hop = query.min; hop < query.max && frontier.size; hop++) {
+    frontier = new Set([...step(frontier)].filter((key) => !starts.has(key)));
+    for (const key of frontier) starts.add(key);
+  }
+  return starts;
+}
+
+// Relation graph over context.allInstances, cached per context
+function getRelationGraph(context) {
+  if (graphCache.has(context)) return graphCache.get(context);
+
+  const nodes = context.allInstances || [];
+  const byId = new Map();
+  const byKey = new Map();
+  for (const node of nodes) {
+    byKey.set(instanceKey(node), node);
+    if (!byId.has(node._id)) byId.set(node._id, []);
+    byId.get(node._id).push(node);
+  }
+
+  // Targets are IDs, or `Class/id` when IDs are shared across classes
+  const resolve = (target) => (byKey.has(target) ? [byKey.get(target)] : byId.get(target) || []);
+
+  const outgoing = new Map();
+  const incoming = new Map();
+  const addEdge = (map, from, edge) => {
+    if (!map.has(from)) map.set(from, []);
+    map.get(from).push(edge);
+  };
+  for (const node of nodes) {
+    const from = instanceKey(node);
+    for (const [relation, targets] of Object.entries(node.relations || {})) {
+      if (!Array.isArray(targets)) continue;
+      for (const target of targets) {
+        for (const to of resolve(String(relationTargetId(target)))) {
+          addEdge(outgoing, from, { relation, key: instanceKey(to) });
+          addEdge(incoming, instanceKey(to), { relation, key: from });
+        }
+      }
+    }
+  }
+
+  const graph = { nodes, resolve, outgoing, incoming, paths: new Map() };
+  graphCache.set(context, graph);
+  return graph;
+}
+
+function instanceKey(instance) {
+  return `${instance._class}/${instance._id}`;
+}
+
+function relationTargetId(target) {
+  return typeof target === 'string' ? target : target?._to;
+}
+
+/**
+ * Read a column value: `_id`, `_class` or a component property `local.prop`
+ */
+export function getFieldValue(instance, field) {
+  if (field === '_id' || field === '_class') return instance[field];
+
+  const dot = field.indexOf('.');
+  if (dot === -1) return undefined;
+  return instance.components?.[field.slice(0, dot)]?.[field.slice(dot + 1)];
+}
+
+/**
+ * Parse a sort parameter: comma-separated fields, `-` prefix for descending
+ * @param {string} sort - e.g. "_class,-workunit.weight"
+ * @returns {Array<object>} { field, direction: 'asc'|'desc' }
+ */
+export function parseSort(sort) {
+  if (!sort || typeof sort !== 'string') return [];
+
+  return sort.split(',').map((part) => part.trim()).filter(Boolean).map((part) => (
+    part.startsWith('-')
+      ? { field: part.slice(1), direction: 'desc' }
+      : { field: part.replace(/^\+/, ''), direction: 'asc' }
+  ));
+}
+
+/**
+ * Sort instances (stable); values compare numerically when both are
+ * numeric, otherwise as case-insensitive text
+ * @param {Array} instances - Instances
+ * @param {Array<object>} sortKeys - From parseSort
+ * @returns {Array} New sorted array
+ */
+export function sortInstances(instances, sortKeys) {
+  if (!sortKeys?.length) return instances;
+
+  return [...instances].sort((a, b) => {
+    for (const { field, direction } of sortKeys) {
+      const order = compareValues(getFieldValue(a, field) ?? '', getFieldValue(b, field) ?? '');
+      if (order) return direction === 'desc' ? -order : order;
+    }
+    return 0;
   });
 }
+
+function compareValues(a, b) {
+  const aNum = Number(a);
+  const bNum = Number(b);
+  if (!Number.isNaN(aNum) && !Number.isNaN(bNum)) return aNum - bNum;
+  return String(a).toLowerCase().localeCompare(String(b).toLowerCase());
+}
+
+/**
+ * Filter, sort and slice instances
+ * An unparseable query is a bare text search, as parseQuery reads it.
+ * @param {Array} instances - Instances in scope
+ * @param {object} options - { query, sort, offset, limit, schema, allInstances }
+ *   (query and sort as strings; allInstances as for applyFilter)
+ * @returns {object} { items, total } where total counts all matches
+ */
+export function runQuery(instances, { query = '', sort = '', offset = 0, limit = null, schema = null, allInstances = null } = {}) {
+  const ast = parseQuery(query);
+  const matches = sortInstances(applyFilter(instances, ast, { schema, allInstances }), parseSort(sort));
+  const end = limit === null ? undefined : offset + limit;
+  return { items: matches.slice(offset, end), total: matches.length };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
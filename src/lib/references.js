@@ -0,0 +1,236 @@
+/**
+ * Instance References
+ * Finds the instances that point at one instance, through relations, ref
+ * properties or [[Class/id]] wiki links in markdown bodies, and rewrites
+ * those references when the instance is deleted or its ID is renamed.
+ *
+ * What deleting a referenced instance does to each reference is its
+ * `onDelete` policy, set on the relation (or ref property) definition:
+ *   cascade   delete the referencing instance as well
+ *   nullify   remove the reference (the default)
+ *   block     refuse the delete
+ * Wiki links are prose and are never changed by a delete.
+ */
+
+import { extractWikiLinks } from './storage-format.js';
+
+export const ON_DELETE_POLICIES = ['cascade', 'nullify', 'block'];
+export const DEFAULT_ON_DELETE = 'nullify';
+
+// Relation derived from [[wiki links]] in markdown bodies (see ontology.js)
+const LINKS_TO = 'LINKS_TO';
+const WIKI_LINK = /\[\[([^\]]+)\]\]/g;
+
+/**
+ * Every reference to an instance
+ * @param {Array<object>} instances - Instances to search
+ * @param {object} schema - Store schema
+ * @param {object} target - Referenced instance ({ _class, _id })
+ * @returns {Array<object>} { _class, _id, file, kind ('relation', 'property'
+ *   or 'link'), field (`relations.<NAME>`, `local.property` or null), policy }
+ *   with one entry per referencing field
+ */
+export function findReferences(instances, schema, target) {
+  const references = [];
+
+  for (const instance of instances) {
+    const add = (kind, field, policy) => references.push({
+      _class: instance._class,
+      _id: instance._id,
+      file: instance._source ?? null,
+      kind,
+      field,
+      policy
+    });
+
+    for (const [name, value] of Object.entries(instance.relations || {})) {
+      if (name === LINKS_TO) continue;
+      const definition = schema?.relations?.[name];
+      const expected = definition?.range ? [definition.range] : [];
+      if (toArray(value).some((entry) => matchesTarget(relationTarget(entry), target, expected))) {
+        add('relation', `relations.${name}`, policyOf(definition));
+      }
+    }
+
+    for (const { field, definition, value } of refProperties(instance, schema)) {
+      if (toArray(value).some((entry) => matchesTarget(entry, target, definition.allowedTypes))) {
+        add('property', field, policyOf(definition));
+      }
+    }
+
+    if (linksTo(instance._markdownBody, target)) add('link', null, null);
+  }
+
+  return references;
+}
+
+/**
+ * Effective onDelete policy of a relation or ref property definition
+ */
+export function policyOf(definition) {
+  return ON_DELETE_POLICIES.includes(definition?.onDelete) ? definition.onDelete : DEFAULT_ON_DELETE;
+}
+
+/**
+ * Copy of an instance without its relation and ref property references to
+ * the given instances (wiki links are left alone)
+ * @param {object} instance - Referencing instance
+ * @param {object} schema - Store schema
+ * @param {Array<object>} targets - Removed instances ({ _class, _id })
+ * @returns {object|null} Updated copy, or null when nothing referenced them
+ */
+export function removeReferences(instance, schema, targets) {
+  const refersTo = (value, expected) => targets.some((target) => matchesTarget(value, target, expected));
+  const updated = structuredClone(instance);
+  let changed = false;
+
+  for (const [name, value] of Object.entries(updated.relations || {})) {
+    if (name === LINKS_TO) continue;
+    const definition = schema?.relations?.[name];
+    const expected = definition?.range ? [definition.range] : [];
+    const kept = toArray(value).filter((entry) => !refersTo(relationTarget(entry), expected));
+    if (kept.length === toArray(value).length) continue;
+    changed = true;
+    if (kept.length) {
+      updated.relations[name] = Array.isArray(value) ? kept : kept[0];
+    } else {
+      delete updated.relations[name];
+    }
+  }
+  if (changed && !Object.keys(updated.relations).length) delete updated.relations;
+
+  for (const { localName, property, definition, value } of refProperties(updated, schema)) {
+    if (Array.isArray(value)) {
+      const kept = value.filter((entry) => !refersTo(entry, definition.allowedTypes));
+      if (kept.length === value.length) continue;
+      updated.components[localName][property] = kept;
+      changed = true;
+    } else if (refersTo(value, definition.allowedTypes)) {
+      delete updated.components[localName][property];
+      changed = true;
+    }
+  }
+
+  return changed ? updated : null;
+}
+
+/**
+ * Copy of an instance with its references to `target` pointing at `newId`
+ * Relations, ref properties and wiki links (including embeds) are rewritten;
+ * typed refs keep their `:Class` suffix.
+ * @param {object} instance - Referencing instance (may be the target itself)
+ * @param {object} schema - Store schema
+ * @param {object} target - Renamed instance ({ _class, _id } before the rename)
+ * @param {string} newId - New ID
+ * @returns {object|null} Updated copy, or null when nothing referenced it
+ */
+export function renameReferences(instance, schema, target, newId) {
+  const rename = (value, expected) => {
+    if (!matchesTarget(value, target, expected)) return value;
+    const text = String(value).trim();
+    return text === target._id ? newId : `${newId}:${target._class}`;
+  };
+  const updated = structuredClone(instance);
+  let changed = false;
+
+  for (const [name, value] of Object.entries(updated.relations || {})) {
+    if (name === LINKS_TO) continue;
+    const definition = schema?.relations?.[name];
+    const expected = definition?.range ? [definition.range] : [];
+    const entries = toArray(value);
+    const renamed = entries.map((entry) => {
+      const next = rename(relationTarget(entry), expected);
+      if (next === relationTarget(entry)) return entry;
+      return typeof entry === 'string' ? next : { ...entry, _to: next };
+    });
+    if (renamed.every((entry, index) => entry === entries[index])) continue;
+    updated.relations[name] = Array.isArray(value) ? renamed : renamed[0];
+    changed = true;
+  }
+
+  for (const { localName, property, definition, value } of refProperties(updated, schema)) {
+    const renamed = Array.isArray(value)
+      ? value.map((entry) => rename(entry, definition.allowedTypes))
+      : rename(value, definition.allowedTypes);
+    if (JSON.stringify(renamed) === JSON.stringify(value)) continue;
+    updated.components[localName][property] = renamed;
+    changed = true;
+  }
+
+  const body = renameWikiLinks(updated._markdownBody, target, newId);
+  if (body !== updated._markdownBody) {
+    updated._markdownBody = body;
+    // LINKS_TO is derived from the body; keep it in step so it is not stored
+    if (Array.isArray(updated.relations?.[LINKS_TO])) {
+      updated.relations[LINKS_TO] = [...new Set(extractWikiLinks(body).map((link) => link.id))];
+    }
+    changed = true;
+  }
+
+  return changed ? updated : null;
+}
+
+/**
+ * Point [[.../Class/id]] links (with any alias, anchor or `!` embed) at a new ID
+ */
+export function renameWikiLinks(body, target, newId) {
+  if (!body) return body;
+  return body.replace(WIKI_LINK, (match, token) => {
+    if (!isLinkTo(token, target)) return match;
+    const [link, ...alias] = token.split('|');
+    const [path, ...anchor] = link.split('#');
+    const renamedPath = path.replace(/[^/]*?(\s*)$/, (segment, space) => `${newId}${space}`);
+    return `[[${[[renamedPath, ...anchor].join('#'), ...alias].join('|')}]]`;
+  });
+}
+
+function linksTo(body, target) {
+  return [...String(body || '').matchAll(WIKI_LINK)].some(([, token]) => isLinkTo(token, target));
+}
+
+// Same link syntax as extractWikiLinks in storage-format.js
+function isLinkTo(token, target) {
+  const parts = token.split('|')[0].split('#')[0].trim().split('/').filter(Boolean);
+  return parts.length >= 2
+    && parts[parts.length - 2] === target._class
+    && parts[parts.length - 1] === target._id;
+}
+
+// Ref and ref[] property values of an instance, with their definitions
+function refProperties(instance, schema) {
+  const entries = [];
+  const classDef = schema?.classes?.[instance._class];
+  for (const [localName, componentClass] of Object.entries(classDef?.components || {})) {
+    const properties = schema.components?.[componentClass]?.properties || {};
+    for (const [property, definition] of Object.entries(properties)) {
+      if (definition?.type !== 'ref' && definition?.type !== 'ref[]') continue;
+      const value = instance.components?.[localName]?.[property];
+      if (value === undefined || value === null || value === '') continue;
+      entries.push({ localName, property, field: `${localName}.${property}`, definition, value });
+    }
+  }
+  return entries;
+}
+
+// A reference is `<_id>:<Class>` or a bare ID; a bare ID only counts when
+// the expected classes (relation range, allowedTypes) allow the target's
+function matchesTarget(value, target, expected = []) {
+  if (typeof value !== 'string') return false;
+  const text = value.trim();
+  if (text === target._id) {
+    return !Array.isArray(expected) || !expected.length || expected.includes(target._class);
+  }
+  const separator = text.lastIndexOf(':');
+  return separator > 0
+    && text.slice(0, separator).trim() === target._id
+    && text.slice(separator + 1).trim() === target._class;
+}
+
+function relationTarget(entry) {
+  return typeof entry === 'string' ? entry : entry?._to;
+}
+
+function toArray(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,389 @@
+/**
+ * Linear-Time Regular Expressions
+ * Matcher for the query `~ /regex/` operator, shared by the server and the
+ * browser (served as /js/shared/regex.js). A pattern compiles to an NFA whose
+ * states are all followed at once, so a test takes time proportional to
+ * states × input length for any pattern. RegExp backtracks instead: patterns
+ * such as /^(a+)+$/ take exponential time, which would stall the server.
+ * Keep this module free of Node and DOM dependencies.
+ *
+ * Syntax is JavaScript's without backreferences and lookaround: literals,
+ * escapes (\d \w \s and negations, \b \B, \n \t \xHH \uHHHH, \u{...} with u),
+ * classes, `.`, groups (capturing, (?:...) and (?<name>...)), alternation,
+ * quantifiers (* + ? {n} {n,} {n,m}, greedy or lazy) and ^ $.
+ * Flags: i, m, s and u; g, y and d do not affect a test and are ignored.
+ */
+
+const MAX_STATES = 2000;
+const WORD_PATTERN = /[A-Za-z0-9_]/;
+const SPACE_PATTERN = /\s/;
+const LINE_TERMINATORS = new Set(['\n', '\r', '\u2028', '\u2029']);
+const ESCAPED_CONTROLS = { n: '\n', r: '\r', t: '\t', v: '\v', f: '\f', 0: '\0' };
+
+/**
+ * Compile a pattern
+ * @param {string} pattern - Source between the slashes
+ * @param {string} flags - Flags after the closing slash
+ * @returns {{ test: (text: string) => boolean }}
+ * @throws {Error} On invalid or unsupported syntax, or a pattern whose
+ *   bounded repeats expand past the state limit
+ */
+export function compileRegex(pattern, flags = '') {
+  const unknown = flags.replace(/[gimsuyd]/g, '');
+  if (unknown) throw new Error(`Invalid regular expression flags: ${unknown}`);
+
+  const options = {
+    ignoreCase: flags.includes('i'),
+    multiline: flags.includes('m'),
+    dotAll: flags.includes('s'),
+    unicode: flags.includes('u')
+  };
+  const ast = parsePattern(pattern, options);
+  const program = buildProgram(ast, options);
+  return { test: (text) => runProgram(program, String(text), options) };
+}
+
+// --- Parsing: pattern → AST ---
+
+function parsePattern(pattern, options) {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid regular expression /${pattern}/: ${message}`);
+  };
+  const peek = () => pattern[pos];
+
+  function parseAlternation() {
+    const branches = [parseSequence()];
+    while (peek() === '|') {
+      pos++;
+      branches.push(parseSequence());
+    }
+    return branches.length === 1 ? branches[0] : { type: 'alt', options: branches };
+  }
+
+  function parseSequence() {
+    const items = [];
+    while (pos < pattern.length && peek() !== '|' && peek() !== ')') {
+      const atom = parseAtom();
+      items.push(atom.type === 'assert' ? atom : parseQuantifier(atom));
+    }
+    return { type: 'seq', items };
+  }
+
+  function parseQuantifier(atom) {
+    const ch = peek();
+    let min;
+    let max;
+    if (ch === '*') [min, max] = [0, Infinity];
+    else if (ch === '+') [min, max] = [1, Infinity];
+    else if (ch === '?') [min, max] = [0, 1];
+    else if (ch === '{') {
+      const match = pattern.slice(pos).match(/^\{(\d+)(?:(,)(\d*))?\}/);
+      if (!match) {
+        if (options.unicode) fail('lone quantifier brackets');
+        return atom;
+      }
+      min = Number(match[1]);
+      max = !match[2] ? min : match[3] === '' ? Infinity : Number(match[3]);
+      if (max < min) fail('numbers out of order in {} quantifier');
+      pos += match[0].length - 1;
+    } else {
+      return atom;
+    }
+    pos++;
+    if (peek() === '?') pos++; // Laziness does not change whether a test matches
+    if (/^([*+?]|\{\d+(,\d*)?\})/.test(pattern.slice(pos))) fail('nothing to repeat');
+    return { type: 'repeat', node: atom, min, max };
+  }
+
+  function parseAtom() {
+    const ch = pattern[pos++];
+    switch (ch) {
+      case '^':
+        return { type: 'assert', kind: 'start' };
+      case '$':
+        return { type: 'assert', kind: 'end' };
+      case '.':
+        return { type: 'char', test: options.dotAll ? () => true : (c) => !LINE_TERMINATORS.has(c) };
+      case '(':
+        return parseGroup();
+      case '[':
+        return parseClass();
+      case '\\':
+        return parseEscape();
+      case '*':
+      case '+':
+      case '?':
+        return fail('nothing to repeat');
+      case ')':
+        return fail('unmatched )');
+      default:
+        if (options.unicode && ch >= '\uD800' && ch <= '\uDBFF' && pos < pattern.length) {
+          return literal(ch + pattern[pos++]);
+        }
+        return literal(ch);
+    }
+  }
+
+  function parseGroup() {
+    if (peek() === '?') {
+      const rest = pattern.slice(pos);
+      if (/^\?<?[=!]/.test(rest)) fail('lookaround is not supported');
+      const named = rest.match(/^\?<([A-Za-z_$][\w$]*)>/);
+      if (named) pos += named[0].length;
+      else if (rest.startsWith('?:')) pos += 2;
+      else fail('invalid group');
+    }
+    const node = parseAlternation();
+    if (peek() !== ')') fail('unterminated group');
+    pos++;
+    return { type: 'group', node };
+  }
+
+  function parseClass() {
+    const negated = peek() === '^';
+    if (negated) pos++;
+
+    const tests = [];
+    while (peek() !== ']') {
+      if (pos >= pattern.length) fail('unterminated character class');
+      const from = classAtom();
+      if (peek() === '-' && pattern[pos + 1] !== ']' && pos + 1 < pattern.length && typeof from === 'string') {
+        pos++;
+        const to = classAtom();
+        if (typeof to !== 'string') fail('invalid character class range');
+        const [low, high] = [codeOf(from), codeOf(to)];
+        if (low > high) fail('range out of order in character class');
+        tests.push(rangeTest(low, high, options));
+      } else {
+        tests.push(typeof from === 'string' ? literal(from).test : from);
+      }
+    }
+    pos++;
+    return { type: 'char', test: (c) => tests.some((test) => test(c)) !== negated };
+  }
+
+  // A single character, or the test of a \d \w \s class escape
+  function classAtom() {
+    const ch = pattern[pos++];
+    if (ch !== '\\') {
+      if (options.unicode && ch >= '\uD800' && ch <= '\uDBFF' && pos < pattern.length) return ch + pattern[pos++];
+      return ch;
+    }
+    const escaped = pattern[pos];
+    if (escaped === undefined) fail('\\ at end of pattern');
+    if (escaped === 'b') {
+      pos++;
+      return '\b';
+    }
+    if (escaped === '-') {
+      pos++;
+      return '-';
+    }
+    const classTest = classEscape(escaped);
+    if (classTest) {
+      pos++;
+      return classTest;
+    }
+    return characterEscape();
+  }
+
+  function parseEscape() {
+    const ch = peek();
+    if (ch === undefined) fail('\\ at end of pattern');
+    if (ch === 'b' || ch === 'B') {
+      pos++;
+      return { type: 'assert', kind: ch === 'b' ? 'boundary' : 'notBoundary' };
+    }
+    if (/[1-9]/.test(ch) || (ch === 'k' && pattern[pos + 1] === '<')) fail('backreferences are not supported');
+    const classTest = classEscape(ch);
+    if (classTest) {
+      pos++;
+      return { type: 'char', test: classTest };
+    }
+    return literal(characterEscape());
+  }
+
+  function classEscape(ch) {
+    const tests = {
+      d: (c) => c >= '0' && c <= '9',
+      w: (c) => WORD_PATTERN.test(c),
+      s: (c) => SPACE_PATTERN.test(c)
+    };
+    const test = tests[ch.toLowerCase()];
+    if (!test) return null;
+    return ch === ch.toLowerCase() ? test : (c) => !test(c);
+  }
+
+  // The character an escape other than a class escape stands for
+  function characterEscape() {
+    const ch = pattern[pos++];
+    if (ch in ESCAPED_CONTROLS && !(ch === '0' && /\d/.test(peek() || ''))) return ESCAPED_CONTROLS[ch];
+    if (ch === 'c' && /[A-Za-z]/.test(peek() || '')) {
+      return String.fromCharCode(pattern[pos++].charCodeAt(0) % 32);
+    }
+    if (ch === 'x') return hexEscape(/^[0-9A-Fa-f]{2}/, 'x');
+    if (ch === 'u') {
+      if (options.unicode && peek() === '{') {
+        const match = pattern.slice(pos).match(/^\{([0-9A-Fa-f]+)\}/);
+        const code = match ? parseInt(match[1], 16) : NaN;
+        if (!(code <= 0x10ffff)) fail('invalid Unicode escape');
+        pos += match[0].length;
+        return String.fromCodePoint(code);
+      }
+      return hexEscape(/^[0-9A-Fa-f]{4}/, 'u');
+    }
+    if (options.unicode && /[A-Za-z0-9]/.test(ch)) fail('invalid escape');
+    return ch;
+  }
+
+  function hexEscape(digits, letter) {
+    const match = pattern.slice(pos).match(digits);
+    if (!match) {
+      if (options.unicode) fail('invalid escape');
+      return letter;
+    }
+    pos += match[0].length;
+    return String.fromCharCode(parseInt(match[0], 16));
+  }
+
+  function literal(text) {
+    if (!options.ignoreCase) return { type: 'char', test: (c) => c === text };
+    const folded = fold(text);
+    return { type: 'char', test: (c) => c === text || fold(c) === folded };
+  }
+
+  const ast = parseAlternation();
+  if (pos < pattern.length) fail('unmatched )');
+  return ast;
+}
+
+function rangeTest(low, high, options) {
+  const inRange = (c) => {
+    const code = codeOf(c);
+    return code >= low && code <= high;
+  };
+  if (!options.ignoreCase) return inRange;
+  return (c) => inRange(c) || inRange(c.toLowerCase()) || inRange(c.toUpperCase());
+}
+
+function codeOf(c) {
+  return c.codePointAt(0);
+}
+
+function fold(c) {
+  return c.toLowerCase();
+}
+
+// --- Compilation: AST → NFA program ---
+// States: { type: 'char', test, out } | { type: 'split', out, alt }
+//   | { type: 'assert', kind, out } | { type: 'match' }
+
+function buildProgram(ast, options) {
+  const states = [];
+  const add = (state) => {
+    if (states.length >= MAX_STATES) throw new Error('Regular expression is too large');
+    states.push(state);
+    return states.length - 1;
+  };
+
+  // Compile node so that it continues at `next`; returns its entry state
+  function compile(node, next) {
+    switch (node.type) {
+      case 'char':
+        return add({ type: 'char', test: node.test, out: next });
+      case 'assert':
+        return add({ type: 'assert', kind: node.kind, out: next });
+      case 'group':
+        return compile(node.node, next);
+      case 'seq':
+        return node.items.reduceRight((out, item) => compile(item, out), next);
+      case 'alt': {
+        const entries = node.options.map((option) => compile(option, next));
+        return entries.reduceRight((alt, entry) => add({ type: 'split', out: entry, alt }));
+      }
+      case 'repeat':
+        return compileRepeat(node, next);
+      default:
+        throw new Error(`Unknown regular expression node ${node.type}`);
+    }
+  }
+
+  function compileRepeat({ node, min, max }, next) {
+    let entry = next;
+    if (max === Infinity) {
+      // loop: split(body → loop, next)
+      const loop = add({ type: 'split', out: -1, alt: next });
+      states[loop].out = compile(node, loop);
+      entry = loop;
+    } else {
+      // Optional copies: each may stop early and go straight to next
+      for (let i = min; i < max; i++) {
+        entry = add({ type: 'split', out: compile(node, entry), alt: next });
+      }
+    }
+    for (let i = 0; i < min; i++) entry = compile(node, entry);
+    return entry;
+  }
+
+  const match = add({ type: 'match' });
+  const start = compile(ast, match);
+  return { states, start, options };
+}
+
+// --- Matching: every live state advances one character at a time ---
+
+function runProgram({ states, start }, text, options) {
+  const chars = options.unicode ? Array.from(text) : text.split('');
+  const seen = new Uint32Array(states.length);
+  let generation = 0;
+
+  const isWordAt = (i) => i >= 0 && i < chars.length && WORD_PATTERN.test(chars[i]);
+  const holds = (kind, i) => {
+    switch (kind) {
+      case 'start':
+        return i === 0 || (options.multiline && LINE_TERMINATORS.has(chars[i - 1]));
+      case 'end':
+        return i === chars.length || (options.multiline && LINE_TERMINATORS.has(chars[i]));
+      case 'boundary':
+        return isWordAt(i - 1) !== isWordAt(i);
+      default:
+        return isWordAt(i - 1) === isWordAt(i);
+    }
+  };
+
+  // Add state and everything reachable from it without reading a character
+  // at position i; true when the match state is reached
+  const follow = (list, state, i) => {
+    const stack = [state];
+    while (stack.length) {
+      const id = stack.pop();
+      if (seen[id] === generation) continue;
+      seen[id] = generation;
+
+      const current = states[id];
+      if (current.type === 'match') return true;
+      if (current.type === 'split') stack.push(current.alt, current.out);
+      else if (current.type === 'assert') {
+        if (holds(current.kind, i)) stack.push(current.out);
+      } else list.push(id);
+    }
+    return false;
+  };
+
+  let list = [];
+  for (let i = 0; ; i++) {
+    generation++;
+    const next = [];
+    for (const id of list) {
+      if (follow(next, states[id].out, i)) return true;
+    }
+    // Unanchored search: a match may also begin here
+    if (follow(next, start, i)) return true;
+    if (i === chars.length) return false;
+
+    const c = chars[i];
+    list = next.filter((id) => states[id].test(c));
+  }
+}
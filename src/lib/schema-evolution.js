@@ -0,0 +1,672 @@
+/**
+ * Schema Evolution
+ * Applies schema changes to the documents that define them and migrates the
+ * instances they affect, across every storage file, in one atomic write.
+ */
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { parseStorageFileContent, serializeStorageFileContent } from './storage-format.js';
+import { commitFiles } from './batch.js';
+import { withFileLocks } from './file-lock.js';
+import { GENERATED_SCHEMA_FILE } from './ontology.js';
+import { CONSTRAINT_KEYS, normalizeConstraint } from './constraints.js';
+import { ON_DELETE_POLICIES } from './references.js';
+
+const SCHEMA_SECTIONS = ['components', 'classes', 'relations'];
+const CARDINALITIES = ['oto', 'otm', 'mto', 'mtm'];
+const GENERATED_NAMESPACE = 'gdedit/generated';
+
+const INVALID = Symbol('invalid');
+const TRUE_VALUES = new Set(['true', 'yes', 'y', 'on', '1']);
+const FALSE_VALUES = new Set(['false', 'no', 'n', 'off', '0']);
+
+/**
+ * Apply schema changes and migrate instance data
+ *
+ * Changes (applied in order, later ones see earlier ones):
+ * - { type: 'addClass', className, components: [componentClass | { componentClass, localName }] }
+ * - { type: 'addComponent', componentName, properties: [{ name, type, required }], targetClass?, localName? }
+ * - { type: 'renameClass', className, newName }
+ * - { type: 'renameComponent', component, newName }
+ * - { type: 'addProperty', component, property: { name, type, required, ...constraints } }
+ * - { type: 'renameProperty', component, property, newName }
+ * - { type: 'removeProperty', component, property }
+ * - { type: 'updateProperty', component, property, changes: { type?, required?, ...constraints }, dropInvalid? }
+ *   where constraints are the keys in constraints.js (null removes one)
+ * - { type: 'addRelation', relation: { name, domain, range, cardinality, onDelete } }
+ * - { type: 'updateRelation', relation, changes: { cardinality?, onDelete? } }
+ *   where onDelete is a references.js policy (null removes it)
+ * - { type: 'removeRelation', relation }
+ *
+ * Existing definitions are edited in the files they came from (every one, if
+ * several define them); new ones go to GENERATED_SCHEMA_FILE, which first
+ * drops copies of definitions that hand-written files own. Instances are rewritten wherever they
+ * live: renamed and removed properties and relations follow the schema,
+ * renamed classes update `_class`, and retyped values are converted. Values
+ * that cannot be converted are listed as `failures` and reject the change
+ * unless `dropInvalid` is set, which removes them instead.
+ *
+ * @param {string} storagePath - Storage directory
+ * @param {object} store - Data store
+ * @param {Array} changes - Ordered schema changes
+ * @param {object} options - { dryRun } plans the changes without writing
+ * @returns {Promise<object>} { errors } when rejected (nothing written),
+ *   otherwise { operations, files, before } where each operation reports the
+ *   `instances` it rewrites and any conversion `failures`
+ */
+export async function evolveSchema(storagePath, store, changes, { dryRun = false } = {}) {
+  if (!Array.isArray(changes) || !changes.length) {
+    return { errors: [{ index: null, status: 400, error: 'Schema changes are required' }] };
+  }
+
+  const files = readStorageFiles(storagePath, store);
+  pruneGeneratedCopies(files);
+  const schema = structuredClone(store.getSchema() || {});
+  for (const section of ['components', 'classes', 'relations']) schema[section] = schema[section] || {};
+
+  const operations = [];
+  for (const [index, change] of changes.entries()) {
+    try {
+      const context = { schema, files, fileFilter: store.fileFilter };
+      const { instances, failures } = applyChange(context, change);
+      operations.push({ index, type: change.type, description: describeSchemaChange(change), instances, failures });
+    } catch (error) {
+      return { errors: [{ index, status: 400, error: `Change ${index + 1}: ${error.message}` }] };
+    }
+  }
+
+  const staged = stageFiles(files);
+  const result = { operations, files: [...staged.keys()] };
+  if (dryRun) return result;
+
+  const failed = operations.filter((operation) => operation.failures.length && !changes[operation.index].dropInvalid);
+  if (failed.length) {
+    return {
+      errors: failed.map((operation) => ({
+        index: operation.index,
+        status: 422,
+        error: `Change ${operation.index + 1}: ${operation.failures.length} value(s) cannot be converted; fix them or set dropInvalid`,
+        failures: operation.failures
+      }))
+    };
+  }
+
+  if (!staged.size) return { ...result, before: new Map() };
+
+  const outcome = await withFileLocks(result.files, () => {
+    const changed = files.filter((file) => staged.has(file.path) && readIfExists(file.path) !== file.content);
+    if (changed.length) {
+      return { errors: [{ index: null, status: 409, error: `Files changed during the migration: ${changed.map((file) => file.sourceFile).join(', ')}` }] };
+    }
+    return { before: commitFiles(staged) };
+  });
+  if (outcome.errors) return outcome;
+
+  store.reloadFiles(result.files);
+  return { ...result, before: outcome.before };
+}
+
+/**
+ * One-line description of a schema change (journal and preview)
+ */
+export function describeSchemaChange(change) {
+  switch (change?.type) {
+    case 'addClass': return `Add class ${change.className}`;
+    case 'addComponent': return `Add component ${change.componentName}`;
+    case 'renameClass': return `Rename class ${change.className} → ${change.newName}`;
+    case 'renameComponent': return `Rename component ${change.component} → ${change.newName}`;
+    case 'addProperty': return `Add property ${change.component}.${change.property?.name}`;
+    case 'renameProperty': return `Rename property ${change.component}.${change.property} → ${change.newName}`;
+    case 'removeProperty': return `Remove property ${change.component}.${change.property}`;
+    case 'updateProperty': {
+      const updates = Object.entries(change.changes || {}).map(([key, value]) => `${key}: ${value ?? 'none'}`);
+      return `Update property ${change.component}.${change.property} (${updates.join(', ')})`;
+    }
+    case 'addRelation': return `Add relation ${change.relation?.name}`;
+    case 'updateRelation': {
+      const updates = Object.entries(change.changes || {}).map(([key, value]) => `${key}: ${value ?? 'none'}`);
+      return `Update relation ${relationName(change.relation)} (${updates.join(', ')})`;
+    }
+    case 'removeRelation': return `Remove relation ${relationName(change.relation)}`;
+    default: return `Schema change ${change?.type}`;
+  }
+}
+
+function applyChange(context, change) {
+  if (!change || typeof change !== 'object') throw new Error('Change must be an object');
+
+  switch (change.type) {
+    case 'addClass': return addClass(context, change);
+    case 'addComponent': return addComponent(context, change);
+    case 'renameClass': return renameClass(context, change);
+    case 'renameComponent': return renameComponent(context, change);
+    case 'addProperty': return addProperty(context, change);
+    case 'renameProperty': return renameProperty(context, change);
+    case 'removeProperty': return removeProperty(context, change);
+    case 'updateProperty': return updateProperty(context, change);
+    case 'addRelation': return addRelation(context, change);
+    case 'updateRelation': return updateRelation(context, change);
+    case 'removeRelation': return removeRelation(context, change);
+    default: throw new Error(`Unsupported schema change: ${change.type}`);
+  }
+}
+
+function addClass({ schema, files, fileFilter }, change) {
+  const className = requireName(change.className, 'Class name');
+  const classComponents = Array.isArray(change.components) ? change.components : [];
+  if (schema.classes[className]) throw new Error(`Class already exists: ${className}`);
+  if (!classComponents.length) throw new Error('Class must include at least one component');
+
+  const components = {};
+  for (const entry of classComponents) {
+    const componentClass = String(typeof entry === 'string' ? entry : entry?.componentClass || '').trim();
+    const localName = String(typeof entry === 'string' ? '' : entry?.localName || '').trim()
+      || toLocalComponentName(componentClass);
+
+    if (!componentClass) throw new Error('Component class is required for class composition');
+    if (!schema.components[componentClass]) throw new Error(`Component not found: ${componentClass}`);
+    components[localName] = componentClass;
+  }
+
+  schema.classes[className] = { components };
+  addDefinition(files, fileFilter, 'classes', className, { components: { ...components } });
+  return unchanged();
+}
+
+function addComponent({ schema, files, fileFilter }, change) {
+  const componentName = requireName(change.componentName, 'Component name');
+  const properties = Array.isArray(change.properties) ? change.properties : [];
+  const targetClass = String(change.targetClass || '').trim();
+  const localName = String(change.localName || componentName).trim();
+
+  if (schema.components[componentName]) throw new Error(`Component already exists: ${componentName}`);
+  if (!properties.length) throw new Error('Component must include at least one property');
+  if (targetClass && !schema.classes[targetClass]) throw new Error(`Target class not found: ${targetClass}`);
+
+  const propertyMap = {};
+  for (const property of properties) {
+    const name = requireName(property?.name, 'Property name');
+    if (propertyMap[name]) throw new Error(`Duplicate property: ${name}`);
+    propertyMap[name] = propertyDefinition(property);
+  }
+
+  schema.components[componentName] = { properties: propertyMap };
+  addDefinition(files, fileFilter, 'components', componentName, { properties: structuredClone(propertyMap) });
+
+  // Optionally compose the new component into an existing class
+  if (targetClass) {
+    const attach = (definition) => {
+      definition.components = definition.components || {};
+      definition.components[localName] = componentName;
+    };
+    attach(schema.classes[targetClass]);
+    eachDefinition(files, 'classes', targetClass, attach);
+  }
+  return unchanged();
+}
+
+function renameClass({ schema, files }, change) {
+  const className = requireExisting(schema.classes, change.className, 'Class');
+  const newName = requireName(change.newName, 'New class name');
+  if (schema.classes[newName]) throw new Error(`Class already exists: ${newName}`);
+
+  const renameReferences = (sections) => {
+    for (const definition of Object.values(sections.relations || {})) {
+      if (!isObject(definition)) continue;
+      if (definition.domain === className) definition.domain = newName;
+      if (definition.range === className) definition.range = newName;
+    }
+    for (const component of Object.values(sections.components || {})) {
+      for (const property of Object.values(component?.properties || {})) {
+        if (Array.isArray(property?.allowedTypes)) {
+          property.allowedTypes = property.allowedTypes.map((type) => (type === className ? newName : type));
+        }
+      }
+    }
+  };
+
+  renameKey(schema.classes, className, newName);
+  renameReferences(schema);
+  for (const doc of schemaDocs(files)) {
+    if (isObject(doc.schema.classes) && className in doc.schema.classes) renameKey(doc.schema.classes, className, newName);
+    renameReferences(doc.schema);
+  }
+
+  let instances = 0;
+  for (const instance of eachInstance(files)) {
+    if (instance._class !== className) continue;
+    instance._class = newName;
+    instances += 1;
+  }
+  return { instances, failures: [] };
+}
+
+function renameComponent({ schema, files }, change) {
+  const component = requireExisting(schema.components, change.component, 'Component');
+  const newName = requireName(change.newName, 'New component name');
+  if (schema.components[newName]) throw new Error(`Component already exists: ${newName}`);
+
+  const renameUses = (classes) => {
+    for (const definition of Object.values(classes || {})) {
+      for (const [localName, componentClass] of Object.entries(definition?.components || {})) {
+        if (componentClass === component) definition.components[localName] = newName;
+      }
+    }
+  };
+
+  renameKey(schema.components, component, newName);
+  renameUses(schema.classes);
+  for (const doc of schemaDocs(files)) {
+    if (isObject(doc.schema.components) && component in doc.schema.components) renameKey(doc.schema.components, component, newName);
+    renameUses(doc.schema.classes);
+  }
+  // Instances store components under their local names, which do not change
+  return unchanged();
+}
+
+function addProperty({ schema, files }, change) {
+  const component = requireExisting(schema.components, change.component, 'Component');
+  const name = requireName(change.property?.name, 'Property name');
+  if (schema.components[component].properties?.[name]) throw new Error(`Property already exists: ${component}.${name}`);
+
+  const definition = propertyDefinition(change.property);
+  const add = (componentDef) => {
+    componentDef.properties = componentDef.properties || {};
+    componentDef.properties[name] = structuredClone(definition);
+  };
+  add(schema.components[component]);
+  eachDefinition(files, 'components', component, add);
+  return unchanged();
+}
+
+function renameProperty(context, change) {
+  const { schema, files } = context;
+  const { component, property } = requireProperty(schema, change);
+  const newName = requireName(change.newName, 'New property name');
+  if (schema.components[component].properties[newName]) throw new Error(`Property already exists: ${component}.${newName}`);
+
+  const instances = migrateValues(context, component, property, (values) => {
+    renameKey(values, property, newName);
+    return true;
+  });
+
+  renameKey(schema.components[component].properties, property, newName);
+  eachDefinition(files, 'components', component, (definition) => {
+    if (isObject(definition.properties) && property in definition.properties) renameKey(definition.properties, property, newName);
+  });
+  return { instances, failures: [] };
+}
+
+function removeProperty(context, change) {
+  const { schema, files } = context;
+  const { component, property } = requireProperty(schema, change);
+
+  const instances = migrateValues(context, component, property, (values) => {
+    delete values[property];
+    return true;
+  });
+
+  delete schema.components[component].properties[property];
+  eachDefinition(files, 'components', component, (definition) => {
+    if (isObject(definition.properties)) delete definition.properties[property];
+  });
+  return { instances, failures: [] };
+}
+
+function updateProperty(context, change) {
+  const { schema, files } = context;
+  const { component, property } = requireProperty(schema, change);
+  const updates = isObject(change.changes) ? change.changes : {};
+  const previousType = schema.components[component].properties[property].type || 'string';
+  const patch = {};
+  if ('type' in updates) patch.type = requireName(updates.type, 'Property type');
+  if ('required' in updates) patch.required = Boolean(updates.required);
+  for (const key of CONSTRAINT_KEYS) {
+    if (key in updates) patch[key] = normalizeConstraint(key, updates[key], patch.type || previousType);
+  }
+  if (!Object.keys(patch).length) throw new Error('Property update needs a type, required flag or constraint');
+
+  const failures = [];
+  let instances = 0;
+  if (patch.type && patch.type !== previousType) {
+    instances = migrateValues(context, component, property, (values, instance, file) => {
+      const converted = coerceValue(values[property], patch.type);
+      if (converted === INVALID) {
+        failures.push({ className: instance._class, id: instance._id, file: file.sourceFile, value: values[property] });
+        if (!change.dropInvalid) return false;
+        delete values[property];
+        return true;
+      }
+      if (converted === undefined) {
+        delete values[property];
+        return true;
+      }
+      if (JSON.stringify(converted) === JSON.stringify(values[property])) return false;
+      values[property] = converted;
+      return true;
+    });
+  }
+
+  applyPatch(schema.components[component].properties[property], patch);
+  eachDefinition(files, 'components', component, (definition) => {
+    const propertyDef = definition.properties?.[property];
+    if (isObject(propertyDef)) applyPatch(propertyDef, patch);
+  });
+  return { instances, failures };
+}
+
+function addRelation({ schema, files, fileFilter }, change) {
+  const relation = isObject(change.relation) ? change.relation : {};
+  const name = requireName(relation.name, 'Relation name');
+  if (schema.relations[name]) throw new Error(`Relation already exists: ${name}`);
+
+  const definition = {
+    domain: requireExisting(schema.classes, relation.domain, 'Domain class'),
+    range: requireExisting(schema.classes, relation.range, 'Range class')
+  };
+  if (relation.cardinality) definition.cardinality = requireCardinality(relation.cardinality);
+  if (relation.onDelete) definition.onDelete = requireOnDelete(relation.onDelete);
+
+  schema.relations[name] = definition;
+  addDefinition(files, fileFilter, 'relations', name, { ...definition });
+  return unchanged();
+}
+
+function updateRelation({ schema, files }, change) {
+  const name = requireExisting(schema.relations, relationName(change.relation), 'Relation');
+  const patch = {};
+  for (const [key, value] of Object.entries(isObject(change.changes) ? change.changes : {})) {
+    if (key === 'cardinality') patch.cardinality = requireCardinality(value);
+    else if (key === 'onDelete') patch.onDelete = value ? requireOnDelete(value) : null;
+    else throw new Error(`Cannot update relation ${name}: unknown key ${key}`);
+  }
+
+  applyPatch(schema.relations[name], patch);
+  eachDefinition(files, 'relations', name, (definition) => applyPatch(definition, patch));
+  return unchanged();
+}
+
+function removeRelation({ schema, files }, change) {
+  const name = requireExisting(schema.relations, relationName(change.relation), 'Relation');
+
+  delete schema.relations[name];
+  for (const doc of schemaDocs(files)) {
+    if (isObject(doc.schema.relations)) delete doc.schema.relations[name];
+  }
+
+  let instances = 0;
+  for (const instance of eachInstance(files)) {
+    if (!isObject(instance.relations) || !(name in instance.relations)) continue;
+    delete instance.relations[name];
+    if (!Object.keys(instance.relations).length) delete instance.relations;
+    instances += 1;
+  }
+  return { instances, failures: [] };
+}
+
+/**
+ * Run fn on the values of every instance holding `component.property`
+ * fn(values, instance, file) returns whether it changed the instance.
+ * @returns {number} Instances changed
+ */
+function migrateValues({ schema, files }, component, property, fn) {
+  let count = 0;
+  for (const file of files) {
+    for (const instance of instancesIn(file)) {
+      const classComponents = schema.classes[instance._class]?.components || {};
+      let changed = false;
+      for (const [localName, componentClass] of Object.entries(classComponents)) {
+        const values = instance.components?.[localName];
+        if (componentClass !== component || !isObject(values) || !(property in values)) continue;
+        if (fn(values, instance, file)) changed = true;
+      }
+      if (changed) count += 1;
+    }
+  }
+  return count;
+}
+
+/**
+ * Convert a stored value to a property type
+ * @returns {*} Converted value, undefined to remove an empty value, or INVALID
+ */
+function coerceValue(value, type) {
+  if (value === null || value === undefined) return value;
+
+  if (type.endsWith('[]')) {
+    const itemType = type === 'ref[]' ? 'string' : type.slice(0, -2);
+    const items = Array.isArray(value)
+      ? value
+      : (typeof value === 'string' ? value.split(',').map((item) => item.trim()).filter(Boolean) : [value]);
+    const converted = items.map((item) => coerceScalar(item, itemType)).filter((item) => item !== undefined);
+    return converted.includes(INVALID) ? INVALID : converted;
+  }
+
+  if (Array.isArray(value)) {
+    if (!value.length) return undefined;
+    if (value.length === 1) return coerceScalar(value[0], type);
+    return type === 'string' && value.every((item) => !isObject(item)) ? value.join(', ') : INVALID;
+  }
+  return coerceScalar(value, type);
+}
+
+function coerceScalar(value, type) {
+  if (typeof value === 'string' && !value.trim() && type !== 'string') return undefined;
+
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean'
+        ? String(value)
+        : INVALID;
+    case 'bool': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.has(text)) return true;
+      if (FALSE_VALUES.has(text)) return false;
+      return INVALID;
+    }
+    case 'int':
+    case 'float': {
+      if (typeof value !== 'number' && typeof value !== 'string') return INVALID;
+      const number = Number(value);
+      if (!Number.isFinite(number)) return INVALID;
+      return type === 'int' && !Number.isInteger(number) ? INVALID : number;
+    }
+    case 'date': {
+      const text = value instanceof Date ? value.toISOString().slice(0, 10) : value;
+      return typeof text === 'string' && /^\d{4}-\d{2}-\d{2}/.test(text) && !Number.isNaN(Date.parse(text))
+        ? text
+        : INVALID;
+    }
+    default:
+      // Types without a storage representation of their own are left as they are
+      return value;
+  }
+}
+
+// Storage files as { path, sourceFile, content, docs, body, source }; files
+// that no longer parse are left alone. The generated schema file is always
+// included so new definitions have somewhere to go.
+function readStorageFiles(storagePath, store) {
+  const files = [];
+  for (const sourceFile of store.listFiles()) {
+    const path = join(storagePath, sourceFile);
+    const content = readIfExists(path);
+    if (content === null) continue;
+    try {
+      files.push({ path, sourceFile, content, ...parseStorageFileContent(path, content) });
+    } catch {
+      // Reported through store diagnostics
+    }
+  }
+
+  if (!files.some((file) => file.sourceFile === GENERATED_SCHEMA_FILE)) {
+    const path = join(storagePath, GENERATED_SCHEMA_FILE);
+    files.push({ path, sourceFile: GENERATED_SCHEMA_FILE, content: readIfExists(path), docs: [], body: '', source: null });
+  }
+  return files;
+}
+
+function stageFiles(files) {
+  const staged = new Map();
+  for (const file of files) {
+    if (!file.docs.length && file.content === null) continue;
+    const content = serializeStorageFileContent(file.path, file.docs, file.body, file.source);
+    if (content !== file.content) staged.set(file.path, content);
+  }
+  return staged;
+}
+
+// Older versions dumped the whole merged schema into the generated file;
+// those copies shadow nothing (hand-written definitions win) but would be
+// edited alongside their origin, so drop them
+function pruneGeneratedCopies(files) {
+  const owned = Object.fromEntries(SCHEMA_SECTIONS.map((section) => [section, new Set()]));
+  for (const doc of schemaDocs(files.filter((file) => file.sourceFile !== GENERATED_SCHEMA_FILE))) {
+    for (const section of SCHEMA_SECTIONS) {
+      for (const name of Object.keys(isObject(doc.schema[section]) ? doc.schema[section] : {})) owned[section].add(name);
+    }
+  }
+
+  const generated = files.filter((file) => file.sourceFile === GENERATED_SCHEMA_FILE);
+  for (const doc of schemaDocs(generated)) {
+    for (const section of SCHEMA_SECTIONS) {
+      if (!isObject(doc.schema[section])) continue;
+      for (const name of Object.keys(doc.schema[section])) {
+        if (owned[section].has(name)) delete doc.schema[section][name];
+      }
+    }
+  }
+}
+
+function addDefinition(files, fileFilter, section, name, definition) {
+  if (!fileFilter.isStorageFile(GENERATED_SCHEMA_FILE)) {
+    throw new Error(`${GENERATED_SCHEMA_FILE} is excluded by the storage include/exclude globs`);
+  }
+
+  const file = files.find((entry) => entry.sourceFile === GENERATED_SCHEMA_FILE);
+  let doc = file.docs.find((entry) => entry?.kind === 'Ontology' && isObject(entry.schema));
+  if (!doc) {
+    doc = { apiVersion: 'agent/v1', kind: 'Ontology', metadata: { namespace: GENERATED_NAMESPACE }, schema: {} };
+    file.docs.push(doc);
+  }
+  doc.schema[section] = isObject(doc.schema[section]) ? doc.schema[section] : {};
+  doc.schema[section][name] = definition;
+}
+
+function eachDefinition(files, section, name, fn) {
+  for (const doc of schemaDocs(files)) {
+    const definition = doc.schema[section]?.[name];
+    if (isObject(definition)) fn(definition);
+  }
+}
+
+function* schemaDocs(files) {
+  for (const file of files) {
+    for (const doc of file.docs) {
+      if (doc?.kind === 'Ontology' && isObject(doc.schema)) yield doc;
+    }
+  }
+}
+
+function* instancesIn(file) {
+  for (const doc of file.docs) {
+    if (doc?.kind !== 'Ontology' || !Array.isArray(doc.spec?.classes)) continue;
+    for (const instance of doc.spec.classes) {
+      if (isObject(instance)) yield instance;
+    }
+  }
+}
+
+function* eachInstance(files) {
+  for (const file of files) yield* instancesIn(file);
+}
+
+// Rename a key in place, keeping its position
+function renameKey(object, from, to) {
+  const entries = Object.entries(object).map(([key, value]) => [key === from ? to : key, value]);
+  for (const key of Object.keys(object)) delete object[key];
+  Object.assign(object, Object.fromEntries(entries));
+}
+
+function propertyDefinition(property) {
+  const definition = {
+    type: String(property?.type || 'string').trim() || 'string',
+    required: Boolean(property?.required)
+  };
+  for (const key of CONSTRAINT_KEYS) {
+    const value = normalizeConstraint(key, property?.[key], definition.type);
+    if (value !== null) definition[key] = value;
+  }
+  return definition;
+}
+
+// Set property definition keys; null removes a key
+function applyPatch(definition, patch) {
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete definition[key];
+    else definition[key] = structuredClone(value);
+  }
+}
+
+function requireProperty(schema, change) {
+  const component = requireExisting(schema.components, change.component, 'Component');
+  const property = String(change.property || '').trim();
+  if (!property || !schema.components[component].properties?.[property]) {
+    throw new Error(`Property not found: ${component}.${property}`);
+  }
+  return { component, property };
+}
+
+function requireExisting(section, value, label) {
+  const name = String(value || '').trim();
+  if (!name || !section[name]) throw new Error(`${label} not found: ${name}`);
+  return name;
+}
+
+function requireName(value, label) {
+  const name = String(value ?? '').trim();
+  if (!name) throw new Error(`${label} is required`);
+  return name;
+}
+
+function requireCardinality(value) {
+  const cardinality = String(value || '').trim();
+  if (!CARDINALITIES.includes(cardinality)) {
+    throw new Error(`Unknown cardinality "${cardinality}" (use ${CARDINALITIES.join(', ')})`);
+  }
+  return cardinality;
+}
+
+function requireOnDelete(value) {
+  const policy = String(value || '').trim();
+  if (!ON_DELETE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown onDelete policy "${policy}" (use ${ON_DELETE_POLICIES.join(', ')})`);
+  }
+  return policy;
+}
+
+function relationName(relation) {
+  return String(isObject(relation) ? relation.name || '' : relation || '').trim();
+}
+
+function toLocalComponentName(componentClass) {
+  if (!componentClass) return '';
+  return componentClass.charAt(0).toLowerCase() + componentClass.slice(1).replace(/Component$/, '');
+}
+
+function unchanged() {
+  return { instances: 0, failures: [] };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readIfExists(filePath) {
+  try {
+    return readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * Full-text Search Index
+ * In-memory inverted index over instance IDs, property values and markdown
+ * bodies, maintained per storage file so reloads only re-index what changed.
+ */
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const BODY_FIELD = '_markdownBody';
+const SNIPPET_LENGTH = 120;
+const MAX_SNIPPETS = 3;
+const PREFIX_WEIGHT = 0.5;
+
+// Relative weight of a hit by field
+function fieldWeight(field) {
+  if (field === '_id') return 3;
+  if (field === '_class') return 1;
+  if (field === BODY_FIELD) return 1;
+  return 2;
+}
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text
+ * @returns {Array<string>} Tokens in order
+ */
+export function tokenize(text) {
+  return String(text ?? '').toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Create an empty search index
+ *
+ * Documents are instances keyed by source file, class and ID. Postings map a
+ * token to the documents and fields containing it, with term counts.
+ *
+ * @returns {object} Search index
+ */
+export function createSearchIndex() {
+  // Map<docId, { sourceFile, className, id, fields: Map<field, text> }>
+  const docs = new Map();
+  // Map<sourceFile, { hash, docIds }>
+  const files = new Map();
+  // Map<token, Map<docId, Map<field, count>>>
+  const postings = new Map();
+
+  /**
+   * Content hash a file was last indexed at (undefined when not indexed)
+   */
+  function fileHash(sourceFile) {
+    return files.get(sourceFile)?.hash;
+  }
+
+  /**
+   * Replace the documents of one storage file
+   * @param {string} sourceFile - Storage-relative path
+   * @param {string} hash - Content hash of the file
+   * @param {Array} instances - Instances loaded from the file
+   */
+  function updateFile(sourceFile, hash, instances) {
+    removeFile(sourceFile);
+
+    const docIds = [];
+    for (const instance of instances) {
+      const docId = `${sourceFile}\n${instance._class}/${instance._id}`;
+      if (docs.has(docId)) removeDoc(docId);
+
+      const fields = documentFields(instance);
+      docs.set(docId, { sourceFile, className: instance._class, id: instance._id, fields });
+      docIds.push(docId);
+
+      for (const [field, text] of fields) {
+        for (const token of tokenize(text)) {
+          if (!postings.has(token)) postings.set(token, new Map());
+          const byDoc = postings.get(token);
+          if (!byDoc.has(docId)) byDoc.set(docId, new Map());
+          const counts = byDoc.get(docId);
+          counts.set(field, (counts.get(field) || 0) + 1);
+        }
+      }
+    }
+
+    files.set(sourceFile, { hash, docIds });
+  }
+
+  /**
+   * Drop the documents of a storage file
+   */
+  function removeFile(sourceFile) {
+    const file = files.get(sourceFile);
+    if (!file) return;
+    for (const docId of file.docIds) removeDoc(docId);
+    files.delete(sourceFile);
+  }
+
+  function removeDoc(docId) {
+    const doc = docs.get(docId);
+    if (!doc) return;
+    for (const [, text] of doc.fields) {
+      for (const token of new Set(tokenize(text))) {
+        const byDoc = postings.get(token);
+        if (!byDoc) continue;
+        byDoc.delete(docId);
+        if (!byDoc.size) postings.delete(token);
+      }
+    }
+    docs.delete(docId);
+  }
+
+  /**
+   * Storage files currently indexed
+   */
+  function indexedFiles() {
+    return [...files.keys()];
+  }
+
+  /**
+   * Find documents containing every word of the text
+   * Words also match longer tokens they prefix (search as you type), at
+   * reduced weight.
+   * @param {string} text - Search text
+   * @param {object} options - { classes } restricts results to these classes
+   * @returns {Array<object>} { sourceFile, className, id, score, snippets }, best first
+   */
+  function search(text, { classes = null } = {}) {
+    const words = [...new Set(tokenize(text))];
+    if (!words.length) return [];
+
+    const classFilter = classes?.length ? new Set(classes) : null;
+    const total = docs.size || 1;
+    let scores = null;
+
+    for (const word of words) {
+      const wordScores = new Map();
+
+      for (const [token, weight] of expandWord(word)) {
+        const byDoc = postings.get(token);
+        const idf = Math.log(1 + total / byDoc.size);
+
+        for (const [docId, counts] of byDoc) {
+          if (scores && !scores.has(docId)) continue;
+          let score = 0;
+          for (const [field, count] of counts) {
+            score += fieldWeight(field) * (count / (count + 1));
+          }
+          score *= idf * weight;
+          wordScores.set(docId, Math.max(wordScores.get(docId) || 0, score));
+        }
+      }
+
+      // Every word must match
+      scores = new Map([...wordScores].map(([docId, score]) => [docId, (scores?.get(docId) || 0) + score]));
+      if (!scores.size) return [];
+    }
+
+    const results = [];
+    for (const [docId, score] of scores) {
+      const doc = docs.get(docId);
+      if (classFilter && !classFilter.has(doc.className)) continue;
+      results.push({
+        sourceFile: doc.sourceFile,
+        className: doc.className,
+        id: doc.id,
+        score: Math.round(score * 1000) / 1000,
+        snippets: buildSnippets(doc, words)
+      });
+    }
+
+    return results.sort((a, b) =>
+      b.score - a.score ||
+      a.className.localeCompare(b.className) ||
+      String(a.id).localeCompare(String(b.id)));
+  }
+
+  // Index tokens a query word matches, with their weight
+  function expandWord(word) {
+    const matches = new Map();
+    if (postings.has(word)) matches.set(word, 1);
+    for (const token of postings.keys()) {
+      if (token !== word && token.startsWith(word)) matches.set(token, PREFIX_WEIGHT);
+    }
+    return matches;
+  }
+
+  return {
+    fileHash,
+    updateFile,
+    removeFile,
+    indexedFiles,
+    search,
+    get size() { return docs.size; }
+  };
+}
+
+/**
+ * Searchable text of an instance by field: `_id`, `_class`, each component
+ * property as `local.prop`, and `_markdownBody`
+ */
+function documentFields(instance) {
+  const fields = new Map();
+  fields.set('_id', String(instance._id ?? ''));
+  fields.set('_class', String(instance._class ?? ''));
+
+  for (const [localName, component] of Object.entries(instance.components || {})) {
+    if (!component || typeof component !== 'object') continue;
+    for (const [property, value] of Object.entries(component)) {
+      const text = flattenText(value);
+      if (text) fields.set(`${localName}.${property}`, text);
+    }
+  }
+
+  if (instance._markdownBody) fields.set(BODY_FIELD, instance._markdownBody);
+  return fields;
+}
+
+function flattenText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(flattenText).filter(Boolean).join(' ');
+  if (typeof value === 'object') return Object.values(value).map(flattenText).filter(Boolean).join(' ');
+  return String(value);
+}
+
+/**
+ * Excerpts of the fields containing the words, highlights as [start, end)
+ * offsets into the excerpt text
+ */
+function buildSnippets(doc, words) {
+  const snippets = [];
+
+  for (const [field, text] of doc.fields) {
+    const hits = [];
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+      const token = match[0].toLowerCase();
+      if (words.some((word) => token.startsWith(word))) {
+        hits.push([match.index, match.index + match[0].length]);
+      }
+    }
+    if (hits.length) snippets.push({ field, ...excerpt(text, hits) });
+  }
+
+  return snippets
+    .sort((a, b) => fieldWeight(b.field) - fieldWeight(a.field) || b.highlights.length - a.highlights.length)
+    .slice(0, MAX_SNIPPETS);
+}
+
+function excerpt(text, hits) {
+  const flat = text.replace(/\s/g, ' ');
+  if (flat.length <= SNIPPET_LENGTH) return { text: flat, highlights: hits };
+
+  let start = Math.max(0, hits[0][0] - Math.floor(SNIPPET_LENGTH / 3));
+  const end = Math.min(flat.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < flat.length ? '…' : '';
+  const highlights = hits
+    .filter(([from, to]) => from >= start && to <= end)
+    .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]);
+
+  return { text: `${prefix}${flat.slice(start, end)}${suffix}`, highlights };
+}
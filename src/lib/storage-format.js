@@ -1,26 +1,76 @@
 import { readdirSync, readFileSync } from 'fs';
 import { join, extname, relative } from 'path';
-import { parse as parseYaml, stringify as stringifyYaml } from 'yaml';
+import { parseDocument, stringify as stringifyYaml } from 'yaml';
+import { updateYamlText } from './yaml-edit.js';
 
 const ONTOLOGY_EXTENSIONS = new Set(['.yml', '.yaml', '.md']);
 
+// Never loaded or watched; config.yaml `storage.exclude` adds to these
+export const DEFAULT_STORAGE_EXCLUDE = ['.git/', 'node_modules/', '.gdedit/', '*.swp', '*.swo', '*~', '.#*', '*.tmp'];
+
 export function isOntologyStorageFile(filePath) {
   return ONTOLOGY_EXTENSIONS.has(extname(filePath).toLowerCase());
 }
 
-export function listOntologyFiles(storagePath) {
+/**
+ * Build the filter deciding which storage files are loaded and watched
+ *
+ * Patterns are gitignore-style globs over storage-relative paths: a pattern
+ * without `/` matches a file or directory name at any depth, `dir/` matches
+ * directories only, other patterns match from the storage root. `*` and `?`
+ * stay within one path segment, `**` spans segments, `{a,b}` alternates.
+ * Files under an excluded directory are excluded too.
+ *
+ * @param {object} options - { include, exclude } pattern lists; an empty
+ *   include list means every ontology file (.md/.yml/.yaml), exclude adds
+ *   to DEFAULT_STORAGE_EXCLUDE
+ * @returns {object} { isStorageFile(relativePath), isExcluded(relativePath, isDirectory) }
+ */
+export function createStorageFilter({ include = [], exclude = [] } = {}) {
+  const includePatterns = (include || []).map(compileGlob).filter(Boolean);
+  const excludePatterns = [...DEFAULT_STORAGE_EXCLUDE, ...(exclude || [])].map(compileGlob).filter(Boolean);
+
+  function isExcluded(relativePath, isDirectory = false) {
+    return excludePatterns.some((pattern) => matchesGlob(pattern, relativePath, isDirectory));
+  }
+
+  function isStorageFile(relativePath) {
+    const path = String(relativePath || '').replace(/\\/g, '/');
+    if (!path || !isOntologyStorageFile(path) || isExcluded(path)) return false;
+    return !includePatterns.length || includePatterns.some((pattern) => matchesGlob(pattern, path, false));
+  }
+
+  return { isStorageFile, isExcluded };
+}
+
+const DEFAULT_STORAGE_FILTER = createStorageFilter();
+
+/**
+ * All storage files below storagePath the filter accepts
+ * Excluded directories are not descended into.
+ */
+export function listOntologyFiles(storagePath, filter = DEFAULT_STORAGE_FILTER) {
   const result = [];
 
   function walk(dir) {
-    const entries = readdirSync(dir, { withFileTypes: true });
+    let entries;
+    try {
+      entries = readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      // Directories renamed or deleted mid-walk are picked up by the next load
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return;
+      throw error;
+    }
+
     for (const entry of entries) {
       const fullPath = join(dir, entry.name);
+      const relativePath = getRelativeStoragePath(storagePath, fullPath);
       if (entry.isDirectory()) {
-        walk(fullPath);
+        if (!filter.isExcluded(relativePath, true)) walk(fullPath);
         continue;
       }
       if (!entry.isFile()) continue;
-      if (isOntologyStorageFile(fullPath)) {
+      if (filter.isStorageFile(relativePath)) {
         result.push(fullPath);
       }
     }
@@ -30,6 +80,62 @@ export function listOntologyFiles(storagePath) {
   return result;
 }
 
+function compileGlob(glob) {
+  let pattern = String(glob ?? '').trim().replace(/\\/g, '/');
+  if (!pattern) return null;
+
+  const directoryOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\/+/, '');
+  if (!pattern) return null;
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const close = pattern.indexOf('}', i);
+      if (close === -1) {
+        source += '\\{';
+        continue;
+      }
+      const options = pattern.slice(i + 1, close).split(',').map(escapeRegExp);
+      source += `(?:${options.join('|')})`;
+      i = close;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  // `dir/**` also matches dir itself, so the walk can skip it
+  if (source.endsWith('/.*')) source = `${source.slice(0, -3)}(?:/.*)?`;
+  return { regex: new RegExp(`^${source}$`), anchored, directoryOnly };
+}
+
+// A path matches when it, or one of its parent directories, matches
+function matchesGlob(pattern, relativePath, isDirectory) {
+  const segments = String(relativePath || '').split('/').filter(Boolean);
+  for (let i = 1; i <= segments.length; i++) {
+    const directory = i < segments.length || isDirectory;
+    if (pattern.directoryOnly && !directory) continue;
+    const candidate = pattern.anchored ? segments.slice(0, i).join('/') : segments[i - 1];
+    if (pattern.regex.test(candidate)) return true;
+  }
+  return false;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 function splitFrontmatter(content) {
   if (!content.startsWith('---\n')) {
     return { frontmatter: '', body: content };
@@ -46,30 +152,95 @@ function splitFrontmatter(content) {
   };
 }
 
+/**
+ * Parse a storage file
+ * `source` keeps the parsed yaml Documents and original text of each
+ * document so serializeStorageFileContent can write back minimal edits.
+ * @returns {object} { docs, body, source }
+ */
 export function parseStorageFileContent(filePath, content) {
   const extension = extname(filePath).toLowerCase();
 
   if (extension === '.md') {
     const { frontmatter, body } = splitFrontmatter(content);
     if (!frontmatter.trim()) {
-      return { docs: [], body };
+      return { docs: [], body, source: null };
     }
 
-    const parsed = parseYaml(frontmatter);
+    // Frontmatter starts on line 2, after the opening '---'
+    const part = parsePart(frontmatter, 1);
     return {
-      docs: parsed ? [parsed] : [],
-      body
+      docs: part.value ? [part.value] : [],
+      body,
+      source: { parts: [part] }
     };
   }
 
-  const docs = content
-    .split(/^---$/m)
-    .map(s => s.trim())
-    .filter(Boolean)
-    .map(s => parseYaml(s))
-    .filter(Boolean);
+  const parts = splitYamlDocuments(content).map(chunk => parsePart(chunk.text, chunk.lineOffset));
+  const docs = parts.map(part => part.value).filter(Boolean);
 
-  return { docs, body: '' };
+  return { docs, body: '', source: { parts } };
+}
+
+/**
+ * Split multi-document YAML on '---' lines, keeping each chunk's raw text
+ * and line offset
+ */
+function splitYamlDocuments(content) {
+  const chunks = [];
+  let line = 0;
+
+  for (const text of content.split(/^---$/m)) {
+    chunks.push({ text, lineOffset: line });
+    line += countNewlines(text);
+  }
+
+  return chunks;
+}
+
+function countNewlines(text) {
+  let count = 0;
+  for (const char of text) {
+    if (char === '\n') count += 1;
+  }
+  return count;
+}
+
+/**
+ * Parse one YAML document, reporting error positions relative to the whole file
+ * @returns {object} { text, document, value }
+ */
+function parsePart(text, lineOffset) {
+  if (!text.trim()) return { text, document: null, value: null };
+
+  const document = parseDocument(text);
+  if (document.errors.length) {
+    const error = document.errors[0];
+    const pos = error.linePos?.[0];
+    if (pos) {
+      error.line = pos.line + lineOffset;
+      error.column = pos.col;
+    }
+    throw error;
+  }
+
+  return { text, document, value: document.toJS() ?? null };
+}
+
+/**
+ * Describe a storage file parse failure for diagnostics
+ * @param {string} sourceFile - Storage-relative path
+ * @param {Error} error - Error thrown by parseStorageFileContent
+ * @returns {object} { file, line, column, message }
+ */
+export function describeParseError(sourceFile, error) {
+  return {
+    file: sourceFile,
+    line: Number.isInteger(error?.line) ? error.line : null,
+    column: Number.isInteger(error?.column) ? error.column : null,
+    // yaml appends a chunk-relative position; line/column above are file-relative
+    message: String(error?.message || error).split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')
+  };
 }
 
 export function parseStorageFile(filePath) {
@@ -77,17 +248,50 @@ export function parseStorageFile(filePath) {
   return parseStorageFileContent(filePath, content);
 }
 
-export function serializeStorageFileContent(filePath, docs, body = '') {
+/**
+ * Serialize storage documents
+ * With the `source` returned by parseStorageFileContent, documents that are
+ * unchanged are written back verbatim and changed ones are edited in place
+ * (see yaml-edit.js), so comments and formatting survive.
+ * @param {string} filePath - Target file (extension selects the format)
+ * @param {Array} docs - Documents, as returned by parse and then modified
+ * @param {string} body - Markdown body (.md only)
+ * @param {object|null} source - Parse source, or null to render from scratch
+ * @returns {string} File content
+ */
+export function serializeStorageFileContent(filePath, docs, body = '', source = null) {
   const extension = extname(filePath).toLowerCase();
   const nonNullDocs = (docs || []).filter(Boolean);
+  const parts = source?.parts || [];
 
   if (extension === '.md') {
     const firstDoc = nonNullDocs[0] || {};
-    const frontmatter = stringifyYaml(firstDoc).trimEnd();
+    const part = parts.find(p => p.value === firstDoc);
+    const frontmatter = part ? renderPart(part) : stringifyYaml(firstDoc).trimEnd();
     return `---\n${frontmatter}\n---\n${body || ''}`;
   }
 
-  return nonNullDocs.map(d => stringifyYaml(d).trim()).join('\n---\n') + '\n';
+  if (!parts.some(part => part.value)) {
+    return nonNullDocs.map(d => stringifyYaml(d).trim()).join('\n---\n') + '\n';
+  }
+
+  // Keep comment-only chunks, drop removed documents, append new ones
+  const kept = new Set(nonNullDocs);
+  const known = new Set(parts.map(part => part.value));
+  const chunks = parts
+    .filter(part => !part.value || kept.has(part.value))
+    .map(part => (part.value ? renderPart(part) : part.text));
+  for (const doc of nonNullDocs) {
+    if (!known.has(doc)) chunks.push(`\n${stringifyYaml(doc).trim()}\n`);
+  }
+
+  let content = chunks.join('---');
+  if (!kept.has(parts[0].value) && parts[0].value) content = content.replace(/^\n+/, '');
+  return content.endsWith('\n') ? content : `${content}\n`;
+}
+
+function renderPart(part) {
+  return updateYamlText(part.text, part.document, part.value);
 }
 
 export function getRelativeStoragePath(storagePath, filePath) {
@@ -0,0 +1,108 @@
+/**
+ * Storage Watcher
+ * Hot-reloads a store when its storage directory changes on disk.
+ */
+import { existsSync, statSync, watch } from 'fs';
+import { join } from 'path';
+
+const DEBOUNCE_MS = 300; // Debounce rapid file changes
+const WATCH_RETRY_MS = 2000;
+
+/**
+ * Watch a storage directory and reload the store on relevant changes
+ *
+ * Storage files honor the store's include/exclude globs; a directory renamed
+ * into storage, or renamed/deleted with files the store indexed, reloads too.
+ * When the storage directory itself goes away, watching resumes once it is
+ * back.
+ *
+ * @param {string} storagePath - Storage directory
+ * @param {object} store - Store from createStore
+ * @param {object} options - { label } prefixes log lines (e.g. workspace name)
+ * @returns {object} { close() }
+ */
+export function createStorageWatcher(storagePath, store, { label = '' } = {}) {
+  const prefix = label ? `[${label}] ` : '';
+  let watcher = null;
+  let reloadTimeout = null;
+  let retryTimeout = null;
+  let closed = false;
+
+  function isStorageChange(filename) {
+    // Some platforms omit the name; reload to be safe
+    if (!filename) return true;
+
+    const relativePath = String(filename).replace(/\\/g, '/');
+    const { fileFilter } = store;
+    let stats = null;
+    try {
+      stats = statSync(join(storagePath, relativePath));
+    } catch {
+      // Deleted or renamed away
+    }
+
+    if (stats?.isDirectory()) return !fileFilter.isExcluded(relativePath, true);
+    if (fileFilter.isStorageFile(relativePath)) return true;
+    return !stats && store.listFiles().some((file) => file.startsWith(`${relativePath}/`));
+  }
+
+  function scheduleReload() {
+    if (reloadTimeout) clearTimeout(reloadTimeout);
+    reloadTimeout = setTimeout(() => {
+      reloadTimeout = null;
+      console.log(`🔄 ${prefix}Triggering hot-reload...`);
+      try {
+        store.load(); // Incremental reload; change feeds notify clients
+      } catch (e) {
+        console.error(`${prefix}Hot-reload failed:`, e.message);
+      }
+    }, DEBOUNCE_MS);
+  }
+
+  function retryLater() {
+    if (!closed) retryTimeout = setTimeout(start, WATCH_RETRY_MS);
+  }
+
+  function start() {
+    retryTimeout = null;
+    if (closed) return;
+    if (!existsSync(storagePath)) {
+      // Storage removed or not created yet: check again later
+      retryLater();
+      return;
+    }
+
+    try {
+      watcher = watch(storagePath, { recursive: true }, (eventType, filename) => {
+        if (!isStorageChange(filename)) return;
+        console.log(`📁 ${prefix}Storage change detected: ${eventType} ${filename || storagePath}`);
+        scheduleReload();
+      });
+    } catch (e) {
+      console.error(`${prefix}Failed to watch storage directory:`, e.message);
+      retryLater();
+      return;
+    }
+
+    // The watch ends when the storage directory itself is renamed or deleted
+    watcher.on('error', (e) => {
+      console.warn(`${prefix}Storage watcher stopped:`, e.message);
+      watcher.close();
+      watcher = null;
+      scheduleReload();
+      retryLater();
+    });
+    console.log(`👁️  ${prefix}Watching storage directory for changes (recursive)`);
+  }
+
+  function close() {
+    closed = true;
+    if (reloadTimeout) clearTimeout(reloadTimeout);
+    if (retryTimeout) clearTimeout(retryTimeout);
+    watcher?.close();
+    watcher = null;
+  }
+
+  start();
+  return { close };
+}
@@ -2,40 +2,201 @@
  * Data Store
  * In-memory store for ontology data with reactive updates
  */
-import { loadOntology, getClassColumns, getClassRelations } from './ontology.js';
+import { existsSync, readFileSync, statSync } from 'fs';
+import { createHash } from 'crypto';
+import { resolve } from 'path';
+import { buildOntology, getClassColumns, getClassRelations } from './ontology.js';
+import { createSearchIndex } from './search-index.js';
+import {
+  createStorageFilter,
+  listOntologyFiles,
+  parseStorageFileContent,
+  getRelativeStoragePath,
+  describeParseError
+} from './storage-format.js';
 
 /**
  * Create a new data store
  * @param {string} storagePath - Path to storage directory
+ * @param {object} options - { include, exclude } storage file globs (see createStorageFilter)
  * @returns {object} Store instance
  */
-export function createStore(storagePath) {
-  let data = { schema: {}, instances: [] };
+export function createStore(storagePath, { include = [], exclude = [] } = {}) {
+  const fileFilter = createStorageFilter({ include, exclude });
+  let data = { schema: {}, instances: [], schemaSources: {}, diagnostics: [] };
   let listeners = [];
+  let indexes = buildIndexes(data.instances);
+  // Map<relativePath, { mtimeMs, size, hash, docs, body, error }>
+  const fileIndex = new Map();
+  const searchIndex = createSearchIndex();
 
   /**
    * Load/reload data from storage
+   * Only files whose mtime/size changed are read, and only files whose
+   * content hash changed are re-parsed. Files that fail to parse are
+   * skipped and reported through getDiagnostics(), as are conflicting
+   * schema definitions.
    */
   function load() {
-    data = loadOntology(storagePath);
+    if (!existsSync(storagePath)) {
+      throw new Error(`Storage path not found: ${storagePath}`);
+    }
+
+    const seen = new Set();
+    for (const filePath of listOntologyFiles(storagePath, fileFilter)) {
+      const sourceFile = getRelativeStoragePath(storagePath, filePath);
+      seen.add(sourceFile);
+      indexFile(filePath, sourceFile);
+    }
+
+    for (const sourceFile of [...fileIndex.keys()]) {
+      if (!seen.has(sourceFile)) fileIndex.delete(sourceFile);
+    }
+
+    return rebuild();
+  }
+
+  /**
+   * Re-index specific files after a write, without walking storage
+   * @param {Array<string>} filePaths - Absolute or storage-relative paths
+   */
+  function reloadFiles(filePaths) {
+    for (const entry of filePaths || []) {
+      if (!entry) continue;
+      const filePath = resolve(storagePath, entry);
+      const sourceFile = getRelativeStoragePath(storagePath, filePath);
+      if (existsSync(filePath) && fileFilter.isStorageFile(sourceFile)) {
+        indexFile(filePath, sourceFile, { force: true });
+      } else {
+        fileIndex.delete(sourceFile);
+      }
+    }
+
+    return rebuild();
+  }
+
+  function indexFile(filePath, sourceFile, { force = false } = {}) {
+    const stat = statSync(filePath);
+    const cached = fileIndex.get(sourceFile);
+    if (!force && cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return cached;
+    }
+
+    const content = readFileSync(filePath, 'utf8');
+    const hash = createHash('sha1').update(content).digest('hex');
+    if (cached && cached.hash === hash) {
+      cached.mtimeMs = stat.mtimeMs;
+      cached.size = stat.size;
+      return cached;
+    }
+
+    const entry = { mtimeMs: stat.mtimeMs, size: stat.size, hash, docs: [], body: '', error: null };
+    try {
+      const { docs, body } = parseStorageFileContent(filePath, content);
+      Object.assign(entry, { docs, body });
+    } catch (error) {
+      entry.error = describeParseError(sourceFile, error);
+    }
+    fileIndex.set(sourceFile, entry);
+    return entry;
+  }
+
+  function rebuild() {
+    const sorted = [...fileIndex.entries()].sort(([a], [b]) => a.localeCompare(b));
+    const entries = sorted.map(([sourceFile, { docs, body }]) => ({ sourceFile, docs, body }));
+
+    const { schemaConflicts, ...ontology } = buildOntology(entries);
+    data = ontology;
+    data.diagnostics = [
+      ...sorted.filter(([, entry]) => entry.error).map(([, entry]) => entry.error),
+      ...schemaConflicts
+    ];
+    for (const instance of data.instances) {
+      instance._rev = getInstanceRevision(instance);
+    }
+    indexes = buildIndexes(data.instances);
+    updateSearchIndex(sorted);
     notifyListeners();
     return data;
   }
 
+  // Re-index only files whose content hash changed since they were indexed
+  function updateSearchIndex(sorted) {
+    const bySource = new Map();
+    for (const instance of data.instances) {
+      if (!bySource.has(instance._source)) bySource.set(instance._source, []);
+      bySource.get(instance._source).push(instance);
+    }
+
+    for (const [sourceFile, entry] of sorted) {
+      if (searchIndex.fileHash(sourceFile) !== entry.hash) {
+        searchIndex.updateFile(sourceFile, entry.hash, bySource.get(sourceFile) || []);
+      }
+    }
+    for (const sourceFile of searchIndex.indexedFiles()) {
+      if (!fileIndex.has(sourceFile)) searchIndex.removeFile(sourceFile);
+    }
+  }
+
+  /**
+   * Full-text search over IDs, property values and markdown bodies
+   * @param {string} text - Search text
+   * @param {object} options - { classes } restricts results to these classes
+   * @returns {Array<object>} { instance, score, snippets }, most relevant first
+   */
+  function search(text, { classes = null } = {}) {
+    return searchIndex.search(text, { classes }).flatMap((result) => {
+      const instance = indexes.byKey.get(instanceKey(result.className, result.id));
+      // Skip duplicates shadowed by an instance from another file
+      if (!instance || instance._source !== result.sourceFile) return [];
+      return [{ instance, score: result.score, snippets: result.snippets }];
+    });
+  }
+
   /**
    * Get all instances of a class
+   * Returns a copy, so callers may sort or splice it without touching the
+   * indexes.
    * @param {string} className - Class name (optional, all if not specified)
    */
   function getInstances(className = null) {
-    if (!className) return data.instances;
-    return data.instances.filter(i => i._class === className);
+    if (!className) return [...data.instances];
+    return [...(indexes.byClass.get(className) || [])];
   }
 
   /**
    * Get instance by ID
+   * @param {string} id - Instance ID
+   * @param {string} className - Class name (optional; first match by ID if omitted)
+   */
+  function getInstance(id, className = null) {
+    if (className) return indexes.byKey.get(instanceKey(className, id));
+    return indexes.byId.get(id)?.[0];
+  }
+
+  /**
+   * Get every instance sharing an ID, across classes (a copy)
+   * @param {string} id - Instance ID
+   */
+  function getInstancesById(id) {
+    return [...(indexes.byId.get(id) || [])];
+  }
+
+  /**
+   * Get storage files that were skipped because they failed to parse, and
+   * schema definitions that conflict across files
+   * @returns {Array<object>} { file, line, column, message }; conflicts add
+   *   { kind: 'schema-conflict', section, name, files }
+   */
+  function getDiagnostics() {
+    return data.diagnostics;
+  }
+
+  /**
+   * Get the storage-relative paths of all indexed files
    */
-  function getInstance(id) {
-    return data.instances.find(i => i._id === id);
+  function listFiles() {
+    return [...fileIndex.keys()];
   }
 
   /**
@@ -52,6 +213,15 @@ export function createStore(storagePath) {
     return data.schema;
   }
 
+  /**
+   * Files each schema definition was read from
+   * @returns {object} { components, classes, relations }: name → files in
+   *   read order (the last one is in effect)
+   */
+  function getSchemaSources() {
+    return data.schemaSources;
+  }
+
   /**
    * Get columns for a class
    */
@@ -84,13 +254,58 @@ export function createStore(storagePath) {
 
   return {
     load,
+    reloadFiles,
     getInstances,
     getInstance,
+    getInstancesById,
     getClasses,
     getSchema,
+    getSchemaSources,
     getColumns,
     getRelations,
+    getDiagnostics,
+    search,
     subscribe,
+    listFiles,
+    fileFilter,
     get data() { return data; }
   };
 }
+
+/**
+ * Content revision of an instance (used as its ETag)
+ * @param {object} instance - Instance as loaded from storage
+ * @returns {string} Hash of the instance's serialized content
+ */
+export function getInstanceRevision(instance) {
+  const content = { ...instance };
+  delete content._source;
+  delete content._rev;
+  return createHash('sha1').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Composite key identifying an instance by class and ID
+ */
+export function instanceKey(className, id) {
+  return `${className}/${id}`;
+}
+
+function buildIndexes(instances) {
+  const byId = new Map();
+  const byKey = new Map();
+  const byClass = new Map();
+
+  for (const instance of instances) {
+    if (!byId.has(instance._id)) byId.set(instance._id, []);
+    byId.get(instance._id).push(instance);
+
+    const key = instanceKey(instance._class, instance._id);
+    if (!byKey.has(key)) byKey.set(key, instance);
+
+    if (!byClass.has(instance._class)) byClass.set(instance._class, []);
+    byClass.get(instance._class).push(instance);
+  }
+
+  return { byId, byKey, byClass };
+}
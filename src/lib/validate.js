@@ -0,0 +1,288 @@
+/**
+ * Storage Validation
+ * Checks every loaded instance against the schema and the rest of the
+ * storage: property types, required fields, constraints, relation targets and
+ * cardinality, duplicate IDs, unknown classes and undeclared components. Files
+ * that failed to parse and conflicting schema definitions are included from
+ * the store diagnostics.
+ */
+import { validateConstraints } from './constraints.js';
+
+export const SEVERITIES = ['error', 'warning'];
+
+// Relation derived from [[wiki links]] in markdown bodies; not in the schema
+const LINKS_TO = 'LINKS_TO';
+
+const CARDINALITY_LABELS = {
+  oto: 'one-to-one',
+  otm: 'one-to-many',
+  mto: 'many-to-one',
+  mtm: 'many-to-many'
+};
+
+/**
+ * Validate the whole storage
+ * @param {object} store - Data store
+ * @returns {object} { checked, summary: { error, warning }, problems: { error,
+ *   warning } } where each problem is { severity, code, message, _class, _id,
+ *   field, file, line }; `field` is the offending column (`_id`, `_class`,
+ *   `local.property`), a component name, `relations.<NAME>` or null, and
+ *   `line` is only known for parse errors
+ */
+export function validateStorage(store) {
+  const schema = store.getSchema();
+  const instances = store.getInstances();
+  const problems = [];
+  const report = (severity, code, message, instance = null, field = null, file = instance?._source) => {
+    problems.push({
+      severity,
+      code,
+      message,
+      _class: instance?._class ?? null,
+      _id: instance?._id ?? null,
+      field,
+      file: file ?? null,
+      line: null
+    });
+  };
+
+  for (const diagnostic of store.getDiagnostics()) {
+    const conflict = diagnostic.kind === 'schema-conflict';
+    problems.push({
+      severity: conflict ? 'warning' : 'error',
+      code: conflict ? 'SCHEMA_CONFLICT' : 'PARSE_ERROR',
+      message: diagnostic.message,
+      _class: null,
+      _id: null,
+      field: null,
+      file: diagnostic.file,
+      line: diagnostic.line ?? null
+    });
+  }
+
+  checkDuplicateIds(instances, report);
+
+  const resolve = createTargetResolver(instances);
+  const incoming = new Map(); // relation -> target key -> source instances
+
+  for (const instance of instances) {
+    const classDef = schema.classes?.[instance._class];
+    if (!classDef) {
+      report('error', 'UNKNOWN_CLASS', `Unknown class: ${instance._class}`, instance, '_class');
+      continue;
+    }
+
+    checkComponents(instance, classDef, schema, report);
+    for (const problem of validateConstraints(instance, schema, { instances })) {
+      report('error', 'CONSTRAINT', `${problem.field} ${problem.message}`, instance, problem.field);
+    }
+    checkRefs(instance, classDef, schema, resolve, report);
+    checkRelations(instance, schema, resolve, incoming, report);
+  }
+
+  checkIncomingCardinality(incoming, schema, report);
+
+  const grouped = Object.fromEntries(SEVERITIES.map((severity) => [
+    severity,
+    problems.filter((problem) => problem.severity === severity)
+  ]));
+  return {
+    checked: instances.length,
+    summary: Object.fromEntries(SEVERITIES.map((severity) => [severity, grouped[severity].length])),
+    problems: grouped
+  };
+}
+
+// The same ID twice in a class is an error (only one can be edited); across
+// classes it only makes untyped references ambiguous
+function checkDuplicateIds(instances, report) {
+  const byId = new Map();
+  for (const instance of instances) {
+    if (!byId.has(instance._id)) byId.set(instance._id, []);
+    byId.get(instance._id).push(instance);
+  }
+
+  for (const [id, group] of byId) {
+    if (group.length < 2) continue;
+    for (const instance of group) {
+      const sameClass = group.filter((other) => other !== instance && other._class === instance._class);
+      if (sameClass.length) {
+        const files = sameClass.map((other) => other._source).join(', ');
+        report('error', 'DUPLICATE_ID', `Duplicate ID "${id}" in class ${instance._class} (also in ${files})`, instance, '_id');
+        continue;
+      }
+      const classes = [...new Set(group.filter((other) => other !== instance).map((other) => other._class))];
+      report('warning', 'DUPLICATE_ID', `ID "${id}" is also used by ${classes.join(', ')}`, instance, '_id');
+    }
+  }
+}
+
+function checkComponents(instance, classDef, schema, report) {
+  const declared = classDef.components || {};
+
+  for (const localName of Object.keys(instance.components || {})) {
+    if (!(localName in declared)) {
+      report('warning', 'UNDECLARED_COMPONENT', `Component "${localName}" is not declared on class ${instance._class}`, instance, localName);
+    }
+  }
+
+  for (const [localName, componentClass] of Object.entries(declared)) {
+    const properties = schema.components?.[componentClass]?.properties || {};
+    for (const [property, definition] of Object.entries(properties)) {
+      const field = `${localName}.${property}`;
+      const value = instance.components?.[localName]?.[property];
+      if (isEmpty(value)) {
+        if (definition?.required) report('error', 'REQUIRED_MISSING', `${field} is required`, instance, field);
+        continue;
+      }
+      const mismatch = checkType(value, definition?.type);
+      if (mismatch) report('error', 'TYPE_MISMATCH', `${field}: ${mismatch}`, instance, field);
+    }
+  }
+}
+
+// Ref properties must point at an existing instance
+function checkRefs(instance, classDef, schema, resolve, report) {
+  for (const [localName, componentClass] of Object.entries(classDef.components || {})) {
+    const properties = schema.components?.[componentClass]?.properties || {};
+    for (const [property, definition] of Object.entries(properties)) {
+      if (definition?.type !== 'ref' && definition?.type !== 'ref[]') continue;
+      const value = instance.components?.[localName]?.[property];
+      const field = `${localName}.${property}`;
+      for (const target of Array.isArray(value) ? value : [value]) {
+        if (typeof target !== 'string' || !target.trim() || resolve(target)) continue;
+        report('error', 'DANGLING_TARGET', `${field} references missing instance "${target}"`, instance, field);
+      }
+    }
+  }
+}
+
+function checkRelations(instance, schema, resolve, incoming, report) {
+  for (const [name, value] of Object.entries(instance.relations || {})) {
+    const field = `relations.${name}`;
+    const relation = schema.relations?.[name];
+    const targets = (Array.isArray(value) ? value : [value]).filter((target) => target !== null && target !== undefined);
+
+    if (!relation && name !== LINKS_TO) {
+      report('warning', 'UNKNOWN_RELATION', `Unknown relation: ${name}`, instance, field);
+    }
+
+    const cardinality = relation?.cardinality;
+    if ((cardinality === 'oto' || cardinality === 'mto') && targets.length > 1) {
+      report('error', 'CARDINALITY', `${name} is ${CARDINALITY_LABELS[cardinality]} but has ${targets.length} targets`, instance, field);
+    }
+
+    for (const target of targets) {
+      const targetId = typeof target === 'string' ? target : target?._to;
+      if (!targetId) {
+        report('error', 'DANGLING_TARGET', `${name} has an empty target`, instance, field);
+        continue;
+      }
+
+      const resolved = resolve(targetId);
+      if (!resolved) {
+        // Wiki links are free text; a missing page is worth a look, not a failure
+        const severity = name === LINKS_TO ? 'warning' : 'error';
+        report(severity, 'DANGLING_TARGET', `${name} target "${targetId}" not found`, instance, field);
+        continue;
+      }
+
+      if (cardinality === 'oto' || cardinality === 'otm') {
+        const key = `${resolved._class}/${resolved._id}`;
+        if (!incoming.has(name)) incoming.set(name, new Map());
+        const sources = incoming.get(name);
+        if (!sources.has(key)) sources.set(key, { target: resolved, sources: [] });
+        sources.get(key).sources.push(instance);
+      }
+    }
+  }
+}
+
+// One-to-one and one-to-many relations allow a single source per target
+function checkIncomingCardinality(incoming, schema, report) {
+  for (const [name, targets] of incoming) {
+    const label = CARDINALITY_LABELS[schema.relations[name].cardinality];
+    for (const { target, sources } of targets.values()) {
+      if (sources.length < 2) continue;
+      const ids = sources.map((source) => source._id).join(', ');
+      for (const source of sources) {
+        report('error', 'CARDINALITY', `${name} is ${label} but ${target._id} is targeted by ${ids}`, source, `relations.${name}`);
+      }
+    }
+  }
+}
+
+// Targets are IDs, or `<_id>:<Class>` refs
+function createTargetResolver(instances) {
+  const byId = new Map();
+  const byKey = new Map();
+  for (const instance of instances) {
+    if (!byId.has(instance._id)) byId.set(instance._id, instance);
+    byKey.set(`${instance._class}/${instance._id}`, instance);
+  }
+
+  return (target) => {
+    const text = String(target).trim();
+    if (byId.has(text)) return byId.get(text);
+    const separator = text.lastIndexOf(':');
+    if (separator <= 0) return null;
+    return byKey.get(`${text.slice(separator + 1).trim()}/${text.slice(0, separator).trim()}`) || null;
+  };
+}
+
+/**
+ * Check a stored value against a property type
+ * Lenient in the same way as the editor: numeric strings pass as numbers, and
+ * types without a storage representation of their own are not checked.
+ * @returns {string|null} Problem description, or null when the value fits
+ */
+export function checkType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : `expected string, got ${describe(value)}`;
+    case 'int':
+    case 'integer':
+      return typeof value !== 'boolean' && !isObjectLike(value) && Number.isInteger(Number(value))
+        ? null
+        : 'expected integer';
+    case 'float':
+    case 'double':
+    case 'number':
+      return typeof value !== 'boolean' && !isObjectLike(value) && Number.isFinite(Number(value))
+        ? null
+        : 'expected number';
+    case 'bool':
+    case 'boolean':
+      return typeof value === 'boolean' || value === 'true' || value === 'false' ? null : 'expected boolean';
+    case 'date':
+    case 'datetime':
+      return (typeof value === 'string' || value instanceof Date) && !Number.isNaN(Date.parse(value))
+        ? null
+        : 'invalid date';
+    case 'ref':
+      return typeof value === 'string' ? null : `expected ref string, got ${describe(value)}`;
+    case 'ref[]':
+      return Array.isArray(value) && value.every((item) => typeof item === 'string') ? null : 'expected array of refs';
+    case 'string[]':
+    case 'array':
+      return Array.isArray(value) ? null : `expected array, got ${describe(value)}`;
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : `expected object, got ${describe(value)}`;
+    default:
+      return null;
+  }
+}
+
+function describe(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function isObjectLike(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length);
+}
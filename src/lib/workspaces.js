@@ -0,0 +1,151 @@
+/**
+ * Workspaces
+ * Named storage roots served by one server, each with its own store, API,
+ * change feed and watcher. Routes under /api/w/:workspace/ are scoped to one
+ * workspace; unscoped /api/ routes use the default (first) workspace.
+ */
+import { resolve } from 'path';
+import { createAPI, errorResponse, jsonResponse } from './api.js';
+import { createChangeFeed } from './change-feed.js';
+import { createStorageWatcher } from './storage-watcher.js';
+
+export const WORKSPACE_PREFIX = '/api/w/';
+export const DEFAULT_WORKSPACE_NAME = 'default';
+
+/**
+ * Workspace definitions from config
+ * `workspaces` lists { name, path, include, exclude, layout }; settings left
+ * out fall back to the same keys under `storage`. Without `workspaces`,
+ * `storage.path` is the only workspace, named "default".
+ * @param {object} config - Parsed config.yaml (paths expanded)
+ * @param {string} root - Directory relative paths resolve against
+ * @returns {Array<object>} { name, path (absolute), include, exclude, layout }
+ */
+export function resolveWorkspaces(config, root) {
+  const storage = config?.storage || {};
+  const fallback = { include: storage.include || [], exclude: storage.exclude || [], layout: storage.layout || {} };
+  const entries = Array.isArray(config?.workspaces) && config.workspaces.length
+    ? config.workspaces
+    : [{ name: DEFAULT_WORKSPACE_NAME, path: storage.path || '../ontology/storage' }];
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    const name = String(entry?.name || '').trim();
+    const path = String(entry?.path || '').trim();
+    if (!name || name.includes('/')) {
+      throw new Error(`Workspace ${index + 1} needs a name without "/"`);
+    }
+    if (!path) throw new Error(`Workspace "${name}" needs a path`);
+    if (seen.has(name)) throw new Error(`Duplicate workspace name "${name}"`);
+    seen.add(name);
+
+    return {
+      name,
+      path: resolve(root, path),
+      include: entry.include ?? fallback.include,
+      exclude: entry.exclude ?? fallback.exclude,
+      layout: entry.layout ?? fallback.layout
+    };
+  });
+}
+
+/**
+ * Open every workspace and route API requests to them
+ *
+ * A workspace whose storage cannot be loaded is listed with its error and
+ * answers 503 WORKSPACE_UNAVAILABLE; the others keep working.
+ *
+ * @param {Array<object>} definitions - From resolveWorkspaces
+ * @param {object} options - { onChange(message) } receives change feed
+ *   messages tagged with `workspace`
+ * @returns {object} { handle(req), get(name), list(), defaultWorkspace, close() }
+ */
+export function createWorkspaces(definitions, { onChange = () => {} } = {}) {
+  const workspaces = new Map();
+
+  for (const definition of definitions) {
+    const workspace = { ...definition, api: null, watcher: null, error: null };
+    try {
+      const { include, exclude, layout } = definition;
+      workspace.api = createAPI(definition.path, { include, exclude, layout });
+    } catch (error) {
+      workspace.error = error.message;
+      console.error(`Workspace "${definition.name}" unavailable:`, error.message);
+    }
+
+    if (workspace.api) {
+      const { store } = workspace.api;
+      createChangeFeed(store).subscribe((message) => onChange({ ...message, workspace: definition.name }));
+      workspace.watcher = createStorageWatcher(definition.path, store, {
+        label: definitions.length > 1 ? definition.name : ''
+      });
+    }
+    workspaces.set(definition.name, workspace);
+  }
+
+  const defaultWorkspace = workspaces.get(definitions[0]?.name) || null;
+
+  function get(name) {
+    return workspaces.get(name) || null;
+  }
+
+  /**
+   * Workspaces for the switcher
+   * @returns {Array<object>} { name, path, default, instanceCount, error }
+   */
+  function list() {
+    return [...workspaces.values()].map((workspace) => ({
+      name: workspace.name,
+      path: workspace.path,
+      default: workspace === defaultWorkspace,
+      instanceCount: workspace.api ? workspace.api.store.getInstances().length : 0,
+      error: workspace.error
+    }));
+  }
+
+  /**
+   * Handle an API request for the workspace it names
+   * @param {Request} req - Request under /api/
+   * @returns {Response} Response
+   */
+  async function handle(req) {
+    const url = new URL(req.url);
+
+    if (url.pathname === '/api/workspaces' && req.method === 'GET') {
+      return jsonResponse(list());
+    }
+
+    let workspace = defaultWorkspace;
+    let scopedReq = req;
+    if (url.pathname.startsWith(WORKSPACE_PREFIX)) {
+      const rest = url.pathname.slice(WORKSPACE_PREFIX.length);
+      const slash = rest.indexOf('/');
+      let name;
+      try {
+        name = decodeURIComponent(slash === -1 ? rest : rest.slice(0, slash));
+      } catch {
+        return errorResponse('Malformed URL path', 400, { code: 'INVALID_PATH' });
+      }
+      workspace = workspaces.get(name);
+      if (!workspace) {
+        return errorResponse(`Unknown workspace: ${name}`, 404, { code: 'UNKNOWN_WORKSPACE', workspace: name });
+      }
+      url.pathname = `/api/${slash === -1 ? '' : rest.slice(slash + 1)}`;
+      scopedReq = new Request(url, req);
+    }
+
+    if (!workspace?.api) {
+      return errorResponse(`Workspace unavailable: ${workspace?.error || 'no storage configured'}`, 503, {
+        code: 'WORKSPACE_UNAVAILABLE',
+        workspace: workspace?.name || null
+      });
+    }
+    return workspace.api.handle(scopedReq);
+  }
+
+  function close() {
+    for (const workspace of workspaces.values()) workspace.watcher?.close();
+  }
+
+  return { handle, get, list, defaultWorkspace, close };
+}
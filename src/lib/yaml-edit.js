@@ -0,0 +1,366 @@
+/**
+ * YAML Round-Trip Editing
+ * Applies a new value to a parsed YAML document by splicing only the changed
+ * nodes back into the original text. Comments, anchors, key order, quoting
+ * and blank lines outside the changed nodes are left byte-for-byte intact.
+ */
+import {
+  Document,
+  parse as parseYaml,
+  parseDocument,
+  stringify as stringifyYaml,
+  isAlias,
+  isMap,
+  isScalar,
+  isSeq,
+  Scalar
+} from 'yaml';
+
+/**
+ * Rewrite the text of one YAML document so that it holds `value`
+ * @param {string} text - Original document text
+ * @param {Document} document - yaml Document parsed from text
+ * @param {*} value - New plain value for the whole document
+ * @returns {string} Updated text (identical when nothing changed)
+ */
+export function updateYamlText(text, document, value) {
+  const target = toPlain(value);
+  const editor = createEditor(text, document);
+
+  if (document.contents && editor.sync(document.contents, target)) {
+    const updated = editor.apply();
+    if (updated === text || holdsValue(updated, target)) return updated;
+  }
+
+  // Structural change we cannot splice safely: re-render the document
+  const rendered = target === null ? '' : stringifyYaml(target, editor.renderOptions).trim();
+  const leading = text.match(/^\s*/)[0];
+  const trailing = text.slice(leading.length).match(/\s*$/)[0];
+  return `${leading}${rendered}${trailing}`;
+}
+
+function createEditor(text, document) {
+  const edits = [];
+  const renderOptions = { lineWidth: 0, indentSeq: detectIndentSeq(text) };
+
+  const lineStart = (pos) => text.lastIndexOf('\n', pos - 1) + 1;
+  const column = (pos) => pos - lineStart(pos);
+  const lineEnd = (pos) => {
+    if (pos > 0 && text[pos - 1] === '\n') return pos;
+    const next = text.indexOf('\n', pos);
+    return next === -1 ? text.length : next + 1;
+  };
+  const atUnterminatedEnd = (pos) => pos >= text.length && !text.endsWith('\n');
+
+  function push(start, end, replacement) {
+    edits.push({ start, end, text: replacement, order: edits.length });
+  }
+
+  // Render YAML whose first line continues the current line and whose
+  // following lines are indented to `indent`
+  function renderAt(value, indent) {
+    const lines = stringifyYaml(value, renderOptions).replace(/\n$/, '').split('\n');
+    return lines.map((line, i) => (i === 0 || !line ? line : ' '.repeat(indent) + line)).join('\n') + '\n';
+  }
+
+  // Replacement text ending at `end` keeps the original's missing final newline
+  function fitEnd(replacement, end) {
+    return atUnterminatedEnd(end) ? replacement.replace(/\n$/, '') : replacement;
+  }
+
+  function removeLines(start, end) {
+    // Drop the preceding newline instead of leaving a dangling one at EOF
+    if (atUnterminatedEnd(end) && start > 0) start -= 1;
+    // Collapse the blank lines that separated the removed block from its neighbours
+    if (/\n[ \t]*\n$/.test(text.slice(0, start))) {
+      end += text.slice(end).match(/^(?:[ \t]*\n)*/)[0].length;
+    }
+    push(start, end, '');
+  }
+
+  function sync(node, value) {
+    const mark = edits.length;
+    const ok = syncNode(node, value);
+    if (!ok) edits.length = mark;
+    return ok;
+  }
+
+  function syncNode(node, value) {
+    if (deepEqual(node.toJS(document), value)) return true;
+    if (isAlias(node) || node.anchor || node.tag) return false;
+    if (node.flow) return syncFlow(node, value);
+    if (isScalar(node)) return syncScalar(node, value);
+    if (isMap(node)) return syncMap(node, value);
+    if (isSeq(node)) return syncSeq(node, value);
+    return false;
+  }
+
+  function syncScalar(node, value) {
+    if (value !== null && typeof value === 'object') return false;
+
+    const [start, end] = node.range;
+    const block = node.type === Scalar.BLOCK_LITERAL || node.type === Scalar.BLOCK_FOLDED;
+    let rendered = block ? renderBlockScalar(text.slice(start, end), value) : null;
+    if (rendered === null) {
+      rendered = renderInlineScalar(value, node.type);
+      if (rendered === null) return false;
+      // A block scalar's range includes its final line break
+      if (block) rendered += '\n';
+    }
+
+    const gap = start === end && /[:-]/.test(text[start - 1] || '') ? ' ' : '';
+    push(start, end, gap + rendered);
+    return true;
+  }
+
+  // Flow collections are short enough to re-render whole, keeping them inline
+  function syncFlow(node, value) {
+    if (isMap(node) ? !isPlainObject(value) : !Array.isArray(value)) return false;
+
+    const flow = new Document(value);
+    flow.contents.flow = true;
+    const rendered = flow.toString({ lineWidth: 0, flowCollectionPadding: false }).trim();
+    if (rendered.includes('\n')) return false;
+
+    push(node.range[0], node.range[1], rendered);
+    return true;
+  }
+
+  function syncMap(node, value) {
+    if (!isPlainObject(value) || !Object.keys(value).length || !node.items.length) return false;
+
+    const seen = new Set();
+    const renames = renamedKeys(node, value);
+    for (const pair of node.items) {
+      let key = isScalar(pair.key) ? String(pair.key.value) : null;
+      if (key === null) return false;
+
+      const start = pair.key.range[0];
+      const end = lineEnd((pair.value ?? pair.key).range[2]);
+      if (renames.has(key)) {
+        // Renamed key: rewrite it where it stands, keeping its comment and position
+        key = renames.get(key);
+        push(start, pair.key.range[1], renderInlineScalar(key, pair.key.type));
+      }
+      seen.add(key);
+
+      if (!Object.hasOwn(value, key)) {
+        if (!text.slice(lineStart(start), start).trim()) {
+          removeLines(lineStart(start), end);
+        } else {
+          // First key after '- ': pull the next key up onto the dash line
+          let next = end;
+          while (text[next] === ' ') next += 1;
+          push(start, next, '');
+        }
+        continue;
+      }
+
+      const next = value[key];
+      if (pair.value ? !sync(pair.value, next) : next !== null) {
+        push(start, end, fitEnd(renderAt({ [key]: next }, column(start)), end));
+      }
+    }
+
+    const added = Object.keys(value).filter((key) => !seen.has(key));
+    if (added.length) {
+      const indent = column(node.items[0].key.range[0]);
+      const pos = node.range[1];
+      const lead = text[pos - 1] === '\n' || pos === 0 ? '' : '\n';
+      const inserted = added.map((key) => ' '.repeat(indent) + renderAt({ [key]: value[key] }, indent)).join('');
+      push(pos, pos, lead + fitEnd(inserted, pos));
+    }
+
+    return true;
+  }
+
+  /**
+   * Keys that were renamed: a removed key whose value reappears unchanged
+   * under an added key whose name renders as a scalar of the same style
+   * @returns {Map<string, string>} Old key → new key
+   */
+  function renamedKeys(node, value) {
+    const keys = node.items.map((pair) => (isScalar(pair.key) ? String(pair.key.value) : null));
+    const added = Object.keys(value).filter((key) => !keys.includes(key));
+    const renames = new Map();
+
+    node.items.forEach((pair, i) => {
+      if (keys[i] === null || Object.hasOwn(value, keys[i]) || !added.length) return;
+      const old = pair.value ? pair.value.toJS(document) : null;
+      const index = added.findIndex((key) =>
+        deepEqual(value[key], old) && renderInlineScalar(key, pair.key.type) !== null
+      );
+      if (index !== -1) renames.set(keys[i], added.splice(index, 1)[0]);
+    });
+    return renames;
+  }
+
+  function syncSeq(node, value) {
+    if (!Array.isArray(value) || !value.length || !node.items.length) return false;
+    if (node.items.some((item) => !item?.range)) return false;
+
+    const itemStart = (item) => {
+      const start = lineStart(item.range[0]);
+      const prefix = text.slice(start, item.range[0]);
+      return /^ *- +$/.test(prefix) ? { start, dash: prefix.indexOf('-') } : null;
+    };
+    if (node.items.some((item) => !itemStart(item))) return false;
+
+    const matches = matchItems(node.items.map((item) => item.toJS(document)), value);
+    let last = -1;
+    for (const index of matches) {
+      if (index === -1) continue;
+      if (index < last) return false;
+      last = index;
+    }
+
+    const used = new Set(matches);
+    node.items.forEach((item, index) => {
+      if (!used.has(index)) removeLines(itemStart(item).start, lineEnd(item.range[2]));
+    });
+
+    const dash = itemStart(node.items[0]).dash;
+    value.forEach((next, i) => {
+      const index = matches[i];
+      if (index !== -1) {
+        const item = node.items[index];
+        if (!sync(item, next)) {
+          const end = lineEnd(item.range[2]);
+          push(item.range[0], end, fitEnd(renderAt(next, column(item.range[0])), end));
+        }
+        return;
+      }
+
+      const following = matches.slice(i + 1).find((m) => m !== -1);
+      const pos = following === undefined ? node.range[1] : itemStart(node.items[following]).start;
+      const lead = text[pos - 1] === '\n' || pos === 0 ? '' : '\n';
+      push(pos, pos, lead + fitEnd(`${' '.repeat(dash)}- ${renderAt(next, dash + 2)}`, pos));
+    });
+
+    return true;
+  }
+
+  function apply() {
+    return [...edits]
+      .sort((a, b) => b.start - a.start || b.end - a.end || b.order - a.order)
+      .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text);
+  }
+
+  return { sync, apply, renderOptions };
+}
+
+/**
+ * Pair each new sequence item with an existing node: instances by _class/_id,
+ * other items by equal value, then by position. An instance whose _class or
+ * _id changed takes an unpaired instance node between its neighbours' nodes,
+ * preferring one with the same content, then one that kept half its identity.
+ * @returns {Array<number>} Existing item index per new item (-1 = new)
+ */
+function matchItems(oldValues, newValues) {
+  const used = new Set();
+  const take = (predicate) => {
+    const index = oldValues.findIndex((old, j) => !used.has(j) && predicate(old, j));
+    if (index !== -1) used.add(index);
+    return index;
+  };
+  const identity = (item) => (isPlainObject(item) && item._id !== undefined ? `${item._class}/${item._id}` : null);
+
+  // Identity first, so a renamed instance cannot take the node of one still present
+  const matches = newValues.map((item) => {
+    const id = identity(item);
+    return id === null ? -1 : take((old) => identity(old) === id);
+  });
+
+  const pair = (item, i) => {
+    if (identity(item) !== null) {
+      const after = Math.max(-1, ...matches.slice(0, i));
+      const before = matches.slice(i + 1).find((m) => m !== -1) ?? oldValues.length;
+      const between = (old, j) => j > after && j < before && identity(old) !== null;
+      const { _class, _id } = item;
+      const sameContent = take((old, j) => between(old, j) && deepEqual({ ...old, _class, _id }, item));
+      if (sameContent !== -1) return sameContent;
+      const renamed = take((old, j) => between(old, j) && (old._class === _class || old._id === _id));
+      return renamed !== -1 ? renamed : take(between);
+    }
+
+    const equal = take((old) => deepEqual(old, item));
+    if (equal !== -1) return equal;
+    return take((old, j) => j === i && identity(old) === null);
+  };
+
+  newValues.forEach((item, i) => {
+    if (matches[i] === -1) matches[i] = pair(item, i);
+  });
+  return matches;
+}
+
+function renderInlineScalar(value, type) {
+  if (value === null) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : null;
+  if (typeof value !== 'string') return null;
+
+  if (type === Scalar.QUOTE_DOUBLE) return JSON.stringify(value);
+  if (type !== Scalar.QUOTE_SINGLE && isPlainSafe(value)) return value;
+  if (!/[\x00-\x1f]/.test(value)) return `'${value.replace(/'/g, "''")}'`;
+  return JSON.stringify(value);
+}
+
+function isPlainSafe(value) {
+  if (!value || value !== value.trim() || /[\x00-\x1f]/.test(value)) return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(value) || /: | #|:$/.test(value)) return false;
+  try {
+    return parseYaml(value) === value;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Re-render a literal block scalar at its original indentation
+ * @returns {string|null} Replacement text, or null when the value needs another style
+ */
+function renderBlockScalar(source, value) {
+  if (typeof value !== 'string' || !value.includes('\n') || /^[ \t]/.test(value)) return null;
+
+  const indent = source.split('\n').slice(1).find((line) => line.trim())?.match(/^ */)[0];
+  if (!indent) return null;
+
+  const trailing = value.match(/\n*$/)[0].length;
+  const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+  const content = trailing ? value.slice(0, -1) : value;
+  const lines = content.split('\n').map((line) => (line ? indent + line : ''));
+  return `|${chomp}\n${lines.join('\n')}\n`;
+}
+
+function holdsValue(text, value) {
+  const document = parseDocument(text);
+  return document.errors.length === 0 && deepEqual(toPlain(document.toJS()), value);
+}
+
+/**
+ * Block sequences under a key without extra indentation (`key:\n- item`)
+ */
+function detectIndentSeq(text) {
+  return !/^( *)[^\s#-][^\n]*:[ \t]*\n\1- /m.test(text);
+}
+
+function toPlain(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => Object.hasOwn(b, key) && deepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
@@ -1,14 +1,14 @@
 /**
  * Bun Server Entry Point
- * Serves static files, API endpoints, and WebSocket for chat
+ * Serves static files, API endpoints, and WebSocket for chat and live updates
  */
 import { resolve, dirname, join } from 'path';
-import { existsSync, readFileSync, writeFileSync, mkdirSync, watch, copyFileSync } from 'fs';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, copyFileSync } from 'fs';
 import { parse as parseYaml, stringify as stringifyYaml } from 'yaml';
 import { homedir } from 'os';
 import { spawn } from 'node:child_process';
-import { createAPI } from './lib/api.js';
 import { expandPathsInObject } from './lib/config.js';
+import { createWorkspaces, resolveWorkspaces } from './lib/workspaces.js';
 
 // Resolve paths relative to this file
 const __dirname = dirname(new URL(import.meta.url).pathname);
@@ -16,6 +16,14 @@ const projectRoot = resolve(__dirname, '..');
 const publicDir = resolve(projectRoot, 'public');
 const configPath = resolve(projectRoot, 'config.yaml');
 
+// Server modules the browser imports too (e.g. the query engine)
+const SHARED_MODULES = {
+  '/js/shared/query.js': resolve(projectRoot, 'src', 'lib', 'query.js'),
+  '/js/shared/aggregate.js': resolve(projectRoot, 'src', 'lib', 'aggregate.js'),
+  '/js/shared/constraints.js': resolve(projectRoot, 'src', 'lib', 'constraints.js'),
+  '/js/shared/regex.js': resolve(projectRoot, 'src', 'lib', 'regex.js')
+};
+
 ensureBootstrapFile(
   resolve(projectRoot, 'config.yaml.example'),
   configPath,
@@ -29,14 +37,13 @@ ensureBootstrapFile(
 
 // Load configuration
 const config = loadServerConfig(configPath);
-const storagePath = resolveStoragePath(config, projectRoot);
+const workspaceDefinitions = resolveWorkspaces(config, projectRoot);
 
-console.log('📂 Storage path:', storagePath);
+for (const workspace of workspaceDefinitions) {
+  console.log(`📂 Storage path (${workspace.name}):`, workspace.path);
+}
 console.log('📁 Public dir:', publicDir);
 
-// Create API handler
-const api = createAPI(storagePath);
-
 // Active chat processes (for abort functionality)
 // Map<tabId, { proc, killAttempts }>
 const activeProcesses = new Map();
@@ -83,14 +90,6 @@ function ensureBootstrapFile(examplePath, targetPath, label) {
   console.log(`🧩 Bootstrapped ${label} from ${examplePath}`);
 }
 
-/**
- * Resolve storage path relative to project root
- */
-function resolveStoragePath(cfg, root) {
-  const storagePath = cfg.storage?.path || '../ontology/storage';
-  return resolve(root, storagePath);
-}
-
 /**
  * Serve static file
  */
@@ -124,7 +123,11 @@ async function handleRequest(req, server) {
 
   // API routes
   if (path.startsWith('/api/')) {
-    return api.handle(req);
+    return workspaces.handle(req);
+  }
+
+  if (SHARED_MODULES[path]) {
+    return serveStatic(SHARED_MODULES[path]);
   }
 
   // Static files
@@ -554,15 +557,11 @@ const server = Bun.serve({
   }
 });
 
-// File watcher for hot-reload
-let reloadTimeout = null;
-const DEBOUNCE_MS = 300; // Debounce rapid file changes
-
-function broadcastReload() {
-  const message = JSON.stringify({ type: 'storage-changed' });
+function broadcast(message) {
+  const payload = JSON.stringify(message);
   for (const client of connectedClients) {
     try {
-      client.send(message);
+      client.send(payload);
     } catch (e) {
       // Client may have disconnected
       connectedClients.delete(client);
@@ -570,24 +569,9 @@ function broadcastReload() {
   }
 }
 
-// Watch storage directory for changes
-if (existsSync(storagePath)) {
-  watch(storagePath, { recursive: true }, (eventType, filename) => {
-    // Watch for .md and .yml files (ontology uses .md with YAML frontmatter)
-    if (!filename?.endsWith('.md') && !filename?.endsWith('.yml')) return;
-    
-    console.log(`📁 Storage change detected: ${eventType} ${filename}`);
-    
-    // Debounce to avoid multiple reloads for rapid changes
-    if (reloadTimeout) clearTimeout(reloadTimeout);
-    reloadTimeout = setTimeout(() => {
-      console.log('🔄 Triggering hot-reload...');
-      api.store.load(); // Reload data on server
-      broadcastReload(); // Notify all clients
-    }, DEBOUNCE_MS);
-  });
-  console.log('👁️  Watching storage directory for changes (recursive)');
-}
+// Open each workspace's store and storage watcher. Instance deltas are pushed
+// after every reload, whether from an API write or a watcher
+const workspaces = createWorkspaces(workspaceDefinitions, { onChange: broadcast });
 
 console.log(`🚀 Server running at http://${host}:${port}`);
 console.log('📊 Data Editor ready!');